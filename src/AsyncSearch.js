@@ -0,0 +1,75 @@
+const { STOP } = require('./SquadOptimizer.js');
+
+/**
+ * Runs a search generator (see searchSquad) without blocking the event loop.
+ *
+ * The generator pauses every few thousand nodes. Pauses are cheap, so the
+ * runner only hands control back to the event loop - and reports progress -
+ * once a slice has used up its time. Between slices it checks the abort
+ * signal and the time budget; when either ends the search, STOP is sent in
+ * and the generator returns the best solutions found so far.
+ */
+
+/**
+ * Milliseconds a search runs before yielding to the event loop
+ */
+const DEFAULT_SLICE_MS = 15;
+
+// setImmediate lets I/O callbacks run between slices in Node; browsers get a macrotask
+const nextTick = typeof setImmediate === 'function'
+    ? () => new Promise(resolve => setImmediate(resolve))
+    : () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Drive a search generator to completion in time slices
+ * @param {Generator} search - Generator yielding progress and returning a result
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Signal that cancels the search
+ * @param {number} options.timeBudget - Milliseconds the search may take (default: no limit)
+ * @param {Function} options.onProgress - Called after every slice with the progress and `elapsedMs`
+ * @param {number} options.sliceMs - Milliseconds per slice (default: 15)
+ * @returns {Promise<Object>} - The search result with `cancelled`: 'aborted', 'timeout' or null
+ */
+async function runSearch(search, options = {}) {
+    const {
+        signal = null,
+        timeBudget = Infinity,
+        onProgress = null,
+        sliceMs = DEFAULT_SLICE_MS
+    } = options;
+
+    if (!(timeBudget > 0)) {
+        throw new Error("Time budget must be a positive number of milliseconds");
+    }
+
+    const started = Date.now();
+    let sliceStarted = started;
+    let cancelled = null;
+    let step = search.next();
+
+    while (!step.done) {
+        const now = Date.now();
+        if (signal && signal.aborted) cancelled = 'aborted';
+        else if (now - started >= timeBudget) cancelled = 'timeout';
+
+        if (cancelled) {
+            step = search.next(STOP);
+            while (!step.done) step = search.next(STOP);
+            break;
+        }
+
+        if (now - sliceStarted >= sliceMs) {
+            if (onProgress) onProgress({ ...step.value, elapsedMs: now - started });
+            await nextTick();
+            sliceStarted = Date.now();
+        }
+        step = search.next();
+    }
+
+    return { ...step.value, cancelled };
+}
+
+module.exports = {
+    DEFAULT_SLICE_MS,
+    runSearch
+};
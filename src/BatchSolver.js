@@ -0,0 +1,209 @@
+const { Card } = require('./Card.js');
+const { createMarketCards } = require('./Ownership.js');
+const {
+    normalizeRequirements,
+    getRequirementAttributes,
+    solveRequirements
+} = require('./Requirements.js');
+
+/**
+ * Batch solver for group SBCs: several segments share one inventory and no
+ * card may be used twice.
+ *
+ * The search goes through the open segments (highest target first) and
+ * branches on the cheapest squads of each segment, in cost order. Solving
+ * every later segment on its own against the cards that are still left is a
+ * lower bound for the rest of the batch, so a branch stops as soon as the
+ * cost so far plus that bound reaches the best batch found.
+ */
+
+/**
+ * Default number of squads tried per segment before the result is marked unproven
+ */
+const DEFAULT_MAX_BRANCHING = 64;
+
+/**
+ * Default number of single-segment searches. The stand-alone bound is loose
+ * when every segment wants the same cheap cards, so big clubs could keep the
+ * search busy for minutes; once the budget is spent the search only finishes
+ * its current branch and the result is marked unproven.
+ */
+const DEFAULT_MAX_SEARCHES = 100;
+
+/**
+ * Find the cheapest way to complete every segment from one inventory
+ * @param {Object} options - Batch options
+ * @param {Array<Object>} options.segments - Segments as `{ name, requirements, cardIds }`; `cardIds` fixes the squad
+ * @param {Array<Object|Card>} options.cards - Shared inventory
+ * @param {Object.<number, number>} options.priceByRating - Prices for cards without their own price
+ * @param {boolean|number[]} options.buyFromMarket - Let the solver buy cards at `priceByRating`
+ * @param {Function} options.costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+ * @param {number} options.maxBranching - Most squads tried per segment
+ * @param {number} options.maxNodes - Node limit of every single-segment search
+ * @param {number} options.maxSearches - Most single-segment searches for the whole batch
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - Per-segment solutions in input order, the total price and whether the result is proven optimal
+ */
+function solveBatch(options) {
+    const {
+        segments = [],
+        priceByRating = {},
+        buyFromMarket = false,
+        costOf,
+        maxBranching = DEFAULT_MAX_BRANCHING,
+        maxNodes,
+        maxSearches = DEFAULT_MAX_SEARCHES,
+        ratingProfile
+    } = options;
+
+    const normalized = segments.map(segment => normalizeRequirements(segment.requirements));
+    const openSlots = segments.reduce((sum, segment, i) => sum + (segment.cardIds ? 0 : normalized[i].squadSize), 0);
+    const marketCards = buyFromMarket
+        ? createMarketCards(priceByRating, openSlots, Array.isArray(buyFromMarket) ? buyFromMarket : null)
+        : [];
+    const inventory = [...(options.cards || []), ...marketCards].map(card => Card.from(card));
+    const byId = new Map(inventory.map(card => [card.id, card]));
+
+    // Cards that differ in anything a segment looks at must stay apart in
+    // every segment, otherwise one segment could burn a card another needs
+    const groupAttributes = [...new Set(normalized.flatMap(getRequirementAttributes))];
+    let proven = true;
+    let searches = 0;
+
+    const solveSegment = (index, cards, maxSolutions) => {
+        searches++;
+        const result = solveRequirements({
+            requirements: segments[index].requirements,
+            cards,
+            priceByRating,
+            maxSolutions,
+            maxNodes,
+            groupAttributes,
+            costOf,
+            ratingProfile
+        });
+        if (!result.proven) proven = false;
+        return result;
+    };
+
+    // Fixed segments use their own cards and are only checked
+    const used = new Set();
+    const results = new Array(segments.length).fill(null);
+    let fixedPrice = 0;
+
+    for (let i = 0; i < segments.length; i++) {
+        const { cardIds } = segments[i];
+        if (!cardIds) continue;
+
+        const missing = cardIds.filter(id => !byId.has(id) || used.has(id));
+        if (missing.length > 0) {
+            throw new Error(`Fixed squad of segment ${segments[i].name || i} uses unknown or reused cards: ${missing.join(', ')}`);
+        }
+        cardIds.forEach(id => used.add(id));
+
+        const check = solveSegment(i, cardIds.map(id => byId.get(id)), 1);
+        if (check.solutionsFound === 0 || check.solutions[0].cardIds.length !== cardIds.length) {
+            throw new Error(`Fixed squad of segment ${segments[i].name || i} does not meet its requirements`);
+        }
+        results[i] = { ...check.solutions[0], fixed: true };
+        fixedPrice += check.solutions[0].price;
+    }
+
+    const order = segments
+        .map((segment, i) => i)
+        .filter(i => !segments[i].cardIds)
+        .sort((a, b) => normalized[b].targetRating - normalized[a].targetRating);
+
+    // Cheapest stand-alone squad of a segment for a set of used cards
+    const standalone = new Map();
+    const cheapestAlone = (index, removed, cards) => {
+        const key = `${index}|${[...removed].sort().join(',')}`;
+        if (!standalone.has(key)) {
+            const result = solveSegment(index, cards, 1);
+            // An unproven price is not a safe bound
+            standalone.set(key, result.solutionsFound === 0 ? Infinity : (result.proven ? result.solutions[0].price : 0));
+        }
+        return standalone.get(key);
+    };
+
+    let bestTotal = Infinity;
+    let bestPicks = null;
+    const picks = [];
+
+    const search = (position, removed, cost) => {
+        if (position === order.length) {
+            if (cost < bestTotal) {
+                bestTotal = cost;
+                bestPicks = [...picks];
+            }
+            return;
+        }
+
+        const cards = inventory.filter(card => !removed.has(card.id));
+        let restBound = 0;
+        if (searches < maxSearches) {
+            for (let next = position + 1; next < order.length; next++) {
+                restBound += cheapestAlone(order[next], removed, cards);
+            }
+        }
+        if (cost + restBound >= bestTotal) return;
+
+        const index = order[position];
+        let tried = 0;
+        let limit = searches < maxSearches ? Math.min(8, maxBranching) : 1;
+
+        while (true) {
+            const { solutions } = solveSegment(index, cards, limit);
+            for (; tried < solutions.length; tried++) {
+                const solution = solutions[tried];
+                // Solutions come cheapest first, so the rest cannot do better
+                if (cost + solution.price + restBound >= bestTotal) return;
+
+                const nextRemoved = new Set(removed);
+                solution.cardIds.forEach(id => nextRemoved.add(id));
+                picks[position] = solution;
+                search(position + 1, nextRemoved, cost + solution.price);
+
+                if (searches >= maxSearches) {
+                    proven = false;
+                    return;
+                }
+            }
+
+            if (solutions.length < limit) return;
+            if (limit >= maxBranching) {
+                proven = false;
+                return;
+            }
+            limit = Math.min(limit * 2, maxBranching);
+        }
+    };
+
+    search(0, used, 0);
+
+    if (!bestPicks) {
+        return {
+            solutionsFound: 0,
+            totalPrice: null,
+            segments: segments.map((segment, i) => ({ name: segment.name || `Segment ${i + 1}`, solution: results[i] })),
+            proven
+        };
+    }
+
+    order.forEach((index, position) => {
+        results[index] = { ...bestPicks[position], fixed: false };
+    });
+
+    return {
+        solutionsFound: 1,
+        totalPrice: fixedPrice + bestTotal,
+        segments: segments.map((segment, i) => ({ name: segment.name || `Segment ${i + 1}`, solution: results[i] })),
+        proven
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_BRANCHING,
+    DEFAULT_MAX_SEARCHES,
+    solveBatch
+};
@@ -0,0 +1,114 @@
+/**
+ * A single player card from a club or the transfer market
+ */
+class Card {
+    /**
+     * Create a card
+     * @param {Object} data - Card fields
+     * @param {string|number} data.id - Unique card id
+     * @param {string} data.name - Player name
+     * @param {number} data.rating - Player rating (45-99)
+     * @param {string} data.nation - Nation name or id
+     * @param {string} data.league - League name or id
+     * @param {string} data.club - Club name or id
+     * @param {string[]} data.positions - Playable positions, preferred first (e.g. ['ST', 'CF'])
+     * @param {string} data.rarity - Rarity such as 'common', 'rare', 'totw' or 'icon'
+     * @param {boolean} data.tradeable - Whether the card can be sold on the market
+     * @param {number} data.price - Card price; when missing the rating price is used
+     * @param {string} data.source - Ownership tier: 'storage', 'untradeable', 'club' or 'market' (see Ownership.js)
+     */
+    constructor(data = {}) {
+        this.id = data.id;
+        this.name = data.name || '';
+        this.rating = data.rating;
+        this.nation = data.nation || null;
+        this.league = data.league || null;
+        this.club = data.club || null;
+        this.positions = Array.isArray(data.positions)
+            ? [...data.positions]
+            : (data.positions ? [data.positions] : []);
+        this.rarity = data.rarity || 'common';
+        this.tradeable = Boolean(data.tradeable);
+        this.price = typeof data.price === 'number' ? data.price : null;
+        this.source = data.source || null;
+    }
+
+    /**
+     * Get the price of this card, falling back to the price of its rating
+     * @param {Object.<number, number>|PriceSource} priceByRating - Mapping of player ratings to their prices, or a price source
+     * @returns {number} - Card price
+     */
+    getPrice(priceByRating = {}) {
+        if (typeof priceByRating.getCardPrice === 'function') return priceByRating.getCardPrice(this);
+        if (this.price !== null) return this.price;
+        return priceByRating[this.rating] || 0;
+    }
+
+    /**
+     * Get the card quality used by SBC requirements
+     * @returns {string} - 'gold' (75+), 'silver' (65-74) or 'bronze'
+     */
+    getQuality() {
+        if (this.rating >= 75) return 'gold';
+        if (this.rating >= 65) return 'silver';
+        return 'bronze';
+    }
+
+    /**
+     * Whether the card counts as rare (every rarity except 'common')
+     * @returns {boolean} - True for rare and special cards
+     */
+    isRare() {
+        return this.rarity !== 'common';
+    }
+
+    /**
+     * Create a card from a plain object (cards are returned unchanged)
+     * @param {Object|Card} data - Card fields or a card
+     * @returns {Card} - Card instance
+     */
+    static from(data) {
+        return data instanceof Card ? data : new Card(data);
+    }
+
+    /**
+     * Build cards from a plain ratings inventory. The card id is the index of
+     * the rating in the array, so solutions still point at concrete entries.
+     * @param {number[]} ratings - Array of player ratings
+     * @returns {Card[]} - One card per rating
+     */
+    static fromRatings(ratings) {
+        return ratings.map((rating, index) => new Card({ id: index, rating }));
+    }
+
+    /**
+     * Validate the ids of a list of cards (ratings are checked by
+     * SolverHelper.validateInputs)
+     * @param {Array<Object|Card>} cards - Cards to validate
+     * @param {string} label - Label used in error messages
+     * @returns {string[]} - Validation errors (empty when valid)
+     */
+    static validate(cards, label = 'card') {
+        const errors = [];
+
+        if (!Array.isArray(cards)) {
+            errors.push('Cards must be an array');
+            return errors;
+        }
+
+        const seen = new Set();
+        cards.forEach((card, index) => {
+            if (!card || card.id === undefined || card.id === null) {
+                errors.push(`Missing id for ${label} at index ${index}`);
+            } else if (seen.has(card.id)) {
+                errors.push(`Duplicate ${label} id: ${card.id}`);
+            } else {
+                seen.add(card.id);
+            }
+        });
+
+        return errors;
+    }
+}
+
+module.exports = { Card };
@@ -0,0 +1,282 @@
+const { Card } = require('./Card.js');
+
+/**
+ * Chemistry calculator following the FC24+ rules.
+ *
+ * Every player that plays in one of their positions adds to the club, league
+ * and nation counts of the squad. Reaching a threshold of a count gives each
+ * player of that club/league/nation a chemistry point, capped at 3 per player.
+ * Out of position players get 0 chemistry and do not count for anybody.
+ */
+
+const MAX_PLAYER_CHEMISTRY = 3;
+
+/**
+ * Number of players needed for 1, 2 and 3 chemistry points
+ */
+const CHEMISTRY_THRESHOLDS = {
+    club: [2, 5, 7],
+    league: [3, 5, 8],
+    nation: [2, 5, 8]
+};
+
+/**
+ * Special cards: always full chemistry in position, and they count double
+ * for one attribute (icons for their nation, heroes for their league).
+ */
+const SPECIAL_RARITIES = {
+    icon: { fullChemistry: true, weights: { club: 1, league: 1, nation: 2 } },
+    hero: { fullChemistry: true, weights: { club: 1, league: 2, nation: 1 } }
+};
+
+const DEFAULT_WEIGHTS = { club: 1, league: 1, nation: 1 };
+
+/**
+ * Positions of every slot, goalkeeper first
+ */
+const FORMATIONS = {
+    '3-4-3': ['GK', 'CB', 'CB', 'CB', 'LM', 'CM', 'CM', 'RM', 'LW', 'ST', 'RW'],
+    '3-5-2': ['GK', 'CB', 'CB', 'CB', 'CDM', 'CDM', 'LM', 'CAM', 'RM', 'ST', 'ST'],
+    '4-1-2-1-2': ['GK', 'LB', 'CB', 'CB', 'RB', 'CDM', 'LM', 'RM', 'CAM', 'ST', 'ST'],
+    '4-2-3-1': ['GK', 'LB', 'CB', 'CB', 'RB', 'CDM', 'CDM', 'CAM', 'CAM', 'CAM', 'ST'],
+    '4-3-3': ['GK', 'LB', 'CB', 'CB', 'RB', 'CM', 'CM', 'CM', 'LW', 'ST', 'RW'],
+    '4-4-2': ['GK', 'LB', 'CB', 'CB', 'RB', 'LM', 'CM', 'CM', 'RM', 'ST', 'ST'],
+    '4-5-1': ['GK', 'LB', 'CB', 'CB', 'RB', 'LM', 'CM', 'CAM', 'CM', 'RM', 'ST'],
+    '5-3-2': ['GK', 'LWB', 'CB', 'CB', 'CB', 'RWB', 'CM', 'CM', 'CM', 'ST', 'ST']
+};
+
+/**
+ * Resolve a formation name or a list of slot positions
+ * @param {string|string[]} formation - Formation name (e.g. '4-4-2') or slot positions
+ * @returns {string[]} - Slot positions
+ */
+function getFormationPositions(formation) {
+    if (Array.isArray(formation)) return formation;
+    if (!FORMATIONS[formation]) {
+        throw new Error(`Unknown formation: ${formation}`);
+    }
+    return FORMATIONS[formation];
+}
+
+/**
+ * Get the chemistry points for a count
+ * @param {number} count - Weighted number of players sharing the attribute
+ * @param {number[]} thresholds - Counts needed for 1, 2 and 3 points
+ * @returns {number} - Chemistry points (0-3)
+ */
+function getThresholdPoints(count, thresholds) {
+    return thresholds.filter(threshold => count >= threshold).length;
+}
+
+/**
+ * Get how much a card adds to its club, league and nation counts
+ * @param {Card} card - Card in position
+ * @returns {{club: number, league: number, nation: number}} - Count weights
+ */
+function getChemistryWeights(card) {
+    return (SPECIAL_RARITIES[card.rarity] || {}).weights || DEFAULT_WEIGHTS;
+}
+
+/**
+ * Normalise the squad into placements. An entry can be a card (it takes the
+ * position of its formation slot) or `{ card, position }`.
+ * @param {Array<Object|Card>} squad - Squad entries in formation slot order
+ * @param {string[]|null} slots - Formation slot positions
+ * @returns {Array<{card: Card, position: string|null}>} - Placements
+ */
+function toPlacements(squad, slots) {
+    return squad.map((entry, index) => {
+        const placed = entry && entry.card !== undefined;
+        return {
+            card: Card.from(placed ? entry.card : entry),
+            position: (placed && entry.position) || (slots ? slots[index] : null)
+        };
+    });
+}
+
+/**
+ * Check that the placement positions match the formation slots
+ * @param {Array<{position: string|null}>} placements - Placements
+ * @param {string[]} slots - Formation slot positions
+ * @returns {string[]} - Validation errors
+ */
+function validatePlacements(placements, slots) {
+    if (placements.length !== slots.length) {
+        return [`Formation has ${slots.length} slots but the squad has ${placements.length} players`];
+    }
+
+    const open = {};
+    slots.forEach(position => { open[position] = (open[position] || 0) + 1; });
+
+    const errors = [];
+    placements.forEach((placement, index) => {
+        if (!open[placement.position]) {
+            errors.push(`Position ${placement.position} at index ${index} is not part of the formation`);
+        } else {
+            open[placement.position]--;
+        }
+    });
+    return errors;
+}
+
+/**
+ * Calculate per-player and team chemistry
+ * @param {Array<Object|Card>} squad - Cards in formation slot order, or `{ card, position }` entries
+ * @param {string|string[]} formation - Formation name or slot positions (optional when every entry has a position)
+ * @returns {Object} - Team chemistry, per-player breakdown, counts and errors
+ */
+function calculateChemistry(squad, formation = null) {
+    const slots = formation ? getFormationPositions(formation) : null;
+    const placements = toPlacements(squad, slots);
+    const errors = slots ? validatePlacements(placements, slots) : [];
+
+    const counts = { club: {}, league: {}, nation: {} };
+    const inPosition = placements.map(({ card, position }) => card.positions.includes(position));
+
+    placements.forEach(({ card }, index) => {
+        if (!inPosition[index]) return;
+        const weights = getChemistryWeights(card);
+        Object.keys(counts).forEach(attribute => {
+            const value = card[attribute];
+            if (value === null) return;
+            counts[attribute][value] = (counts[attribute][value] || 0) + weights[attribute];
+        });
+    });
+
+    const players = placements.map(({ card, position }, index) => {
+        const points = { club: 0, league: 0, nation: 0 };
+        let chemistry = 0;
+
+        if (inPosition[index]) {
+            Object.keys(points).forEach(attribute => {
+                const value = card[attribute];
+                if (value === null) return;
+                points[attribute] = getThresholdPoints(counts[attribute][value], CHEMISTRY_THRESHOLDS[attribute]);
+            });
+
+            const special = SPECIAL_RARITIES[card.rarity];
+            chemistry = special && special.fullChemistry
+                ? MAX_PLAYER_CHEMISTRY
+                : Math.min(MAX_PLAYER_CHEMISTRY, points.club + points.league + points.nation);
+        }
+
+        return {
+            cardId: card.id,
+            position,
+            inPosition: inPosition[index],
+            points,
+            chemistry
+        };
+    });
+
+    return {
+        teamChemistry: players.reduce((sum, player) => sum + player.chemistry, 0),
+        maxChemistry: players.length * MAX_PLAYER_CHEMISTRY,
+        players,
+        counts,
+        errors
+    };
+}
+
+/**
+ * Try to give every card in `subset` a slot it can play (Kuhn's matching)
+ * @param {Card[]} cards - Cards to place
+ * @param {number[]} subset - Indexes of the cards that must be in position
+ * @param {string[]} slots - Formation slot positions
+ * @returns {number[]|null} - Card index per slot (-1 when free), null when impossible
+ */
+function matchInPosition(cards, subset, slots) {
+    const slotOwner = new Array(slots.length).fill(-1);
+
+    const place = (cardIndex, visited) => {
+        for (let slot = 0; slot < slots.length; slot++) {
+            if (visited[slot] || !cards[cardIndex].positions.includes(slots[slot])) continue;
+            visited[slot] = true;
+            if (slotOwner[slot] === -1 || place(slotOwner[slot], visited)) {
+                slotOwner[slot] = cardIndex;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (const cardIndex of subset) {
+        if (!place(cardIndex, new Array(slots.length).fill(false))) return null;
+    }
+    return slotOwner;
+}
+
+/**
+ * Place cards into a formation with the highest team chemistry.
+ *
+ * Putting one more player in position never lowers anybody's chemistry, so
+ * the best placement keeps a largest possible set of players in position.
+ * All such sets have the same size (matching matroid), which keeps the
+ * search to the subsets of that size.
+ * @param {Array<Object|Card>} cards - Cards to place (as many as the formation has slots)
+ * @param {string|string[]} formation - Formation name or slot positions
+ * @returns {Object} - `placements` in formation slot order plus the chemistry result
+ */
+function findBestPlacement(cards, formation) {
+    const slots = getFormationPositions(formation);
+    const squad = cards.map(card => Card.from(card));
+    if (squad.length !== slots.length) {
+        throw new Error(`Formation has ${slots.length} slots but ${squad.length} cards were given`);
+    }
+
+    let best = null;
+    const consider = slotOwner => {
+        const free = squad.map((card, index) => index).filter(index => !slotOwner.includes(index));
+        const placements = slotOwner.map((owner, slot) => ({
+            card: squad[owner === -1 ? free.shift() : owner],
+            position: slots[slot]
+        }));
+        const chemistry = calculateChemistry(placements, slots);
+        if (!best || chemistry.teamChemistry > best.teamChemistry) {
+            best = { placements, ...chemistry };
+        }
+    };
+
+    for (let size = squad.length; size >= 0 && !best; size--) {
+        forEachSubset(squad.length, size, subset => {
+            const slotOwner = matchInPosition(squad, subset, slots);
+            if (slotOwner) consider(slotOwner);
+        });
+    }
+
+    return best;
+}
+
+/**
+ * Call `visit` with every subset of {0..n-1} of the given size
+ * @param {number} n - Number of elements
+ * @param {number} size - Subset size
+ * @param {Function} visit - Callback receiving the subset indexes
+ */
+function forEachSubset(n, size, visit) {
+    const subset = [];
+    const walk = start => {
+        if (subset.length === size) {
+            visit([...subset]);
+            return;
+        }
+        for (let i = start; i <= n - (size - subset.length); i++) {
+            subset.push(i);
+            walk(i + 1);
+            subset.pop();
+        }
+    };
+    walk(0);
+}
+
+module.exports = {
+    MAX_PLAYER_CHEMISTRY,
+    CHEMISTRY_THRESHOLDS,
+    SPECIAL_RARITIES,
+    FORMATIONS,
+    getFormationPositions,
+    getThresholdPoints,
+    getChemistryWeights,
+    calculateChemistry,
+    findBestPlacement
+};
@@ -0,0 +1,542 @@
+const fs = require('fs');
+const { SBCRatingCalculator } = require('./index.js');
+const { PriceSource } = require('./PriceSource.js');
+const { RATING_PROFILES } = require('./RatingProfiles.js');
+
+/**
+ * The `sbc-calc` command line tool: the SBCRatingCalculator methods for
+ * ad-hoc solves from inventory and price files.
+ *
+ * Inventories are JSON (an array of ratings or cards, or `{ cards }`) or CSV
+ * (a header row with at least a `rating` column, or bare ratings). Prices are
+ * a JSON rating map, a JSON price snapshot or a CSV snapshot (see
+ * PriceSource.js). `-` reads a file from stdin; its format is guessed from
+ * the first character.
+ *
+ * Node only: the library build does not include this module.
+ */
+
+/**
+ * Exit codes
+ */
+const EXIT_CODES = {
+    ok: 0,
+    // No squad reaches the target, the squad is invalid or the target is out of reach
+    failed: 1,
+    // Bad arguments or unreadable input
+    usage: 2
+};
+
+const USAGE = `Usage: sbc-calc <command> [options]
+
+Commands:
+  rating [ratings...]   Team rating of a squad, with the points to the next rating
+  solve                 Cheapest squads reaching a target rating
+  min-needed            Minimum ratings the open slots of a partial squad need
+  validate [ratings...] Check a squad against a target rating and chemistry
+  stats [ratings...]    Statistics of an inventory
+
+Options:
+  --target <rating>       Target squad rating
+  --inventory <file|->    Club cards or ratings (JSON or CSV)
+  --squad <file|->        Squad cards or ratings (rating, validate)
+  --prices <file|->       Rating prices or a price snapshot (JSON or CSV)
+  --platform <name>       Platform of the price snapshot (console or pc)
+  --existing <ratings>    Ratings already in the squad, comma separated
+  --remaining <n>         Players still to add (min-needed)
+  --squad-size <n>        Number of players in the squad (default: 11)
+  --max-solutions <n>     Solutions to print (solve, default: 5)
+  --max-nodes <n>         Search node limit (solve)
+  --sort <price|points>   Rank squads by price or rating points (solve, default: price)
+  --buy                   Buy missing cards at the rating prices (solve)
+  --reserve <file|->      Reservations JSON: { protect, maxUse, keep } (solve)
+  --formation <name>      Formation to check chemistry in (validate)
+  --min-chemistry <n>     Minimum team chemistry (validate)
+  --profile <name|file>   Rating profile: ${Object.keys(RATING_PROFILES).join(', ')} or a JSON file
+  --json                  Print the result as JSON
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 no solution or invalid squad, 2 bad usage or input`;
+
+const VALUE_FLAGS = [
+    'target', 'inventory', 'squad', 'prices', 'platform', 'existing', 'remaining', 'squad-size',
+    'max-solutions', 'max-nodes', 'sort', 'formation', 'min-chemistry', 'profile', 'reserve'
+];
+const BOOLEAN_FLAGS = ['buy', 'json', 'help'];
+
+/**
+ * Split the arguments into a command, flags and positional values
+ * @param {string[]} argv - Arguments after the program name
+ * @returns {Object} - `{ command, flags, positional }`
+ */
+function parseArguments(argv) {
+    const flags = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            flags.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--') || arg === '--') {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.includes(name)) {
+            if (inline !== undefined) throw new Error(`--${name} does not take a value`);
+            flags[name] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            flags[name] = value;
+        } else {
+            throw new Error(`Unknown option: --${name}`);
+        }
+    }
+
+    return { command: positional.shift() || null, flags, positional };
+}
+
+/**
+ * Parse an integer flag
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @param {number} fallback - Value when the flag is missing
+ * @returns {number} - Integer value
+ */
+function integerFlag(flags, name, fallback) {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isInteger(value)) {
+        throw new Error(`--${name} must be an integer: ${flags[name]}`);
+    }
+    return value;
+}
+
+/**
+ * Parse a list of ratings
+ * @param {string[]} values - Ratings, each possibly comma separated
+ * @returns {number[]} - Ratings
+ */
+function parseRatings(values) {
+    return values
+        .flatMap(value => value.split(','))
+        .map(value => value.trim())
+        .filter(value => value !== '')
+        .map(value => {
+            const rating = Number(value);
+            if (!Number.isInteger(rating)) throw new Error(`Invalid rating: ${value}`);
+            return rating;
+        });
+}
+
+/**
+ * Whether text holds JSON rather than CSV
+ * @param {string} text - File contents
+ * @param {string} path - File path (`-` for stdin)
+ * @returns {boolean} - True for JSON
+ */
+function isJSON(text, path) {
+    if (/\.json$/i.test(path)) return true;
+    if (/\.csv$/i.test(path)) return false;
+    return /^\s*[[{]/.test(text);
+}
+
+/**
+ * Parse a CSV value of an inventory column
+ * @param {string} column - Column name
+ * @param {string} value - Raw value
+ * @returns {*} - Parsed value, undefined when empty
+ */
+function parseCardValue(column, value) {
+    if (value === '') return undefined;
+    if (column === 'rating' || column === 'price') return Number(value);
+    if (column === 'tradeable') return /^(true|yes|1)$/i.test(value);
+    if (column === 'positions') return value.split(/[|;]/).map(position => position.trim());
+    return value;
+}
+
+/**
+ * Parse an inventory
+ * @param {string} text - JSON or CSV text
+ * @param {string} path - File path, used for the format and in messages
+ * @returns {Object} - `{ cards }` for card inventories or `{ ratings }` for plain ratings
+ */
+function parseInventory(text, path) {
+    if (isJSON(text, path)) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : (data.cards || data.ratings);
+        if (!Array.isArray(entries)) {
+            throw new Error(`${path}: expected an array of ratings or cards`);
+        }
+        return entries.every(entry => typeof entry === 'number')
+            ? { ratings: entries }
+            : { cards: entries };
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return { ratings: [] };
+
+    // Bare ratings, one or several per line
+    if (lines.every(line => /^[\d\s,]+$/.test(line))) {
+        return { ratings: parseRatings(lines) };
+    }
+
+    const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+    if (!header.includes('rating')) {
+        throw new Error(`${path}: inventory CSV needs a rating column`);
+    }
+
+    const cards = lines.slice(1).map((line, index) => {
+        const values = line.split(',').map(value => value.trim());
+        const card = {};
+        header.forEach((column, i) => {
+            const value = parseCardValue(column, values[i] || '');
+            if (value !== undefined) card[column] = value;
+        });
+        if (!Number.isInteger(card.rating)) {
+            throw new Error(`${path}: invalid rating on line ${index + 2}`);
+        }
+        if (card.id === undefined) card.id = index;
+        return card;
+    });
+    return { cards };
+}
+
+/**
+ * Parse prices: a plain rating map or a price snapshot
+ * @param {string} text - JSON or CSV text
+ * @param {string} path - File path, used for the format
+ * @param {string} platform - Platform of the snapshot
+ * @returns {Object.<number, number>|PriceSource} - Prices for the calculator
+ */
+function parsePrices(text, path, platform) {
+    if (!isJSON(text, path)) {
+        return PriceSource.fromCSV(text, { platform });
+    }
+    const data = JSON.parse(text);
+    const isSnapshot = ['ratings', 'cards', 'listings', 'platforms'].some(key => data[key] !== undefined);
+    if (isSnapshot) {
+        return PriceSource.fromJSON(data, { platform });
+    }
+    return data;
+}
+
+/**
+ * Sources of the input files; only one of them can be stdin
+ * @param {Object} io - Input and output
+ * @returns {Function} - Reader, (path) => Promise<string>
+ */
+function createReader(io) {
+    let stdinUsed = false;
+    return async path => {
+        if (path === '-') {
+            if (stdinUsed) throw new Error('Only one input can be read from stdin');
+            stdinUsed = true;
+            return io.readStdin();
+        }
+        try {
+            return io.readFile(path);
+        } catch (error) {
+            throw new Error(`Cannot read ${path}: ${error.code || error.message}`);
+        }
+    };
+}
+
+/**
+ * Format rows as an aligned text table
+ * @param {string[]} headers - Column headers
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} - Table text
+ */
+function formatTable(headers, rows) {
+    const cells = [headers, ...rows.map(row => row.map(value => (value === null || value === undefined ? '-' : String(value))))];
+    const widths = headers.map((header, i) => Math.max(...cells.map(row => row[i].length)));
+    return cells
+        .map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+/**
+ * Format a squad as "2x85 9x84", highest rating first
+ * @param {Array<{rating: number, count: number}>} squad - Rating counts
+ * @returns {string} - Squad text
+ */
+function formatSquad(squad) {
+    return [...squad]
+        .sort((a, b) => b.rating - a.rating)
+        .map(entry => `${entry.count}x${entry.rating}`)
+        .join(' ');
+}
+
+/**
+ * Format coins with thousands separators
+ * @param {number} coins - Coins
+ * @returns {string} - Coin text
+ */
+function formatCoins(coins) {
+    return Number.isFinite(coins) ? Math.round(coins).toLocaleString('en-US') : String(coins);
+}
+
+/**
+ * Read the squad of `rating` and `validate`: ratings as arguments or a file
+ * @param {Object} args - Parsed arguments
+ * @param {Function} read - File reader
+ * @returns {Promise<Array<number|Object>>} - Ratings or cards
+ */
+async function readSquad(args, read) {
+    if (args.flags.squad) {
+        const inventory = parseInventory(await read(args.flags.squad), args.flags.squad);
+        return inventory.cards || inventory.ratings;
+    }
+    return parseRatings(args.positional);
+}
+
+/**
+ * Read the inventory of `solve` and `stats`
+ * @param {Object} args - Parsed arguments
+ * @param {Function} read - File reader
+ * @returns {Promise<Object>} - `{ cards }` or `{ ratings }`
+ */
+async function readInventory(args, read) {
+    if (args.flags.inventory) {
+        return parseInventory(await read(args.flags.inventory), args.flags.inventory);
+    }
+    return { ratings: parseRatings(args.positional) };
+}
+
+/**
+ * Read the rating profile flag: a profile name or a JSON file
+ * @param {Object} args - Parsed arguments
+ * @param {Function} read - File reader
+ * @returns {Promise<string|Object|undefined>} - Rating profile
+ */
+async function readProfile(args, read) {
+    const { profile } = args.flags;
+    if (profile === undefined || RATING_PROFILES[profile]) return profile;
+    return JSON.parse(await read(profile));
+}
+
+/**
+ * Read the target flag
+ * @param {Object} args - Parsed arguments
+ * @param {boolean} required - Whether the command needs a target
+ * @returns {number|undefined} - Target rating
+ */
+function readTarget(args, required) {
+    if (required && args.flags.target === undefined) {
+        throw new Error('--target is required');
+    }
+    return integerFlag(args.flags, 'target', undefined);
+}
+
+/**
+ * Throw the error of a calculator result
+ * @param {Object} result - Calculator result
+ * @returns {Object} - The result when it has no error
+ */
+function checkResult(result) {
+    if (result.error) throw new Error(result.error);
+    return result;
+}
+
+const COMMANDS = {
+    async rating(args, calculator, read) {
+        const squad = await readSquad(args, read);
+        if (squad.length === 0) throw new Error('No ratings given');
+        const explanation = calculator.explainRating(squad, readTarget(args, false));
+
+        const lines = [
+            `Rating: ${explanation.rating}`,
+            `Sum: ${explanation.sum}, correction: ${explanation.correction.toFixed(2)}, total: ${explanation.total.toFixed(2)}`
+        ];
+        if (explanation.nextRating !== null) {
+            lines.push(`Points to ${explanation.nextRating}: ${explanation.pointsToNextRating === null ? 'out of reach' : explanation.pointsToNextRating}`);
+        }
+        if (explanation.targetRating !== null) {
+            lines.push(`Points to target ${explanation.targetRating}: ${explanation.pointsToTarget === null ? 'out of reach' : explanation.pointsToTarget}`);
+        }
+        lines.push(`Slack: ${explanation.slack}`);
+
+        const reached = explanation.targetRating === null || explanation.pointsToTarget === 0;
+        return { result: explanation, text: lines.join('\n'), ok: reached };
+    },
+
+    async solve(args, calculator, read) {
+        const targetRating = readTarget(args, true);
+        const inventory = await readInventory(args, read);
+        const prices = args.flags.prices ? parsePrices(await read(args.flags.prices), args.flags.prices, args.flags.platform) : {};
+        const reservations = args.flags.reserve ? JSON.parse(await read(args.flags.reserve)) : undefined;
+        const sort = args.flags.sort || 'price';
+        if (!['price', 'points'].includes(sort)) throw new Error(`--sort must be price or points: ${sort}`);
+
+        const result = checkResult(calculator.findSquadSolutions({
+            targetRating,
+            existingRatings: parseRatings(args.flags.existing ? [args.flags.existing] : []),
+            availableRatings: inventory.ratings,
+            availableCards: inventory.cards || null,
+            [prices instanceof PriceSource ? 'priceSource' : 'priceByRating']: prices,
+            squadSize: integerFlag(args.flags, 'squad-size', 11),
+            maxSolutions: integerFlag(args.flags, 'max-solutions', 5),
+            maxNodes: integerFlag(args.flags, 'max-nodes', Infinity),
+            sortByPrice: sort === 'price',
+            buyFromMarket: Boolean(args.flags.buy),
+            reservations
+        }));
+
+        const status = result.proven === false ? ' (search limit hit, not proven cheapest)' : '';
+        const lines = [`Target ${targetRating}: ${result.solutionsFound} solution${result.solutionsFound === 1 ? '' : 's'}${status}`];
+        if (result.solutionsFound > 0) {
+            lines.push(formatTable(
+                ['#', 'Price', 'Rating', 'Points', 'Buy', 'Squad'],
+                result.solutions.map((solution, i) => [
+                    i + 1,
+                    formatCoins(solution.price),
+                    solution.actualRating,
+                    solution.totalRatingPoints,
+                    solution.toBuy ? solution.toBuy.length : null,
+                    formatSquad(solution.squad)
+                ])
+            ));
+        }
+        const constrained = (result.reservations || []).filter(reservation => reservation.constrained);
+        if (constrained.length > 0) {
+            lines.push(`Constrained by: ${constrained.map(reservation => reservation.type === 'protect'
+                ? `protect ${reservation.cardId}`
+                : `${reservation.type} ${reservation.limit}x${reservation.rating}`).join(', ')}`);
+        }
+        (result.priceWarnings || []).forEach(warning => lines.push(`Warning: ${warning}`));
+        return { result, text: lines.join('\n'), ok: result.solutionsFound > 0 };
+    },
+
+    async 'min-needed'(args, calculator, read) {
+        const targetRating = readTarget(args, true);
+        const prices = args.flags.prices ? parsePrices(await read(args.flags.prices), args.flags.prices, args.flags.platform) : null;
+        const result = checkResult(calculator.findMinimumRatings({
+            targetRating,
+            existingRatings: parseRatings(args.flags.existing ? [args.flags.existing] : []),
+            remainingSlots: integerFlag(args.flags, 'remaining', undefined),
+            squadSize: integerFlag(args.flags, 'squad-size', 11),
+            [prices instanceof PriceSource ? 'priceSource' : 'priceByRating']: prices
+        }));
+
+        const lines = [
+            `Current rating: ${result.currentRating}, open slots: ${result.remainingSlots}`,
+            result.reachable
+                ? `Target ${targetRating}: every open slot at ${result.uniformRating}, last slot at ${result.lastSlotRating}, at least ${result.requiredSum} rating points`
+                : `Target ${targetRating} is out of reach`,
+            formatTable(
+                ['Target', 'Uniform', 'Last slot', 'Points', 'Cheapest'],
+                result.table.map(row => [
+                    row.targetRating,
+                    row.uniformRating,
+                    row.lastSlotRating,
+                    row.requiredSum,
+                    row.cheapest ? row.cheapest.ratings.join(' ') : null
+                ])
+            )
+        ];
+        return { result, text: lines.join('\n'), ok: result.reachable };
+    },
+
+    async validate(args, calculator, read) {
+        const targetRating = readTarget(args, true);
+        const squad = await readSquad(args, read);
+        const minChemistry = integerFlag(args.flags, 'min-chemistry', 0);
+        const result = calculator.validateSquad(squad, targetRating, integerFlag(args.flags, 'squad-size', 11), {
+            formation: args.flags.formation,
+            minChemistry
+        });
+        return { result, text: `${result.valid ? 'Valid' : 'Invalid'}: ${result.message}`, ok: result.valid };
+    },
+
+    async stats(args, calculator, read) {
+        const inventory = await readInventory(args, read);
+        const ratings = inventory.ratings || inventory.cards.map(card => card.rating);
+        const statistics = calculator.getRatingStatistics(ratings);
+        const counts = Object.entries(ratings.reduce((acc, rating) => {
+            acc[rating] = (acc[rating] || 0) + 1;
+            return acc;
+        }, {})).map(([rating, count]) => ({ rating: +rating, count })).sort((a, b) => b.rating - a.rating);
+        const result = { ...statistics, counts };
+
+        const text = [
+            `Cards: ${statistics.count}, min: ${statistics.min}, max: ${statistics.max}, average: ${statistics.average}, median: ${statistics.median}`,
+            ...(counts.length > 0 ? [formatTable(['Rating', 'Count'], counts.map(entry => [entry.rating, entry.count]))] : [])
+        ].join('\n');
+        return { result, text, ok: true };
+    }
+};
+
+/**
+ * Run the tool
+ * @param {string[]} argv - Arguments after the program name
+ * @param {Object} io - Input and output (default: the process)
+ * @param {Function} io.readStdin - Reads stdin, () => Promise<string>
+ * @param {Function} io.readFile - Reads a file, (path) => string
+ * @param {Function} io.stdout - Writes a line of output
+ * @param {Function} io.stderr - Writes a line of errors
+ * @returns {Promise<number>} - Exit code (see EXIT_CODES)
+ */
+async function run(argv, io = {}) {
+    const {
+        readStdin = readProcessStdin,
+        readFile = path => fs.readFileSync(path, 'utf8'),
+        stdout = line => process.stdout.write(`${line}\n`),
+        stderr = line => process.stderr.write(`${line}\n`)
+    } = io;
+
+    let args;
+    try {
+        args = parseArguments(argv);
+    } catch (error) {
+        stderr(`sbc-calc: ${error.message}`);
+        return EXIT_CODES.usage;
+    }
+
+    if (args.flags.help || !args.command) {
+        (args.flags.help ? stdout : stderr)(USAGE);
+        return args.flags.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!COMMANDS[args.command]) {
+        stderr(`sbc-calc: unknown command: ${args.command}`);
+        return EXIT_CODES.usage;
+    }
+
+    try {
+        const read = createReader({ readStdin, readFile });
+        const calculator = new SBCRatingCalculator({ ratingProfile: await readProfile(args, read) });
+        const { result, text, ok } = await COMMANDS[args.command](args, calculator, read);
+        stdout(args.flags.json ? JSON.stringify(result, null, 2) : text);
+        return ok ? EXIT_CODES.ok : EXIT_CODES.failed;
+    } catch (error) {
+        stderr(`sbc-calc: ${error.message}`);
+        return EXIT_CODES.usage;
+    }
+}
+
+/**
+ * Read all of the process's stdin
+ * @returns {Promise<string>} - Stdin text
+ */
+function readProcessStdin() {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(chunks.join('')));
+        process.stdin.on('error', reject);
+    });
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArguments,
+    parseInventory,
+    parsePrices,
+    formatTable,
+    run
+};
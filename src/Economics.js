@@ -0,0 +1,172 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { TRANSFER_TAX, isOwned } = require('./Ownership.js');
+
+/**
+ * Market economics: what a squad really costs once the transfer tax, the
+ * buy/sell spread and quick-sell values are taken into account.
+ *
+ * - buy cost:         coins spent on cards bought from the market
+ * - opportunity cost: coins the club cards could still bring in, the better
+ *                     of selling them (after spread and tax) and quick selling
+ * - net cost:         buy cost plus opportunity cost
+ *
+ * Cards without a source are club stock, as in Ownership.js: owned and
+ * sellable.
+ */
+
+/**
+ * Approximate quick-sell values by quality and rarity. Gold cards gain
+ * `goldStep` coins per rating above 75.
+ */
+const DEFAULT_QUICK_SELL = {
+    bronze: { common: 20, rare: 40 },
+    silver: { common: 90, rare: 175 },
+    gold: { common: 400, rare: 650 },
+    goldStep: 100
+};
+
+class MarketEconomics {
+    /**
+     * Create an economics model
+     * @param {Object} options - Model options
+     * @param {number} options.tax - Transfer tax on sales (default: 0.05)
+     * @param {number} options.spread - Share below the buy price that cards sell for (default: 0)
+     * @param {Object} options.quickSell - Quick-sell table like DEFAULT_QUICK_SELL
+     * @param {Object.<number, number>} options.quickSellByRating - Quick-sell values that override the table per rating
+     */
+    constructor(options = {}) {
+        this.tax = options.tax === undefined ? TRANSFER_TAX : options.tax;
+        this.spread = options.spread || 0;
+        this.quickSell = { ...DEFAULT_QUICK_SELL, ...(options.quickSell || {}) };
+        this.quickSellByRating = options.quickSellByRating || {};
+    }
+
+    /**
+     * Coins paid to buy a card
+     * @param {Card} card - Card to buy
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {number} - Buy price
+     */
+    getBuyPrice(card, prices = {}) {
+        return card.getPrice(prices);
+    }
+
+    /**
+     * Coins received when selling a card: the buy price minus the spread,
+     * then minus the transfer tax (rounded down)
+     * @param {Card} card - Card to sell
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {number} - Coins received
+     */
+    getSellValue(card, prices = {}) {
+        const listed = Math.round(this.getBuyPrice(card, prices) * (1 - this.spread));
+        return Math.floor(listed * (1 - this.tax));
+    }
+
+    /**
+     * Coins received when quick selling a card
+     * @param {Card} card - Card to quick sell
+     * @returns {number} - Quick-sell value
+     */
+    getQuickSellValue(card) {
+        if (typeof this.quickSellByRating[card.rating] === 'number') {
+            return this.quickSellByRating[card.rating];
+        }
+        const quality = card.getQuality();
+        const base = this.quickSell[quality][card.isRare() ? 'rare' : 'common'];
+        return quality === 'gold' ? base + Math.max(0, card.rating - 75) * this.quickSell.goldStep : base;
+    }
+
+    /**
+     * Whether a card is owned (used from the club) rather than bought
+     * @param {Card} card - Card to check
+     * @returns {boolean} - True for storage, untradeable and club cards and cards without a source
+     */
+    isOwned(card) {
+        return isOwned(card);
+    }
+
+    /**
+     * Coins given up by putting an owned card into a squad
+     * @param {Card} card - Owned card
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {number} - Opportunity cost
+     */
+    getOpportunityCost(card, prices = {}) {
+        const quickSell = this.getQuickSellValue(card);
+        const sellable = card.source ? card.source === 'club' && card.tradeable : true;
+        return sellable ? Math.max(quickSell, this.getSellValue(card, prices)) : quickSell;
+    }
+
+    /**
+     * Cost of using a card, for the solvers to minimise
+     * @param {Card} card - Card to use
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {number} - Buy price for market cards, opportunity cost for owned ones
+     */
+    getCardCost(card, prices = {}) {
+        return this.isOwned(card) ? this.getOpportunityCost(card, prices) : this.getBuyPrice(card, prices);
+    }
+
+    /**
+     * Economics of a set of cards
+     * @param {Card[]} cards - Cards of a solution
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {{buyCost: number, opportunityCost: number, netCost: number}} - Cost breakdown
+     */
+    evaluateCards(cards, prices = {}) {
+        let buyCost = 0;
+        let opportunityCost = 0;
+        cards.forEach(card => {
+            if (this.isOwned(card)) {
+                opportunityCost += this.getOpportunityCost(card, prices);
+            } else {
+                buyCost += this.getBuyPrice(card, prices);
+            }
+        });
+        return { buyCost, opportunityCost, netCost: buyCost + opportunityCost };
+    }
+
+    /**
+     * Economics of a rating-only solution where every card is bought
+     * @param {number[]} ratings - Ratings of the solution
+     * @param {Object.<number, number>|PriceSource} prices - Price map or source
+     * @returns {{buyCost: number, opportunityCost: number, netCost: number}} - Cost breakdown
+     */
+    evaluateRatings(ratings, prices = {}) {
+        const buyCost = SolverHelper.getPrice(ratings, prices);
+        return { buyCost, opportunityCost: 0, netCost: buyCost };
+    }
+}
+
+// Models built from options objects, so the same options give the same model
+const resolvedModels = new WeakMap();
+let defaultModel = null;
+
+/**
+ * Resolve the `economics` option of the calculator methods. The same options
+ * object gives the same model, so what was cached for it (see Inventory.js) is reused.
+ * @param {boolean|Object|MarketEconomics} economics - true for the defaults, model options or a model
+ * @returns {MarketEconomics|null} - Economics model, null when not requested
+ */
+function resolveEconomics(economics) {
+    if (!economics) return null;
+    if (economics instanceof MarketEconomics) return economics;
+    if (economics === true) {
+        if (!defaultModel) defaultModel = new MarketEconomics();
+        return defaultModel;
+    }
+    // Options edited in place give a new model
+    const key = JSON.stringify(economics);
+    const cached = resolvedModels.get(economics);
+    if (cached && cached.key === key) return cached.model;
+    const model = new MarketEconomics(economics);
+    resolvedModels.set(economics, { key, model });
+    return model;
+}
+
+module.exports = {
+    DEFAULT_QUICK_SELL,
+    MarketEconomics,
+    resolveEconomics
+};
@@ -0,0 +1,97 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const { getCardCost, getSourceRank } = require('./Ownership.js');
+
+/**
+ * Marginal fodder values (shadow prices): what one more or one less card of a
+ * rating changes in the cost of the SBCs we plan to do.
+ *
+ * - removal cost:    extra coins the targets cost without one card of the
+ *                    rating (the cheapest one to use goes)
+ * - addition saving: coins saved by one more free card of the rating
+ *
+ * Targets are valued independently, each as if it had the whole club; the
+ * values are the sums over all targets.
+ */
+
+/**
+ * Cheapest card of a rating, the one the solver would use first
+ * @param {Card[]} cards - Inventory
+ * @param {number} rating - Rating to look for
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @returns {Card|null} - Card to remove
+ */
+function findCheapestCard(cards, rating, prices) {
+    let best = null;
+    let bestCost = Infinity;
+    cards.forEach(card => {
+        if (card.rating !== rating) return;
+        const cost = getCardCost(card, prices);
+        if (!best || cost < bestCost || (cost === bestCost && getSourceRank(card) < getSourceRank(best))) {
+            best = card;
+            bestCost = cost;
+        }
+    });
+    return best;
+}
+
+/**
+ * Value every rating of the inventory for a set of targets
+ * @param {Object} options - Valuation options
+ * @param {Array<Object>} options.targets - Targets as `{ targetRating, squadSize }`
+ * @param {Array<Object|Card>} options.cards - Club cards
+ * @param {Object.<number, number>|PriceSource} options.prices - Price map or source
+ * @param {number[]} options.ratings - Ratings to value (default: the ratings in the club)
+ * @param {Function} options.solve - Cheapest cost of a target, (target, cards) => number|null
+ * @returns {Object} - Base cost per target and the removal cost and addition saving per rating
+ */
+function valueFodder(options) {
+    const { prices = {}, solve } = options;
+    const targets = (options.targets || []).map(target =>
+        typeof target === 'number' ? { targetRating: target, squadSize: 11 } : { squadSize: 11, ...target });
+    const cards = (options.cards || []).map(card => Card.from(card));
+    const owned = SolverHelper.countRatings(cards.map(card => card.rating));
+    const ratings = options.ratings || Object.keys(owned).map(Number);
+
+    const costOf = (target, inventory) => {
+        const cost = solve(target, inventory);
+        return cost === null ? Infinity : cost;
+    };
+
+    const base = targets.map(target => costOf(target, cards));
+    const sum = values => values.reduce((total, value) => total + value, 0);
+    // Two infeasible costs differ by nothing rather than by NaN
+    const difference = (a, b) => a === b ? 0 : a - b;
+
+    const values = [...new Set(ratings)]
+        .sort((a, b) => b - a)
+        .map(rating => {
+            const removed = findCheapestCard(cards, rating, prices);
+            const withoutOne = removed ? cards.filter(card => card !== removed) : null;
+            const withOneMore = [...cards, new Card({ id: `added:${rating}`, rating, source: 'untradeable' })];
+
+            const byTarget = targets.map((target, i) => ({
+                targetRating: target.targetRating,
+                removalCost: withoutOne ? difference(costOf(target, withoutOne), base[i]) : null,
+                additionSaving: difference(base[i], costOf(target, withOneMore))
+            }));
+
+            return {
+                rating,
+                owned: owned[rating] || 0,
+                removalCost: withoutOne ? sum(byTarget.map(entry => entry.removalCost)) : null,
+                additionSaving: sum(byTarget.map(entry => entry.additionSaving)),
+                byTarget
+            };
+        });
+
+    return {
+        baseCost: sum(base),
+        targets: targets.map((target, i) => ({ ...target, baseCost: base[i] })),
+        ratings: values
+    };
+}
+
+module.exports = {
+    valueFodder
+};
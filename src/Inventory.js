@@ -0,0 +1,352 @@
+const { Card } = require('./Card.js');
+const { getCardCost } = require('./Ownership.js');
+const { buildCardPools } = require('./SquadOptimizer.js');
+const { isPriceSource } = require('./PriceSource.js');
+
+/**
+ * A club that changes over time: cards come in from packs and go out in
+ * submitted squads. Pass it as `availableCards` to any solver method.
+ *
+ * The inventory keeps its rating counts up to date as cards are added and
+ * removed, and caches what the solvers compute from its cards: the cost of
+ * every card and the rating pools. Only the cards and pools that changed
+ * are recomputed, so solving again after opening a pack does not re-cost
+ * the whole club. The cache is kept per cost function and holds for one set
+ * of prices; it compares the price values, so a price map edited in place
+ * is noticed. Price sources other than PriceSource are not cached.
+ *
+ * The exact, optimal, Pareto, paged, max-rating and async solvers reuse the
+ * cached pools; the requirement, batch and upgrade solvers reuse the card
+ * costs. planRepeatableSBC and calculateFodderValues solve copies of the club
+ * with cards taken out or added, so they start from scratch every time.
+ */
+
+const INVENTORY_EVENTS = ['change'];
+
+class Inventory {
+    /**
+     * Create an inventory
+     * @param {Array<Object|Card>} cards - Cards in the club
+     * @throws {Error} - When a card has no id, a duplicate id or an invalid rating
+     */
+    constructor(cards = []) {
+        this.cardsById = new Map();
+        this.cardsByRating = new Map();
+        this.counts = {};
+        this.version = 0;
+        this.listeners = [];
+        this.cardList = null;
+        this.caches = new Map();
+        this.insert(checkCards(cards, this.cardsById));
+    }
+
+    /**
+     * All cards, in the order they were added
+     * @returns {Card[]} - Cards (the same array until the inventory changes)
+     */
+    getCards() {
+        if (!this.cardList) this.cardList = [...this.cardsById.values()];
+        return this.cardList;
+    }
+
+    /**
+     * Card by id
+     * @param {string|number} id - Card id
+     * @returns {Card|null} - The card, null when it is not in the inventory
+     */
+    getCard(id) {
+        return this.cardsById.get(id) || null;
+    }
+
+    /**
+     * Number of cards per rating
+     * @returns {Object.<number, number>} - Object mapping ratings to counts
+     */
+    getRatingCounts() {
+        return { ...this.counts };
+    }
+
+    /**
+     * Ratings of every card, like an availableRatings array
+     * @returns {number[]} - One rating per card
+     */
+    getRatings() {
+        return this.getCards().map(card => card.rating);
+    }
+
+    /**
+     * Add cards
+     * @param {Object|Card|Array<Object|Card>} cards - One card or a list of cards
+     * @returns {Card[]} - The added cards
+     * @throws {Error} - When a card has no id, an id already in the inventory or an invalid rating
+     */
+    add(cards) {
+        const added = checkCards(Array.isArray(cards) ? cards : [cards], this.cardsById);
+        this.insert(added);
+        this.emit({ type: 'add', added, removed: [] });
+        return added;
+    }
+
+    /**
+     * Remove cards
+     * @param {string|number|Array<string|number>} ids - One card id or a list of ids
+     * @returns {Card[]} - The removed cards
+     * @throws {Error} - When an id is not in the inventory (nothing is removed then)
+     */
+    remove(ids) {
+        const removed = this.delete(Array.isArray(ids) ? ids : [ids]);
+        this.emit({ type: 'remove', added: [], removed });
+        return removed;
+    }
+
+    /**
+     * Remove the club cards of a submitted squad
+     * @param {Object|Array<string|number>} squad - Solution of a solver method (its `fromClub`
+     *   cards, or all of its `cardIds`) or a list of card ids
+     * @returns {Card[]} - The removed cards
+     * @throws {Error} - When a card is not in the inventory (nothing is removed then)
+     */
+    submitSquad(squad) {
+        const ids = Array.isArray(squad) ? squad : ((squad || {}).fromClub || (squad || {}).cardIds);
+        if (!Array.isArray(ids)) {
+            throw new Error("Squad must be a solution with card ids or a list of card ids");
+        }
+        const removed = this.delete(ids);
+        this.emit({ type: 'submit', added: [], removed });
+        return removed;
+    }
+
+    /**
+     * Listen to changes. Listeners get `{ type, added, removed, version }`, where
+     * type is 'add', 'remove', 'submit' or 'restore'.
+     * @param {string} event - 'change'
+     * @param {Function} listener - Called after every change
+     * @returns {Function} - Removes the listener
+     */
+    on(event, listener) {
+        if (!INVENTORY_EVENTS.includes(event)) {
+            throw new Error(`Unknown inventory event: ${event}`);
+        }
+        this.listeners.push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Stop listening to changes
+     * @param {string} event - 'change'
+     * @param {Function} listener - Listener passed to on
+     */
+    off(event, listener) {
+        this.listeners = this.listeners.filter(candidate => candidate !== listener);
+    }
+
+    /**
+     * Plain copy of the inventory, e.g. to store it or to undo a submission
+     * @returns {{version: number, cards: Object[]}} - Version and card fields
+     */
+    snapshot() {
+        return {
+            version: this.version,
+            cards: this.getCards().map(card => ({ ...card, positions: [...card.positions] }))
+        };
+    }
+
+    /**
+     * Replace the cards with the cards of a snapshot
+     * @param {{cards: Array<Object|Card>}} snapshot - Result of snapshot
+     * @throws {Error} - When the snapshot has invalid cards (the inventory is left unchanged then)
+     */
+    restore(snapshot) {
+        const cards = checkCards((snapshot || {}).cards || [], new Map());
+        const removed = this.getCards();
+
+        this.cardsById = new Map();
+        this.cardsByRating = new Map();
+        this.counts = {};
+        this.caches = new Map();
+        this.insert(cards);
+        this.emit({ type: 'restore', added: cards, removed });
+    }
+
+    /**
+     * Cost function that costs every card of the inventory once per set of prices
+     * @param {Object.<number, number>|PriceSource} priceByRating - Prices for cards without their own price
+     * @param {Function} costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+     * @returns {Function} - Cost function like costOf, to be called with the same prices
+     */
+    getCostFunction(priceByRating = {}, costOf = getCardCost) {
+        const cache = this.getCache(priceByRating, costOf);
+        if (!cache) return costOf;
+        return (card, prices) => {
+            // Cards from elsewhere (market cards) are costed every time
+            if (this.cardsById.get(card.id) !== card) return costOf(card, prices);
+            if (!cache.costs.has(card.id)) {
+                cache.costs.set(card.id, collectWarnings(prices, scoped => costOf(card, scoped)));
+            }
+            const { value, warnings } = cache.costs.get(card.id);
+            reportWarnings(prices, warnings);
+            return value;
+        };
+    }
+
+    /**
+     * Rating pools of every card for the solvers, see SquadOptimizer.js#buildCardPools
+     * @param {Object.<number, number>|PriceSource} priceByRating - Prices for cards without their own price
+     * @param {Function} costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+     * @returns {Array<{rating: number, costs: number[], cards: Card[]}>} - One pool per rating, cached until
+     *   the cards of the rating or the prices change
+     */
+    getPools(priceByRating = {}, costOf = getCardCost) {
+        const cache = this.getCache(priceByRating, costOf);
+        if (!cache) return buildCardPools(this.getCards(), priceByRating, costOf);
+
+        const cost = this.getCostFunction(priceByRating, costOf);
+        return [...this.cardsByRating.keys()].sort((a, b) => a - b).map(rating => {
+            if (!cache.pools.has(rating)) {
+                const cards = [...this.cardsByRating.get(rating).values()];
+                cache.pools.set(rating, collectWarnings(priceByRating, scoped => buildCardPools(cards, scoped, cost)[0]));
+            }
+            const { value, warnings } = cache.pools.get(rating);
+            reportWarnings(priceByRating, warnings);
+            return value;
+        });
+    }
+
+    /**
+     * Cached costs and pools of a cost function, emptied when the prices changed
+     * @param {Object.<number, number>|PriceSource} priceByRating - Prices
+     * @param {Function} costOf - Cost function
+     * @returns {Object|null} - Cache, null when the prices cannot be compared
+     */
+    getCache(priceByRating, costOf) {
+        const key = getPriceKey(priceByRating);
+        if (key === null) return null;
+        const cache = this.caches.get(costOf);
+        if (!cache || cache.key !== key) {
+            this.caches.set(costOf, { key, costs: new Map(), pools: new Map() });
+        }
+        return this.caches.get(costOf);
+    }
+
+    /**
+     * Add checked cards and update the counts
+     * @param {Card[]} cards - Cards with new ids
+     */
+    insert(cards) {
+        cards.forEach(card => {
+            this.cardsById.set(card.id, card);
+            if (!this.cardsByRating.has(card.rating)) this.cardsByRating.set(card.rating, new Map());
+            this.cardsByRating.get(card.rating).set(card.id, card);
+            this.counts[card.rating] = (this.counts[card.rating] || 0) + 1;
+            this.invalidate(card);
+        });
+    }
+
+    /**
+     * Remove cards by id and update the counts
+     * @param {Array<string|number>} ids - Ids of cards in the inventory
+     * @returns {Card[]} - The removed cards
+     * @throws {Error} - When an id is not in the inventory (nothing is removed then)
+     */
+    delete(ids) {
+        const unknown = ids.filter(id => !this.cardsById.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown card id: ${unknown.join(', ')}`);
+        }
+
+        return [...new Set(ids)].map(id => {
+            const card = this.cardsById.get(id);
+            const sameRating = this.cardsByRating.get(card.rating);
+            this.cardsById.delete(id);
+            sameRating.delete(id);
+            if (sameRating.size === 0) this.cardsByRating.delete(card.rating);
+            this.counts[card.rating] -= 1;
+            if (this.counts[card.rating] === 0) delete this.counts[card.rating];
+            this.invalidate(card);
+            return card;
+        });
+    }
+
+    /**
+     * Drop what was cached for a card that came in or went out
+     * @param {Card} card - Changed card
+     */
+    invalidate(card) {
+        this.cardList = null;
+        this.caches.forEach(cache => {
+            cache.costs.delete(card.id);
+            cache.pools.delete(card.rating);
+        });
+    }
+
+    /**
+     * Count a change and tell the listeners
+     * @param {Object} change - Type and the added and removed cards
+     */
+    emit(change) {
+        this.version += 1;
+        const event = { ...change, version: this.version };
+        this.listeners.forEach(listener => listener(event));
+    }
+}
+
+/**
+ * Key of a set of prices, see PriceSource#getKey
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @returns {string|null} - Key, null for price sources without one
+ */
+function getPriceKey(prices) {
+    if (!isPriceSource(prices)) return JSON.stringify(prices || {});
+    return typeof prices.getKey === 'function' ? prices.getKey() : null;
+}
+
+/**
+ * Run a computation on prices and keep the price warnings it raised, so they
+ * can be reported again when its cached result is used
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @param {Function} compute - Computation, (prices) => value
+ * @returns {{value: *, warnings: string[]}} - Result and warnings
+ */
+function collectWarnings(prices, compute) {
+    if (!isPriceSource(prices) || typeof prices.forCall !== 'function') {
+        return { value: compute(prices), warnings: [] };
+    }
+    const scoped = prices.forCall();
+    return { value: compute(scoped), warnings: scoped.warnings };
+}
+
+/**
+ * Report cached price warnings on the prices of the current calculation
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @param {string[]} warnings - Warnings of a cached result
+ */
+function reportWarnings(prices, warnings) {
+    warnings.forEach(message => prices.handleMissing(message));
+}
+
+/**
+ * Check cards before they go into an inventory
+ * @param {Array<Object|Card>} cards - New cards
+ * @param {Map} cardsById - Cards already in the inventory
+ * @returns {Card[]} - The cards as Card instances
+ * @throws {Error} - When a card has no id, a duplicate id or an invalid rating
+ */
+function checkCards(cards, cardsById) {
+    const errors = Card.validate(cards);
+    if (errors.length === 0) {
+        cards.forEach(card => {
+            if (cardsById.has(card.id)) {
+                errors.push(`Duplicate card id: ${card.id}`);
+            }
+            if (!Number.isInteger(card.rating) || card.rating < 45 || card.rating > 99) {
+                errors.push(`Invalid rating for card ${card.id}: ${card.rating}`);
+            }
+        });
+    }
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+    return cards.map(card => Card.from(card));
+}
+
+module.exports = { Inventory, INVENTORY_EVENTS };
@@ -0,0 +1,92 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const { createMarketCards, getCoinCost } = require('./Ownership.js');
+const { solveSquad, buildCardPools, mergePools } = require('./SquadOptimizer.js');
+
+/**
+ * Highest squad rating an inventory can reach, optionally buying cards for up
+ * to a coin budget.
+ *
+ * The fewest coins a target needs never drop when the target goes up (a squad
+ * that reaches t + 1 also reaches t), so the highest affordable target is
+ * found with a binary search over exact solves. Club cards cost no coins;
+ * among equal squads duplicates and untradeables are used first.
+ */
+
+/**
+ * Find the highest rating reachable from an inventory and a budget
+ * @param {Object} options - Search options
+ * @param {Array<Object|Card>} options.cards - Club cards
+ * @param {Array<Object>} options.clubPools - Pools of the club cards costed with getCoinCost
+ *   (default: built from the cards)
+ * @param {number} options.squadSize - Number of players in the squad (default: 11)
+ * @param {Object.<number, number>|PriceSource} options.priceByRating - Buy prices; without them nothing can be bought
+ * @param {number} options.budget - Coins that may be spent on market cards (default: 0)
+ * @param {number} options.maxNodes - Search node limit of every solve
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - The highest rating, the squad reaching it and the cheapest squad one rating higher
+ */
+function findMaxRating(options) {
+    const {
+        squadSize = 11,
+        priceByRating = {},
+        budget = 0,
+        maxNodes,
+        ratingProfile
+    } = options;
+
+    const cards = (options.cards || []).map(card => Card.from(card));
+    const market = createMarketCards(priceByRating, squadSize);
+    const pools = mergePools(
+        options.clubPools || buildCardPools(cards, priceByRating, getCoinCost),
+        buildCardPools(market, priceByRating, getCoinCost)
+    );
+    let proven = true;
+
+    const cheapest = targetRating => {
+        const result = solveSquad({ targetRating, pools, slots: squadSize, objective: 'price', maxNodes, ratingProfile });
+        if (!result.proven) proven = false;
+        return result.solutions[0] || null;
+    };
+    const affordable = targetRating => {
+        const solution = cheapest(targetRating);
+        return solution !== null && solution.price <= budget ? solution : null;
+    };
+
+    // The best club cards alone are a safe starting point
+    let low = 0;
+    if (cards.length >= squadSize) {
+        const top = cards.map(card => card.rating).sort((a, b) => b - a).slice(0, squadSize);
+        low = SolverHelper.getRating(top, ratingProfile);
+    }
+    let best = low > 0 ? affordable(low) : null;
+    let high = 99;
+
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        const solution = affordable(mid);
+        if (solution) {
+            low = mid;
+            best = solution;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    const maxRating = best ? low : null;
+    const next = maxRating !== null && maxRating < 99 ? cheapest(maxRating + 1) : null;
+
+    return {
+        maxRating,
+        budget,
+        solution: best,
+        nextRating: next
+            ? { targetRating: maxRating + 1, extraCoins: next.price - best.price, solution: next }
+            : null,
+        proven
+    };
+}
+
+module.exports = {
+    findMaxRating
+};
@@ -0,0 +1,208 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { solveSquad } = require('./SquadOptimizer.js');
+const { toPriceMap } = require('./PriceSource.js');
+
+/**
+ * Exact "minimum rating needed" for the open slots of a partial squad.
+ *
+ * A plain average overstates what is needed: players above the squad average
+ * add to the correction factor, so a few high cards pull the rest along.
+ * Every answer here is checked with SolverHelper.getRating (under the
+ * rating profile, when one is given).
+ *
+ * - uniformRating:  lowest rating that works when every open slot gets it
+ * - lastSlotRating: with the other open slots at uniformRating, the lowest
+ *                   rating the final slot can have
+ * - requiredSum:    fewest rating points the open slots must bring
+ * - assignments:    cheapest rating assignments (by price when prices are
+ *                   given, otherwise by rating points)
+ *
+ * Ranked by rating points alone the best assignments are a few 99s next to
+ * 45s, and the search is slow on all those ties. Without prices the
+ * assignments therefore only use ratings from ASSIGNMENT_WINDOW around the
+ * target, unless minRating or maxRating are given.
+ */
+
+const MIN_RATING = 45;
+const MAX_RATING = 99;
+
+/**
+ * Ratings below and above the target used for unpriced assignments
+ */
+const ASSIGNMENT_WINDOW = { below: 8, above: 5 };
+
+/**
+ * Lowest rating r in [low, high] for which `reaches(r)` holds, assuming it
+ * keeps holding for every higher rating
+ * @param {Function} reaches - Test for a rating
+ * @param {number} low - Lowest rating to try
+ * @param {number} high - Highest rating to try
+ * @returns {number|null} - Lowest rating, null when even `high` fails
+ */
+function findLowestRating(reaches, low, high) {
+    if (!reaches(high)) return null;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (reaches(mid)) high = mid;
+        else low = mid + 1;
+    }
+    return low;
+}
+
+/**
+ * Lowest uniform rating for the open slots
+ * @param {number[]} existingRatings - Ratings already in the squad
+ * @param {number} openSlots - Number of players still to add
+ * @param {number} targetRating - Target squad rating
+ * @param {number} minRating - Lowest rating a new player can have
+ * @param {number} maxRating - Highest rating a new player can have
+ * @param {string|Object} ratingProfile - Rating profile (default: EA's formula)
+ * @returns {number|null} - Lowest uniform rating, null when the target is out of reach
+ */
+function getUniformRating(existingRatings, openSlots, targetRating, minRating = MIN_RATING, maxRating = MAX_RATING, ratingProfile) {
+    if (openSlots <= 0) {
+        return SolverHelper.getRating(existingRatings, ratingProfile) >= targetRating ? 0 : null;
+    }
+    return findLowestRating(
+        rating => SolverHelper.getRating([...existingRatings, ...new Array(openSlots).fill(rating)], ratingProfile) >= targetRating,
+        minRating,
+        maxRating
+    );
+}
+
+/**
+ * Everything about the ratings one target needs
+ * @param {Object} options - Normalised options
+ * @param {number} targetRating - Target squad rating
+ * @returns {Object} - Uniform and last-slot ratings, required sum and the cheapest assignments
+ */
+function analyseTarget(options, targetRating) {
+    const { existingRatings, openSlots, minRating, maxRating, priceMap, window, maxAssignments, ratingProfile } = options;
+    const uniformRating = getUniformRating(existingRatings, openSlots, targetRating, minRating, maxRating, ratingProfile);
+
+    let lastSlotRating = uniformRating;
+    if (uniformRating !== null && openSlots > 1) {
+        const others = [...existingRatings, ...new Array(openSlots - 1).fill(uniformRating)];
+        lastSlotRating = findLowestRating(
+            rating => SolverHelper.getRating([...others, rating], ratingProfile) >= targetRating,
+            minRating,
+            uniformRating
+        );
+    }
+
+    // Every rating can be taken for every open slot; unpriced ratings are
+    // left out when prices are given
+    const low = window ? Math.max(minRating, targetRating - ASSIGNMENT_WINDOW.below) : minRating;
+    const high = window ? Math.min(maxRating, targetRating + ASSIGNMENT_WINDOW.above) : maxRating;
+    const pools = [];
+    for (let rating = low; rating <= high; rating++) {
+        if (priceMap && !Number.isFinite(priceMap[rating])) continue;
+        pools.push({ rating, costs: new Array(openSlots).fill(priceMap ? priceMap[rating] : 0) });
+    }
+
+    const requiredSum = SolverHelper.getRequiredFillSum(existingRatings, openSlots, maxRating, targetRating, ratingProfile);
+    const result = uniformRating === null
+        ? { solutions: [] }
+        : solveSquad({
+            targetRating,
+            existingRatings,
+            pools,
+            slots: openSlots,
+            maxSolutions: maxAssignments,
+            objective: priceMap ? 'price' : 'points',
+            ratingProfile
+        });
+
+    return {
+        targetRating,
+        reachable: uniformRating !== null,
+        uniformRating,
+        lastSlotRating,
+        requiredSum: Number.isFinite(requiredSum) ? requiredSum : null,
+        assignments: result.solutions.map(solution => ({
+            ratings: solution.combinationUsed,
+            price: solution.price,
+            totalRatingPoints: solution.totalRatingPoints - existingRatings.reduce((sum, rating) => sum + rating, 0),
+            actualRating: solution.actualRating
+        }))
+    };
+}
+
+/**
+ * Exact minimum ratings for the open slots of a partial squad, for one
+ * target and a table of targets
+ * @param {Object} options - Options
+ * @param {number} options.targetRating - Target squad rating
+ * @param {number[]} options.existingRatings - Ratings already in the squad
+ * @param {number} options.remainingSlots - Number of players still to add (default: squadSize minus the existing players)
+ * @param {number} options.squadSize - Total squad size (default: 11); the rating pads to the profile's slots
+ * @param {Object.<number, number>|PriceSource} options.priceByRating - Prices to rank assignments by (default: rating points)
+ * @param {number} options.minRating - Lowest rating a new player can have (default: 45)
+ * @param {number} options.maxRating - Highest rating a new player can have (default: 99)
+ *   Without prices and limits the assignments use ASSIGNMENT_WINDOW around the target
+ * @param {number} options.maxAssignments - Number of cheapest assignments per target (default: 5)
+ * @param {number[]} options.tableTargets - Targets of the table (default: targetRating - 4 to targetRating + 4)
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - The analysis of the target and a `table` with one row per table target
+ */
+function findMinimumRatings(options) {
+    const {
+        targetRating,
+        existingRatings = [],
+        squadSize = 11,
+        priceByRating = null,
+        minRating = MIN_RATING,
+        maxRating = MAX_RATING,
+        maxAssignments = 5,
+        ratingProfile
+    } = options;
+    const openSlots = options.remainingSlots === undefined
+        ? squadSize - existingRatings.length
+        : options.remainingSlots;
+
+    if (existingRatings.length + openSlots > squadSize) {
+        throw new Error('Existing ratings and remaining slots exceed squad size');
+    }
+
+    const normalised = {
+        existingRatings,
+        openSlots,
+        minRating,
+        maxRating,
+        priceMap: priceByRating ? toPriceMap(priceByRating) : null,
+        window: !priceByRating && options.minRating === undefined && options.maxRating === undefined,
+        maxAssignments,
+        ratingProfile
+    };
+
+    const tableTargets = options.tableTargets || [];
+    if (!options.tableTargets) {
+        for (let target = Math.max(MIN_RATING, targetRating - 4); target <= Math.min(MAX_RATING, targetRating + 4); target++) {
+            tableTargets.push(target);
+        }
+    }
+
+    return {
+        existingRatings,
+        remainingSlots: openSlots,
+        currentRating: SolverHelper.getRating(existingRatings, ratingProfile),
+        ...analyseTarget(normalised, targetRating),
+        table: tableTargets.map(target => {
+            const row = analyseTarget({ ...normalised, maxAssignments: 1 }, target);
+            return {
+                targetRating: target,
+                reachable: row.reachable,
+                uniformRating: row.uniformRating,
+                lastSlotRating: row.lastSlotRating,
+                requiredSum: row.requiredSum,
+                cheapest: row.assignments[0] || null
+            };
+        })
+    };
+}
+
+module.exports = {
+    ASSIGNMENT_WINDOW,
+    getUniformRating,
+    findMinimumRatings
+};
@@ -1,138 +1,157 @@
+const { SolverHelper } = require('./SolverHelper.js');
+
 /**
  * Pre-calculated optimal SBC combinations for ratings 80-92
  * Each combination is sorted by rating efficiency (lowest total rating points)
  * Format: { rating: count } where rating is player rating and count is how many needed
+ * Generated with generateOptimalTable() (ratings from target - 1 to target + 4);
+ * verifyOptimalCombinations() checks every entry.
  */
 const OPTIMAL_SBC_COMBINATIONS = {
     80: [
-        { 82: 1, 81: 2, 80: 8 }, // 901 total points
-        { 83: 1, 80: 10 }, // 913 total points
-        { 82: 2, 80: 9 }, // 904 total points
-        { 81: 4, 80: 7 }, // 884 total points
-        { 84: 1, 79: 10 }, // 874 total points
-        { 82: 3, 79: 8 }, // 878 total points
+        { 82: 2, 79: 9 }, // 875 total points
+        { 83: 1, 81: 1, 79: 9 }, // 875 total points
+        { 84: 1, 80: 1, 79: 9 }, // 875 total points
+        { 81: 2, 80: 3, 79: 6 }, // 876 total points
+        { 81: 3, 80: 1, 79: 7 }, // 876 total points
+        { 82: 1, 80: 4, 79: 6 }, // 876 total points
     ],
     
     81: [
-        { 82: 3, 81: 8 }, // 894 total points
-        { 83: 1, 81: 10 }, // 893 total points
-        { 84: 1, 80: 10 }, // 884 total points
-        { 82: 5, 80: 6 }, // 890 total points
         { 83: 2, 80: 9 }, // 886 total points
-        { 85: 1, 79: 10 }, // 875 total points
+        { 84: 1, 82: 1, 80: 9 }, // 886 total points
+        { 85: 1, 81: 1, 80: 9 }, // 886 total points
+        { 82: 2, 81: 3, 80: 6 }, // 887 total points
+        { 82: 3, 81: 1, 80: 7 }, // 887 total points
+        { 83: 1, 81: 4, 80: 6 }, // 887 total points
     ],
     
     82: [
-        { 83: 2, 82: 9 }, // 904 total points
-        { 84: 1, 82: 10 }, // 904 total points
-        { 83: 4, 81: 7 }, // 899 total points
-        { 85: 1, 81: 10 }, // 895 total points
         { 84: 2, 81: 9 }, // 897 total points
-        { 86: 1, 80: 10 }, // 886 total points
+        { 85: 1, 83: 1, 81: 9 }, // 897 total points
+        { 86: 1, 82: 1, 81: 9 }, // 897 total points
+        { 83: 2, 82: 3, 81: 6 }, // 898 total points
+        { 83: 3, 82: 1, 81: 7 }, // 898 total points
+        { 84: 1, 82: 4, 81: 6 }, // 898 total points
     ],
     
     83: [
-        { 83: 9, 82: 2 }, // 911 total points (OPTIMAL)
-        { 84: 1, 83: 6, 82: 4 }, // 910 total points
-        { 85: 1, 82: 10 }, // 905 total points
-        { 84: 2, 83: 7, 82: 2 }, // 913 total points
-        { 86: 1, 82: 10 }, // 902 total points
-        { 84: 3, 82: 8 }, // 908 total points
+        { 85: 2, 82: 9 }, // 908 total points
+        { 86: 1, 84: 1, 82: 9 }, // 908 total points
+        { 87: 1, 83: 1, 82: 9 }, // 908 total points
+        { 84: 2, 83: 3, 82: 6 }, // 909 total points
+        { 84: 3, 83: 1, 82: 7 }, // 909 total points
+        { 85: 1, 83: 4, 82: 6 }, // 909 total points
     ],
     
     84: [
-        { 84: 11 }, // 924 total points
-        { 85: 1, 84: 8, 83: 2 }, // 924 total points
-        { 86: 1, 83: 10 }, // 916 total points
-        { 85: 2, 84: 7, 83: 2 }, // 924 total points
-        { 87: 1, 83: 10 }, // 917 total points
-        { 85: 3, 83: 8 }, // 919 total points
+        { 86: 2, 83: 9 }, // 919 total points
+        { 87: 1, 85: 1, 83: 9 }, // 919 total points
+        { 88: 1, 84: 1, 83: 9 }, // 919 total points
+        { 85: 2, 84: 3, 83: 6 }, // 920 total points
+        { 85: 3, 84: 1, 83: 7 }, // 920 total points
+        { 86: 1, 84: 4, 83: 6 }, // 920 total points
     ],
     
     85: [
-        { 85: 11 }, // 935 total points
-        { 86: 1, 85: 8, 84: 2 }, // 935 total points
-        { 87: 1, 84: 10 }, // 927 total points
-        { 86: 2, 85: 7, 84: 2 }, // 935 total points
-        { 88: 1, 84: 10 }, // 928 total points
-        { 86: 3, 84: 8 }, // 930 total points
+        { 87: 2, 84: 9 }, // 930 total points
+        { 88: 1, 86: 1, 84: 9 }, // 930 total points
+        { 89: 1, 85: 1, 84: 9 }, // 930 total points
+        { 86: 2, 85: 3, 84: 6 }, // 931 total points
+        { 86: 3, 85: 1, 84: 7 }, // 931 total points
+        { 87: 1, 85: 4, 84: 6 }, // 931 total points
     ],
     
     86: [
-        { 86: 11 }, // 946 total points
-        { 87: 1, 86: 8, 85: 2 }, // 946 total points
-        { 88: 1, 85: 10 }, // 938 total points
-        { 87: 2, 86: 7, 85: 2 }, // 946 total points
-        { 89: 1, 85: 10 }, // 939 total points
-        { 87: 3, 85: 8 }, // 941 total points
+        { 88: 2, 85: 9 }, // 941 total points
+        { 89: 1, 87: 1, 85: 9 }, // 941 total points
+        { 90: 1, 86: 1, 85: 9 }, // 941 total points
+        { 87: 2, 86: 3, 85: 6 }, // 942 total points
+        { 87: 3, 86: 1, 85: 7 }, // 942 total points
+        { 88: 1, 86: 4, 85: 6 }, // 942 total points
     ],
     
     87: [
-        { 87: 11 }, // 957 total points
-        { 88: 1, 87: 8, 86: 2 }, // 957 total points
-        { 89: 1, 86: 10 }, // 949 total points
-        { 88: 2, 87: 7, 86: 2 }, // 957 total points
-        { 90: 1, 86: 10 }, // 950 total points
-        { 88: 3, 86: 8 }, // 952 total points
+        { 89: 2, 86: 9 }, // 952 total points
+        { 90: 1, 88: 1, 86: 9 }, // 952 total points
+        { 91: 1, 87: 1, 86: 9 }, // 952 total points
+        { 88: 2, 87: 3, 86: 6 }, // 953 total points
+        { 88: 3, 87: 1, 86: 7 }, // 953 total points
+        { 89: 1, 87: 4, 86: 6 }, // 953 total points
     ],
     
     88: [
-        { 88: 11 }, // 968 total points
-        { 89: 1, 88: 8, 87: 2 }, // 968 total points
-        { 90: 1, 87: 10 }, // 960 total points
-        { 89: 2, 88: 7, 87: 2 }, // 968 total points
-        { 91: 1, 87: 10 }, // 961 total points
-        { 89: 3, 87: 8 }, // 963 total points
+        { 90: 2, 87: 9 }, // 963 total points
+        { 91: 1, 89: 1, 87: 9 }, // 963 total points
+        { 92: 1, 88: 1, 87: 9 }, // 963 total points
+        { 89: 2, 88: 3, 87: 6 }, // 964 total points
+        { 89: 3, 88: 1, 87: 7 }, // 964 total points
+        { 90: 1, 88: 4, 87: 6 }, // 964 total points
     ],
     
     89: [
-        { 89: 11 }, // 979 total points
-        { 90: 1, 89: 8, 88: 2 }, // 979 total points
-        { 91: 1, 88: 10 }, // 971 total points
-        { 90: 2, 89: 7, 88: 2 }, // 979 total points
-        { 92: 1, 88: 10 }, // 972 total points
-        { 90: 3, 88: 8 }, // 974 total points
+        { 91: 2, 88: 9 }, // 974 total points
+        { 92: 1, 90: 1, 88: 9 }, // 974 total points
+        { 93: 1, 89: 1, 88: 9 }, // 974 total points
+        { 90: 2, 89: 3, 88: 6 }, // 975 total points
+        { 90: 3, 89: 1, 88: 7 }, // 975 total points
+        { 91: 1, 89: 4, 88: 6 }, // 975 total points
     ],
     
     90: [
-        { 90: 11 }, // 990 total points
-        { 91: 1, 90: 8, 89: 2 }, // 990 total points
-        { 92: 1, 89: 10 }, // 982 total points
-        { 91: 2, 90: 7, 89: 2 }, // 990 total points
-        { 93: 1, 89: 10 }, // 983 total points
-        { 91: 3, 89: 8 }, // 985 total points
+        { 92: 2, 89: 9 }, // 985 total points
+        { 93: 1, 91: 1, 89: 9 }, // 985 total points
+        { 94: 1, 90: 1, 89: 9 }, // 985 total points
+        { 91: 2, 90: 3, 89: 6 }, // 986 total points
+        { 91: 3, 90: 1, 89: 7 }, // 986 total points
+        { 92: 1, 90: 4, 89: 6 }, // 986 total points
     ],
     
     91: [
-        { 91: 11 }, // 1001 total points
-        { 92: 1, 91: 8, 90: 2 }, // 1001 total points
-        { 93: 1, 90: 10 }, // 993 total points
-        { 92: 2, 91: 7, 90: 2 }, // 1001 total points
-        { 94: 1, 90: 10 }, // 994 total points
-        { 92: 3, 90: 8 }, // 996 total points
+        { 93: 2, 90: 9 }, // 996 total points
+        { 94: 1, 92: 1, 90: 9 }, // 996 total points
+        { 95: 1, 91: 1, 90: 9 }, // 996 total points
+        { 92: 2, 91: 3, 90: 6 }, // 997 total points
+        { 92: 3, 91: 1, 90: 7 }, // 997 total points
+        { 93: 1, 91: 4, 90: 6 }, // 997 total points
     ],
     
     92: [
-        { 92: 11 }, // 1012 total points
-        { 93: 1, 92: 8, 91: 2 }, // 1012 total points
-        { 94: 1, 91: 10 }, // 1004 total points
-        { 93: 2, 92: 7, 91: 2 }, // 1012 total points
-        { 95: 1, 91: 10 }, // 1005 total points
-        { 93: 3, 91: 8 }, // 1007 total points
+        { 94: 2, 91: 9 }, // 1007 total points
+        { 95: 1, 93: 1, 91: 9 }, // 1007 total points
+        { 96: 1, 92: 1, 91: 9 }, // 1007 total points
+        { 93: 2, 92: 3, 91: 6 }, // 1008 total points
+        { 93: 3, 92: 1, 91: 7 }, // 1008 total points
+        { 94: 1, 92: 4, 91: 6 }, // 1008 total points
     ]
 };
 
+/**
+ * Rows generated on demand for ratings outside the shipped table
+ */
+const generatedCombinations = {};
+
 /**
  * Get optimal combinations for a target rating
- * @param {number} targetRating - Target squad rating (80-92)
+ * Ratings outside the shipped table (80-92) are generated once and cached
+ * @param {number} targetRating - Target squad rating (45-99)
  * @returns {Array} - Array of optimal combinations sorted by efficiency
  */
 function getOptimalCombinations(targetRating) {
-    if (targetRating < 80 || targetRating > 92) {
+    if (targetRating < 45 || targetRating > 99) {
         return [];
     }
     
-    return OPTIMAL_SBC_COMBINATIONS[targetRating] || [];
+    if (OPTIMAL_SBC_COMBINATIONS[targetRating]) {
+        return OPTIMAL_SBC_COMBINATIONS[targetRating];
+    }
+
+    if (!generatedCombinations[targetRating]) {
+        generatedCombinations[targetRating] = generateOptimalCombinations(targetRating, {
+            limit: DEFAULT_TABLE_SIZE
+        });
+    }
+    return generatedCombinations[targetRating];
 }
 
 /**
@@ -179,8 +198,212 @@ function calculateCombinationPoints(combination) {
     return total;
 }
 
+/**
+ * Rating window used for the shipped table, relative to the target rating
+ */
+const DEFAULT_WINDOW = { below: 1, above: 4 };
+
+/**
+ * Number of combinations kept per rating in the shipped table
+ */
+const DEFAULT_TABLE_SIZE = 6;
+
+/**
+ * Generate every minimal combination reaching a target rating.
+ * A combination is minimal when lowering any single card by one rating point
+ * (inside the window) drops the squad below the target. Results are ranked by
+ * total rating points, then by the lowest top rating, then by the sorted ratings.
+ * Wide windows hold a huge number of minimal combinations, so only the best
+ * `limit` are kept and branches that cannot beat them are skipped.
+ * @param {number} targetRating - Target squad rating (45-99)
+ * @param {Object} options - Generator options
+ * @param {number} options.minRating - Lowest allowed player rating (default: target - 1)
+ * @param {number} options.maxRating - Highest allowed player rating (default: target + 4)
+ * @param {number} options.squadSize - Number of players in the squad (default: 11)
+ * @param {number} options.limit - Maximum number of combinations to return (default: 100)
+ * @returns {Array} - Minimal combinations {rating: count}, best first
+ */
+function generateOptimalCombinations(targetRating, options = {}) {
+    const {
+        minRating = Math.max(45, targetRating - DEFAULT_WINDOW.below),
+        maxRating = Math.min(99, targetRating + DEFAULT_WINDOW.above),
+        squadSize = 11,
+        limit = 100
+    } = options;
+
+    const results = [];
+    const chosen = [];
+    let chosenPoints = 0;
+
+    const keep = ratings => {
+        let index = results.length;
+        while (index > 0 && compareRatingLists(ratings, results[index - 1]) < 0) index--;
+        results.splice(index, 0, ratings);
+        if (results.length > limit) results.pop();
+    };
+
+    const search = (rating, remaining) => {
+        if (remaining === 0) {
+            if (SolverHelper.getRating(chosen) >= targetRating && isMinimal(chosen, targetRating, minRating)) {
+                keep([...chosen]);
+            }
+            return;
+        }
+        if (rating < minRating) return;
+
+        const requiredSum = SolverHelper.getRequiredFillSum(chosen, remaining, rating, targetRating);
+        if (requiredSum === Infinity) return;
+        if (results.length >= limit) {
+            const worst = results[results.length - 1].reduce((sum, value) => sum + value, 0);
+            if (chosenPoints + Math.max(requiredSum, remaining * minRating) > worst) return;
+        }
+
+        // Even the best completion misses the target
+        if (SolverHelper.getRating([...chosen, ...new Array(remaining).fill(rating)]) < targetRating) return;
+
+        // If the lowest completion already reaches the target, any higher
+        // completion could be lowered, so it is the only minimal candidate
+        const lowestFill = new Array(remaining).fill(minRating);
+        if (SolverHelper.getRating([...chosen, ...lowestFill]) >= targetRating) {
+            chosen.push(...lowestFill);
+            search(minRating - 1, 0);
+            chosen.length -= remaining;
+            return;
+        }
+
+        for (let take = remaining; take >= 0; take--) {
+            for (let i = 0; i < take; i++) chosen.push(rating);
+            chosenPoints += take * rating;
+            search(rating - 1, remaining - take);
+            chosenPoints -= take * rating;
+            chosen.length -= take;
+        }
+    };
+
+    search(maxRating, squadSize);
+
+    return results.map(ratings => SolverHelper.countRatings(ratings));
+}
+
+/**
+ * Check that no single card can be lowered by one rating point without
+ * dropping below the target (the rating is monotone, so one point is enough)
+ * @param {number[]} ratings - Squad ratings, highest first
+ * @param {number} targetRating - Target squad rating
+ * @param {number} minRating - Lowest allowed player rating
+ * @returns {boolean} - True if the combination is minimal
+ */
+function isMinimal(ratings, targetRating, minRating) {
+    const distinct = SolverHelper.getUniqueRatings(ratings);
+    return distinct.every(rating => {
+        if (rating <= minRating) return true;
+        const lowered = [...ratings];
+        lowered[lowered.indexOf(rating)] = rating - 1;
+        return SolverHelper.getRating(lowered) < targetRating;
+    });
+}
+
+/**
+ * Order two rating lists (highest first) by total points, then top rating,
+ * then element by element
+ * @param {number[]} a - First rating list
+ * @param {number[]} b - Second rating list
+ * @returns {number} - Sort order
+ */
+function compareRatingLists(a, b) {
+    const pointsA = a.reduce((sum, rating) => sum + rating, 0);
+    const pointsB = b.reduce((sum, rating) => sum + rating, 0);
+    if (pointsA !== pointsB) return pointsA - pointsB;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Generate a table in the same format as OPTIMAL_SBC_COMBINATIONS
+ * @param {Object} options - Generator options
+ * @param {number} options.from - First target rating (default: 80)
+ * @param {number} options.to - Last target rating (default: 92)
+ * @param {number} options.perRating - Combinations kept per rating (default: 6)
+ * @param {number} options.below - Window size below the target (default: 1)
+ * @param {number} options.above - Window size above the target (default: 4)
+ * @param {number} options.squadSize - Number of players in the squad (default: 11)
+ * @returns {Object.<number, Array>} - Combinations keyed by target rating
+ */
+function generateOptimalTable(options = {}) {
+    const {
+        from = 80,
+        to = 92,
+        perRating = DEFAULT_TABLE_SIZE,
+        below = DEFAULT_WINDOW.below,
+        above = DEFAULT_WINDOW.above,
+        squadSize = 11
+    } = options;
+
+    const table = {};
+    for (let rating = from; rating <= to; rating++) {
+        table[rating] = generateOptimalCombinations(rating, {
+            minRating: Math.max(45, rating - below),
+            maxRating: Math.min(99, rating + above),
+            squadSize,
+            limit: perRating
+        });
+    }
+    return table;
+}
+
+/**
+ * Verify a combination table. Every entry must have the squad size, reach
+ * its target and be minimal, and each row must be ranked by rating points.
+ * Minimality is checked against the same window the generator uses, so a card
+ * already at the bottom of the window is never reported as lowerable.
+ * @param {Object.<number, Array>} table - Table to verify (default: OPTIMAL_SBC_COMBINATIONS)
+ * @param {Object} options - Verification options
+ * @param {number} options.squadSize - Expected number of players (default: 11)
+ * @param {number} options.below - Window size below the target (default: 1)
+ * @returns {Object} - { valid, issues } where each issue names the target, entry index and problem
+ */
+function verifyOptimalCombinations(table = OPTIMAL_SBC_COMBINATIONS, options = {}) {
+    const { squadSize = 11, below = DEFAULT_WINDOW.below } = options;
+    const issues = [];
+
+    for (const [target, combinations] of Object.entries(table)) {
+        const targetRating = parseInt(target);
+        let previousPoints = -Infinity;
+
+        combinations.forEach((combination, index) => {
+            const ratings = combinationToArray(combination).sort((a, b) => b - a);
+            const points = calculateCombinationPoints(combination);
+            const report = problem => issues.push({ targetRating, index, combination, problem });
+
+            if (ratings.length !== squadSize) {
+                report(`has ${ratings.length} players instead of ${squadSize}`);
+            }
+            const actualRating = SolverHelper.getRating(ratings);
+            if (actualRating < targetRating) {
+                report(`misses the target (rates ${actualRating})`);
+            } else if (!isMinimal(ratings, targetRating, Math.max(45, targetRating - below))) {
+                report('is not minimal (a card can be lowered)');
+            }
+            if (points < previousPoints) {
+                report('is not ranked by rating points');
+            }
+            previousPoints = points;
+        });
+    }
+
+    return {
+        valid: issues.length === 0,
+        issues
+    };
+}
+
 module.exports = {
     OPTIMAL_SBC_COMBINATIONS,
+    generateOptimalCombinations,
+    generateOptimalTable,
+    verifyOptimalCombinations,
     getOptimalCombinations,
     isCombinationPossible,
     combinationToArray,
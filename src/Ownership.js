@@ -0,0 +1,156 @@
+const { Card } = require('./Card.js');
+const { toPriceMap } = require('./PriceSource.js');
+
+/**
+ * Ownership tiers: where a card comes from decides what using it really costs.
+ *
+ * - storage:     duplicate waiting in SBC storage, free to use
+ * - untradeable: owned and cannot be sold, free to use
+ * - club:        owned and tradeable, costs the coins we would get selling it
+ *                (sell price minus the transfer tax)
+ * - market:      has to be bought for its buy price
+ *
+ * Cards without a source (plain rating inventories, CSVs without a source
+ * column) are club stock: they keep the old behaviour and cost their price,
+ * but they are owned, so they are never reported as bought.
+ */
+
+/**
+ * EA transfer market tax on every sale
+ */
+const TRANSFER_TAX = 0.05;
+
+/**
+ * Known sources; the rank breaks ties between equally priced cards so
+ * duplicates and untradeables are used up first
+ */
+const SOURCE_TIERS = {
+    storage: { rank: 0, owned: true },
+    untradeable: { rank: 1, owned: true },
+    club: { rank: 2, owned: true },
+    market: { rank: 3, owned: false }
+};
+
+/**
+ * Coins received when selling a card after the transfer tax (rounded down)
+ * @param {number} price - Sell price
+ * @returns {number} - Coins received
+ */
+function getNetSellPrice(price) {
+    return Math.floor(price * (1 - TRANSFER_TAX));
+}
+
+/**
+ * Get the true cost of using a card in a squad
+ * @param {Card} card - Card to use
+ * @param {Object.<number, number>} priceByRating - Prices for cards without their own price
+ * @returns {number} - Coins it costs to use the card
+ */
+function getCardCost(card, priceByRating = {}) {
+    switch (card.source) {
+        case 'storage':
+        case 'untradeable':
+            return 0;
+        case 'club':
+            return card.tradeable ? getNetSellPrice(card.getPrice(priceByRating)) : 0;
+        default:
+            return card.getPrice(priceByRating);
+    }
+}
+
+/**
+ * Coins spent when a card is used: market cards cost their buy price, every
+ * other card is already in the club
+ * @param {Card} card - Card to use
+ * @param {Object.<number, number>} priceByRating - Prices for cards without their own price
+ * @returns {number} - Coins spent
+ */
+function getCoinCost(card, priceByRating = {}) {
+    return card.source === 'market' ? card.getPrice(priceByRating) : 0;
+}
+
+/**
+ * Whether a card is already owned rather than bought
+ * @param {Card} card - Card to check
+ * @returns {boolean} - True for storage, untradeable and club cards and cards without a source
+ */
+function isOwned(card) {
+    if (!card.source) return true;
+    const tier = SOURCE_TIERS[card.source];
+    return Boolean(tier && tier.owned);
+}
+
+/**
+ * Rank of a card's source, lower ranks are used first on equal cost
+ * @param {Card} card - Card to rank
+ * @returns {number} - Source rank (cards without a source rank as club cards)
+ */
+function getSourceRank(card) {
+    if (card.source === 'club' && !card.tradeable) return SOURCE_TIERS.untradeable.rank;
+    if (!card.source) return SOURCE_TIERS.club.rank;
+    return (SOURCE_TIERS[card.source] || SOURCE_TIERS.market).rank;
+}
+
+/**
+ * Create market cards so the solver can fill any slot by buying. Every rating
+ * with a price gets as many cards as there are open slots.
+ * @param {Object.<number, number>|PriceSource} prices - Buy price per rating, or a price source
+ * @param {number} slots - Number of open slots
+ * @param {number[]} ratings - Ratings that may be bought (default: every priced rating)
+ * @returns {Card[]} - Market cards with ids like 'market:84:0'
+ */
+function createMarketCards(prices, slots, ratings = null) {
+    const priceByRating = toPriceMap(prices);
+    const buyable = (ratings || Object.keys(priceByRating).map(Number))
+        .filter(rating => typeof priceByRating[rating] === 'number');
+
+    const cards = [];
+    buyable.forEach(rating => {
+        for (let i = 0; i < slots; i++) {
+            cards.push(new Card({
+                id: `market:${rating}:${i}`,
+                rating,
+                price: priceByRating[rating],
+                tradeable: true,
+                source: 'market'
+            }));
+        }
+    });
+    return cards;
+}
+
+/**
+ * Split the cards of a solution into club cards and cards to buy
+ * @param {Array<{card: Card, cost: number}>} entries - Chosen cards with their cost
+ * @returns {Object} - Club and bought card ids, coins to spend and coins given up by using tradeable club cards
+ */
+function describeSources(entries) {
+    const fromClub = [];
+    const toBuy = [];
+    let coinOutlay = 0;
+    let opportunityCost = 0;
+
+    entries.forEach(({ card, cost }) => {
+        if (isOwned(card)) {
+            fromClub.push(card.id);
+            opportunityCost += cost;
+        } else {
+            toBuy.push(card.id);
+            coinOutlay += cost;
+        }
+    });
+
+    return { fromClub, toBuy, coinOutlay, opportunityCost };
+}
+
+module.exports = {
+    TRANSFER_TAX,
+    SOURCE_TIERS,
+    getNetSellPrice,
+    getCardCost,
+    getCoinCost,
+    isOwned,
+    getSourceRank,
+    createMarketCards,
+    describeSources
+};
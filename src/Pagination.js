@@ -0,0 +1,187 @@
+const { streamSquad } = require('./SquadOptimizer.js');
+const { resolveScorer } = require('./Scorers.js');
+
+/**
+ * Paged squad search.
+ *
+ * Pages come from a best-first search (SquadOptimizer.js#streamSquad) that
+ * hands out the squads in objective order, or in scorer order with a
+ * `scorer`. The cursor is a plain string naming the last solution returned
+ * (its price, rating points and ratings, and its scores with a scorer);
+ * it survives restarts and can be handed to a client, and the next page
+ * starts right after it without repeating or skipping a squad.
+ *
+ * The open search behind the last page is kept under its cursor, so asking
+ * for the next page carries on where the last one stopped. Only a cursor
+ * whose search is gone (another process, an old cursor, changed inputs)
+ * searches again from the start and skips the squads up to it.
+ */
+
+/**
+ * Solutions per page when none is given
+ */
+const DEFAULT_PAGE_SIZE = 10;
+
+const CURSOR_VERSION = 'c1';
+const SCORED_CURSOR_VERSION = 's1';
+
+/**
+ * Names of the scorers of a search, as they appear in its cursors
+ * @param {Object} search - Search options
+ * @returns {string|null} - Names, null without a scorer
+ */
+function getScorerNames(search) {
+    return search.scorer ? encodeURIComponent(resolveScorer(search.scorer).map(({ name }) => name).join(',')) : null;
+}
+
+/**
+ * Build the cursor token resuming a search after a solution
+ * @param {Object} solution - Solution returned by the search
+ * @param {Object} search - Search options (targetRating, objective, scorer)
+ * @returns {string} - Cursor token
+ */
+function encodeCursor(solution, search) {
+    const scored = search.scorer
+        ? [SCORED_CURSOR_VERSION, search.objective || 'price', search.targetRating, getScorerNames(search), solution.scores.join(',')]
+        : [CURSOR_VERSION, search.objective || 'price', search.targetRating];
+    return [
+        ...scored,
+        solution.price,
+        solution.totalRatingPoints,
+        solution.combinationUsed.join('.')
+    ].join(':');
+}
+
+/**
+ * Read a cursor token back into the solution it points at
+ * @param {string} token - Cursor token from encodeCursor
+ * @param {Object} search - Search options the cursor must belong to
+ * @returns {{price: number, totalRatingPoints: number, combinationUsed: number[], scores: number[]}} - Position
+ *   to resume after (scores only for a scorer)
+ * @throws {Error} - When the token is malformed or belongs to another search
+ */
+function decodeCursor(token, search) {
+    const parts = typeof token === 'string' ? token.split(':') : [];
+    const scored = parts[0] === SCORED_CURSOR_VERSION;
+    const [version, objective, targetRating] = parts;
+    const [scorerNames, scoreList] = scored ? parts.slice(3, 5) : [null, null];
+    const [price, totalRatingPoints, ratings] = parts.slice(scored ? 5 : 3);
+    const combinationUsed = ratings ? ratings.split('.').map(Number) : [];
+    const scores = scored && scoreList ? scoreList.split(',').map(Number) : [];
+
+    if (parts.length !== (scored ? 8 : 6) || (!scored && version !== CURSOR_VERSION) ||
+        ![price, totalRatingPoints].every(value => Number.isFinite(Number(value))) ||
+        !combinationUsed.every(Number.isInteger) ||
+        (scored && (scores.length === 0 || scores.some(Number.isNaN)))) {
+        throw new Error(`Invalid cursor: ${token}`);
+    }
+    if (objective !== (search.objective || 'price') || Number(targetRating) !== search.targetRating ||
+        scorerNames !== getScorerNames(search) ||
+        (search.slots !== undefined && combinationUsed.length !== search.slots)) {
+        throw new Error("Cursor belongs to a different search");
+    }
+
+    const position = { price: Number(price), totalRatingPoints: Number(totalRatingPoints), combinationUsed };
+    return scored ? { ...position, scores } : position;
+}
+
+/**
+ * Open searches kept for their next page, by search and cursor
+ */
+const MAX_OPEN_SEARCHES = 32;
+const openSearches = new Map();
+
+/**
+ * Key of the inputs of a search, so a kept search is only continued by the same search
+ * @param {Object} options - solveSquad options
+ * @returns {string} - Key
+ */
+function getSearchKey(options) {
+    return JSON.stringify([
+        options.targetRating,
+        options.existingRatings || [],
+        options.slots,
+        options.objective || 'price',
+        options.ratingProfile || null,
+        options.maxNodes === undefined || options.maxNodes === Infinity ? null : options.maxNodes,
+        getScorerNames(options),
+        (options.pools || []).map(pool => [pool.rating, pool.costs, pool.cards ? pool.cards.map(card => card.id) : null])
+    ]);
+}
+
+/**
+ * Start a search, resuming after a cursor
+ * @param {Object} options - solveSquad options
+ * @param {string} cursor - Cursor of the last solution already seen, or null
+ * @returns {{stream: Generator, stats: Object}} - Search and its node count
+ */
+function startSearch(options, cursor) {
+    const after = cursor ? decodeCursor(cursor, options) : null;
+    const stats = {};
+    return { stream: streamSquad({ ...options, after }, stats), stats };
+}
+
+/**
+ * Solve one page of squads in objective order (scorer order with a `scorer`)
+ * @param {Object} options - solveSquad options plus
+ * @param {string} options.cursor - Cursor of the last solution already seen (default: first page)
+ * @param {number} options.pageSize - Solutions per page (default: 10)
+ * @returns {Object} - solveSquad result whose solutions carry their `cursor`,
+ *   plus `nextCursor` (null when the search is exhausted); `nodesExplored`
+ *   counts the nodes of this page only
+ */
+function solveSquadPage(options) {
+    const { cursor = null, pageSize = DEFAULT_PAGE_SIZE } = options;
+
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+        throw new Error("Page size must be a positive integer");
+    }
+
+    const searchKey = getSearchKey(options);
+    const kept = cursor ? openSearches.get(`${searchKey}|${cursor}`) : null;
+    if (kept) openSearches.delete(`${searchKey}|${cursor}`);
+    const search = kept || startSearch(options, cursor);
+    const nodesBefore = search.stats.nodesExplored || 0;
+
+    const solutions = [];
+    while (solutions.length < pageSize) {
+        const step = search.stream.next();
+        if (step.done) break;
+        solutions.push({ ...step.value, cursor: encodeCursor(step.value, options) });
+    }
+    const nextCursor = solutions.length === pageSize ? solutions[pageSize - 1].cursor : null;
+
+    if (nextCursor) {
+        openSearches.set(`${searchKey}|${nextCursor}`, search);
+        if (openSearches.size > MAX_OPEN_SEARCHES) openSearches.delete(openSearches.keys().next().value);
+    }
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        nodesExplored: search.stats.nodesExplored - nodesBefore,
+        proven: search.stats.proven,
+        nextCursor
+    };
+}
+
+/**
+ * Stream every squad reaching the target in objective (or scorer) order. One search runs
+ * for the whole stream; stop iterating to stop searching.
+ * @param {Object} options - solveSquadPage options (pageSize does not apply)
+ * @returns {Generator<Object>} - Solutions, each with its cursor
+ */
+function* iterateSquad(options) {
+    const { stream } = startSearch(options, options.cursor || null);
+    for (const solution of stream) {
+        yield { ...solution, cursor: encodeCursor(solution, options) };
+    }
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    solveSquadPage,
+    iterateSquad
+};
@@ -0,0 +1,203 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { isOwned, describeSources } = require('./Ownership.js');
+const { createSearchSpace, fillLowerBound, createSolution } = require('./SquadOptimizer.js');
+
+/**
+ * Pareto front of the squads reaching a target.
+ *
+ * A squad is on the front when no other squad is at least as good on every
+ * objective and better on one. The search is the same branch-and-bound over
+ * rating pools as solveSquad, with each pool split into owned and bought
+ * cards so every mix of club and market cards is considered. A branch is cut
+ * when a squad already found is at least as good as the branch's lower bounds
+ * on every objective. Squads scoring the same on every objective are kept once.
+ */
+
+/**
+ * Objectives of the front, all minimised:
+ * - price:       coins the squad costs (solution.price)
+ * - points:      rating points of the full squad
+ * - clubCards:   owned cards consumed
+ * - overshoot:   squad rating above the target
+ */
+const PARETO_OBJECTIVES = ['price', 'points', 'clubCards', 'overshoot'];
+
+const DEFAULT_MAX_NODES = 1000000;
+
+// Score a is at least as good as score b on every objective
+const covers = (a, b) => PARETO_OBJECTIVES.every(key => a[key] <= b[key]);
+
+/**
+ * Find every non-dominated squad reaching a target rating
+ * @param {Object} options - Solver options
+ * @param {number} options.targetRating - The desired overall squad rating
+ * @param {number[]} options.existingRatings - Ratings of players already in the squad
+ * @param {Array<{rating: number, costs: number[], cards: Card[]}>} options.pools - Pools from buildCardPools
+ * @param {number} options.slots - Number of open slots to fill
+ * @param {number} options.maxNodes - Search node limit; the front is marked unproven when hit (default: 1,000,000)
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - The front sorted by price, each solution labelled with the objectives it is best on in `wins`
+ */
+function solvePareto(options) {
+    const {
+        targetRating,
+        existingRatings = [],
+        pools = [],
+        slots,
+        maxNodes = DEFAULT_MAX_NODES,
+        ratingProfile
+    } = options;
+
+    const existingPoints = existingRatings.reduce((a, b) => a + b, 0);
+    const front = [];
+
+    if (slots <= 0) {
+        const rating = SolverHelper.getRating(existingRatings, ratingProfile);
+        if (rating >= targetRating) {
+            const score = { price: 0, points: existingPoints, clubCards: 0, overshoot: rating - targetRating };
+            front.push({
+                score,
+                solution: { ...createSolution([], 0, existingPoints, rating), cardIds: [], ...describeSources([]) }
+            });
+        }
+        return labelFront(front, 0, true);
+    }
+
+    // Owned and market cards of a rating become two pools, each cheapest first
+    const splitPools = [];
+    pools.forEach(pool => {
+        [true, false].forEach(owned => {
+            const entries = pool.cards
+                .map((card, i) => ({ card, cost: pool.costs[i] }))
+                .filter(entry => isOwned(entry.card) === owned)
+                .slice(0, slots);
+            if (entries.length > 0) {
+                splitPools.push({
+                    rating: pool.rating,
+                    owned,
+                    costs: entries.map(entry => entry.cost),
+                    cards: entries.map(entry => entry.card)
+                });
+            }
+        });
+    });
+    splitPools.sort((a, b) => b.rating - a.rating);
+
+    const space = createSearchSpace(splitPools, slots);
+    const chosen = [];
+    const takes = new Array(splitPools.length).fill(0);
+    let nodesExplored = 0;
+    let aborted = false;
+
+    const reachesTarget = ratings => SolverHelper.getRating([...existingRatings, ...ratings], ratingProfile) >= targetRating;
+
+    const record = (price, clubCards) => {
+        const rating = SolverHelper.getRating([...existingRatings, ...chosen], ratingProfile);
+        const score = {
+            price,
+            points: existingPoints + chosen.reduce((a, b) => a + b, 0),
+            clubCards,
+            overshoot: rating - targetRating
+        };
+        if (front.some(entry => covers(entry.score, score))) return;
+
+        const entries = [];
+        splitPools.forEach((pool, i) => {
+            for (let j = 0; j < takes[i]; j++) entries.push({ card: pool.cards[j], cost: pool.costs[j] });
+        });
+        const kept = front.filter(entry => !covers(score, entry.score));
+        front.length = 0;
+        front.push(...kept, {
+            score,
+            solution: {
+                ...createSolution([...chosen], price, score.points, rating),
+                cardIds: entries.map(entry => entry.card.id),
+                ...describeSources(entries)
+            }
+        });
+    };
+
+    const visit = (index, remaining, price, points, clubCards) => {
+        if (aborted) return;
+        if (++nodesExplored > maxNodes) {
+            aborted = true;
+            return;
+        }
+
+        if (remaining === 0) {
+            if (reachesTarget(chosen)) record(price, clubCards);
+            return;
+        }
+        if (index === splitPools.length || space.available[index] < remaining) return;
+
+        const fixed = [...existingRatings, ...chosen];
+        const priceBound = fillLowerBound(space.atLeast.price, space, index, remaining, fixed, targetRating, ratingProfile);
+        if (priceBound === Infinity) return;
+        if (!reachesTarget([...chosen, ...space.cards.slice(space.start[index], space.start[index] + remaining)])) {
+            return;
+        }
+
+        const bound = {
+            price: price + priceBound,
+            points: existingPoints + points + fillLowerBound(space.atLeast.points, space, index, remaining, fixed, targetRating, ratingProfile),
+            clubCards,
+            overshoot: 0
+        };
+        if (front.some(entry => covers(entry.score, bound))) return;
+
+        const pool = splitPools[index];
+        const maxTake = Math.min(pool.costs.length, remaining);
+        let takenPrice = 0;
+        for (let take = 0; take <= maxTake; take++) {
+            if (take > 0) {
+                chosen.push(pool.rating);
+                takenPrice += pool.costs[take - 1];
+            }
+            takes[index] = take;
+            visit(index + 1, remaining - take, price + takenPrice, points + pool.rating * take,
+                clubCards + (pool.owned ? take : 0));
+        }
+        takes[index] = 0;
+        chosen.length -= maxTake;
+    };
+
+    visit(0, slots, 0, 0, 0);
+
+    return labelFront(front, Math.min(nodesExplored, maxNodes), !aborted);
+}
+
+/**
+ * Sort a front by price and note which objectives each squad is best on
+ * @param {Array<{score: Object, solution: Object}>} front - Non-dominated squads with their scores
+ * @param {number} nodesExplored - Search nodes used
+ * @param {boolean} proven - Whether the search finished
+ * @returns {Object} - Result object
+ */
+function labelFront(front, nodesExplored, proven) {
+    const best = {};
+    PARETO_OBJECTIVES.forEach(key => {
+        best[key] = Math.min(...front.map(entry => entry.score[key]));
+    });
+
+    const solutions = front
+        .sort((a, b) => PARETO_OBJECTIVES.reduce((order, key) => order || a.score[key] - b.score[key], 0))
+        .map(({ score, solution }) => ({
+            ...solution,
+            clubCards: score.clubCards,
+            overshoot: score.overshoot,
+            wins: PARETO_OBJECTIVES.filter(key => score[key] === best[key])
+        }));
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        objectives: PARETO_OBJECTIVES,
+        nodesExplored,
+        proven
+    };
+}
+
+module.exports = {
+    PARETO_OBJECTIVES,
+    solvePareto
+};
@@ -0,0 +1,371 @@
+/**
+ * Price data for the solvers: a snapshot of per-card and per-rating prices
+ * for one platform, taken at one point in time.
+ *
+ * JSON snapshots look like
+ *
+ *   {
+ *     "platform": "console",
+ *     "timestamp": "2026-10-01T12:00:00Z",
+ *     "ratings": { "84": 3000, "85": 5200 },
+ *     "cards": { "card-123": 15000 },
+ *     "listings": [{ "rating": 86, "price": 9800 }]
+ *   }
+ *
+ * or `{ "platforms": { "console": {...}, "pc": {...} } }` for several
+ * platforms. CSV snapshots have a header row with the columns
+ * `type,id,rating,price,platform,timestamp`; `type` is 'card', 'rating' or
+ * 'listing' and defaults to 'card' when the row has an id. Fields holding
+ * commas (card names) are quoted; every row has as many fields as the header.
+ *
+ * Missing prices throw by default (`onMissing: 'error'`). With 'warn' the
+ * card gets an infinite price, so the solvers leave it out, and a warning is
+ * recorded instead of silently costing 0; the calculator prices plain
+ * `priceByRating` maps this way. With 'zero' the card costs 0 and the
+ * warning is recorded.
+ *
+ * The calculator methods solve with `forCall()` views of a source, so each
+ * result only reports the warnings of its own calculation.
+ */
+
+const PLATFORMS = ['console', 'pc'];
+
+class PriceSource {
+    /**
+     * Create a price source
+     * @param {Object} options - Snapshot data
+     * @param {string} options.platform - 'console' or 'pc'
+     * @param {string|number|Date} options.timestamp - When the prices were taken
+     * @param {Object.<number, number>} options.ratings - Cheapest price per rating bucket
+     * @param {Object.<string, number>} options.cards - Prices of specific cards by id
+     * @param {Array<{rating: number, price: number}>} options.listings - Market listings used to fill rating buckets
+     * @param {string} options.onMissing - 'error' (default), 'warn' or 'zero'
+     * @param {number} options.maxAge - Age in milliseconds after which the snapshot counts as stale
+     */
+    constructor(options = {}) {
+        const platform = options.platform || 'console';
+        if (!PLATFORMS.includes(platform)) {
+            throw new Error(`Unknown platform: ${platform}`);
+        }
+
+        this.platform = platform;
+        this.timestamp = options.timestamp ? new Date(options.timestamp) : null;
+        this.cardPrices = { ...(options.cards || {}) };
+        this.onMissing = options.onMissing || 'error';
+        this.maxAge = options.maxAge || null;
+        this.warnings = [];
+        this.parent = null;
+
+        const buckets = {};
+        Object.keys(options.ratings || {}).forEach(rating => {
+            buckets[rating] = options.ratings[rating];
+        });
+        this.ratingPrices = fillRatingBuckets(buckets, options.listings || []);
+    }
+
+    /**
+     * Price of a rating bucket
+     * @param {number} rating - Player rating
+     * @returns {number} - Cheapest price of the rating
+     */
+    getRatingPrice(rating) {
+        const price = this.ratingPrices[rating];
+        if (typeof price === 'number') return price;
+        return this.handleMissing(`Missing price for rating ${rating}`);
+    }
+
+    /**
+     * Price of a card: its own snapshot price, then the price on the card,
+     * then its rating bucket
+     * @param {Object} card - Card with id, rating and optionally price
+     * @returns {number} - Card price
+     */
+    getCardPrice(card) {
+        const own = this.cardPrices[card.id];
+        if (typeof own === 'number') return own;
+        if (typeof card.price === 'number') return card.price;
+
+        const price = this.ratingPrices[card.rating];
+        if (typeof price === 'number') return price;
+        return this.handleMissing(`Missing price for card ${card.id} (rating ${card.rating})`);
+    }
+
+    /**
+     * Apply the missing-price policy
+     * @param {string} message - What is missing
+     * @returns {number} - Infinity in 'warn' mode, 0 in 'zero' mode
+     */
+    handleMissing(message) {
+        if (this.onMissing !== 'warn' && this.onMissing !== 'zero') {
+            throw new Error(message);
+        }
+        for (let source = this; source; source = source.parent) {
+            if (!source.warnings.includes(message)) source.warnings.push(message);
+        }
+        return this.onMissing === 'zero' ? 0 : Infinity;
+    }
+
+    /**
+     * View of this source for one calculation: the same prices, but its
+     * warnings are only the ones raised while it is used. They are recorded
+     * on this source as well.
+     * @returns {PriceSource} - Price source view
+     */
+    forCall() {
+        const view = Object.create(this);
+        view.warnings = [];
+        view.parent = this;
+        return view;
+    }
+
+    /**
+     * Key of the prices, equal for sources holding equal prices, so results
+     * computed from them can be reused
+     * @returns {string} - Key
+     */
+    getKey() {
+        return JSON.stringify([this.platform, this.onMissing, this.ratingPrices, this.cardPrices]);
+    }
+
+    /**
+     * Plain rating to price map, for code that works on ratings only
+     * @returns {Object.<number, number>} - Price per rating bucket
+     */
+    toPriceMap() {
+        return { ...this.ratingPrices };
+    }
+
+    /**
+     * Age of the snapshot
+     * @param {number} now - Current time in milliseconds (default: Date.now())
+     * @returns {number|null} - Age in milliseconds, null without a timestamp
+     */
+    getAge(now = Date.now()) {
+        return this.timestamp ? now - this.timestamp.getTime() : null;
+    }
+
+    /**
+     * Whether the snapshot is older than `maxAge` (or has no timestamp)
+     * @param {number} maxAge - Allowed age in milliseconds (default: the source's maxAge)
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} - True when the prices should be refreshed
+     */
+    isStale(maxAge = this.maxAge, now = Date.now()) {
+        if (!maxAge) return false;
+        const age = this.getAge(now);
+        return age === null || age > maxAge;
+    }
+
+    /**
+     * Warnings collected so far, including staleness
+     * @param {number} now - Current time in milliseconds
+     * @returns {string[]} - Warnings
+     */
+    getWarnings(now = Date.now()) {
+        const warnings = [...this.warnings];
+        if (this.isStale(this.maxAge, now)) {
+            warnings.unshift(this.timestamp
+                ? `Prices are stale (taken ${this.timestamp.toISOString()})`
+                : 'Prices have no timestamp');
+        }
+        return warnings;
+    }
+
+    /**
+     * Create a price source from a plain rating to price map
+     * @param {Object.<number, number>} priceByRating - Price per rating
+     * @param {Object} options - Other PriceSource options
+     * @returns {PriceSource} - Price source
+     */
+    static fromMap(priceByRating, options = {}) {
+        return new PriceSource({ ...options, ratings: priceByRating });
+    }
+
+    /**
+     * Load a JSON snapshot
+     * @param {string|Object} json - JSON text or parsed snapshot
+     * @param {Object} options - Other PriceSource options; `platform` picks one of several platforms
+     * @returns {PriceSource} - Price source
+     */
+    static fromJSON(json, options = {}) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const platform = options.platform || data.platform || 'console';
+        const snapshot = data.platforms ? data.platforms[platform] : data;
+
+        if (!snapshot) {
+            throw new Error(`No prices for platform: ${platform}`);
+        }
+
+        return new PriceSource({
+            ...options,
+            platform,
+            timestamp: snapshot.timestamp || data.timestamp,
+            ratings: snapshot.ratings,
+            cards: snapshot.cards,
+            listings: snapshot.listings
+        });
+    }
+
+    /**
+     * Load a CSV snapshot
+     * @param {string} csv - CSV text with a header row
+     * @param {Object} options - Other PriceSource options; rows of other platforms are skipped
+     * @returns {PriceSource} - Price source
+     */
+    static fromCSV(csv, options = {}) {
+        const platform = options.platform || 'console';
+        const lines = csv.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('Price CSV is empty');
+        }
+
+        const header = splitCSVLine(lines[0], 1).map(column => column.toLowerCase());
+        if (!header.includes('price')) {
+            throw new Error('Price CSV needs a price column');
+        }
+
+        const ratings = {};
+        const cards = {};
+        const listings = [];
+        let timestamp = null;
+
+        lines.slice(1).forEach((line, index) => {
+            const values = splitCSVLine(line, index + 2);
+            if (values.length !== header.length) {
+                throw new Error(`Expected ${header.length} columns on line ${index + 2}, got ${values.length}`);
+            }
+            const row = {};
+            header.forEach((column, i) => { row[column] = values[i] || ''; });
+
+            if (row.platform && row.platform.toLowerCase() !== platform) return;
+
+            const price = Number(row.price);
+            const rating = row.rating === '' || row.rating === undefined ? null : Number(row.rating);
+            const type = row.type || (row.id ? 'card' : 'rating');
+            if (!Number.isFinite(price) || row.price === '') {
+                throw new Error(`Invalid price on line ${index + 2}: ${row.price}`);
+            }
+
+            if (type === 'card') {
+                cards[row.id] = price;
+            } else if (type === 'rating' && rating !== null) {
+                ratings[rating] = price;
+            } else if (type === 'listing' && rating !== null) {
+                listings.push({ rating, price });
+            } else {
+                throw new Error(`Invalid price row on line ${index + 2}`);
+            }
+
+            if (row.timestamp) {
+                const taken = new Date(row.timestamp);
+                if (!timestamp || taken > timestamp) timestamp = taken;
+            }
+        });
+
+        return new PriceSource({ ...options, platform, timestamp: options.timestamp || timestamp, ratings, cards, listings });
+    }
+}
+
+/**
+ * Split a CSV line into trimmed fields. Fields may be quoted to hold commas,
+ * with "" for a quote inside them.
+ * @param {string} line - CSV line
+ * @param {number} lineNumber - Line number for error messages
+ * @returns {string[]} - Fields
+ * @throws {Error} - When a quoted field is not closed
+ */
+function splitCSVLine(line, lineNumber) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field.trim() === '') {
+            field = '';
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unclosed quote on line ${lineNumber}`);
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Fill the rating buckets: the cheapest listing of a rating becomes its price
+ * unless the snapshot has one. When listings are given, ratings between two
+ * priced ratings get a geometric interpolation (prices grow roughly
+ * exponentially with rating)
+ * @param {Object.<number, number>} buckets - Known bucket prices
+ * @param {Array<{rating: number, price: number}>} listings - Market listings
+ * @returns {Object.<number, number>} - Filled bucket prices
+ */
+function fillRatingBuckets(buckets, listings) {
+    const filled = {};
+    Object.keys(buckets).forEach(rating => { filled[+rating] = buckets[rating]; });
+
+    const cheapest = {};
+    listings.forEach(({ rating, price }) => {
+        if (cheapest[rating] === undefined || price < cheapest[rating]) cheapest[rating] = price;
+    });
+    Object.keys(cheapest).forEach(rating => {
+        if (filled[rating] === undefined) filled[rating] = cheapest[rating];
+    });
+
+    if (listings.length === 0) return filled;
+
+    const known = Object.keys(filled).map(Number).sort((a, b) => a - b);
+    for (let i = 0; i + 1 < known.length; i++) {
+        const low = known[i];
+        const high = known[i + 1];
+        const lowPrice = filled[low];
+        const highPrice = filled[high];
+        for (let rating = low + 1; rating < high; rating++) {
+            const step = (rating - low) / (high - low);
+            filled[rating] = lowPrice > 0 && highPrice > 0
+                ? Math.round(lowPrice * Math.pow(highPrice / lowPrice, step))
+                : Math.round(lowPrice + (highPrice - lowPrice) * step);
+        }
+    }
+    return filled;
+}
+
+/**
+ * Check whether a value is a price source rather than a plain price map
+ * @param {*} prices - Price map or PriceSource
+ * @returns {boolean} - True for price sources
+ */
+function isPriceSource(prices) {
+    return Boolean(prices) && typeof prices.getCardPrice === 'function';
+}
+
+/**
+ * Get a plain rating to price map from a price map or a price source
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @returns {Object.<number, number>} - Price per rating
+ */
+function toPriceMap(prices) {
+    return isPriceSource(prices) ? prices.toPriceMap() : (prices || {});
+}
+
+module.exports = {
+    PLATFORMS,
+    PriceSource,
+    isPriceSource,
+    toPriceMap
+};
@@ -0,0 +1,189 @@
+/**
+ * Rating profiles: the team rating formula of one game version or SBC type.
+ *
+ * A profile sets
+ *
+ * - slots:      the number of slots the rating divides by (11 in UT)
+ * - padding:    'zeros' pads missing players with 0 up to `slots`, 'none'
+ *               divides by the number of players instead
+ * - correction: 'above-average' adds every player's distance above the
+ *               squad average, 'none' uses the plain sum
+ * - rounding:   'round-floor' rounds the corrected total and floors the
+ *               division (EA), 'floor' floors total / slots, 'round' rounds it
+ *
+ * FC24, FC25 and FC26 currently share EA's formula; they are separate
+ * profiles so a change in one game only needs a new entry. Custom profiles
+ * are objects; missing fields come from `base` (default: the default profile).
+ */
+
+const PADDING_RULES = ['zeros', 'none'];
+const CORRECTION_RULES = ['above-average', 'none'];
+const ROUNDING_RULES = ['round-floor', 'floor', 'round'];
+
+const EA_FORMULA = { slots: 11, padding: 'zeros', correction: 'above-average', rounding: 'round-floor' };
+
+const RATING_PROFILES = {
+    FC24: { name: 'FC24', ...EA_FORMULA },
+    FC25: { name: 'FC25', ...EA_FORMULA },
+    FC26: { name: 'FC26', ...EA_FORMULA }
+};
+
+const DEFAULT_RATING_PROFILE = 'FC26';
+
+const PROFILE_FIELDS = ['name', 'base', 'slots', 'padding', 'correction', 'rounding'];
+
+// Resolved profiles by name or by the custom object they came from, so the
+// solvers can pass the caller's value around without resolving it again.
+// A custom object is resolved again once one of its fields changed.
+const resolvedByName = new Map();
+const resolvedByObject = new WeakMap();
+
+/**
+ * Validate a rating profile
+ * @param {string|Object} profile - Profile name or custom profile
+ * @returns {string[]} - Validation errors
+ */
+function validateRatingProfile(profile) {
+    if (typeof profile === 'string') {
+        return RATING_PROFILES[profile] ? [] : [`Unknown rating profile: ${profile}`];
+    }
+    if (!profile || typeof profile !== 'object') {
+        return ['Rating profile must be a name or an object'];
+    }
+
+    const errors = [];
+    if (profile.base !== undefined && !RATING_PROFILES[profile.base]) {
+        errors.push(`Unknown rating profile: ${profile.base}`);
+    }
+    if (profile.slots !== undefined && (!Number.isInteger(profile.slots) || profile.slots < 1 || profile.slots > 23)) {
+        errors.push('Rating profile slots must be between 1 and 23');
+    }
+    if (profile.padding !== undefined && !PADDING_RULES.includes(profile.padding)) {
+        errors.push(`Unknown padding rule: ${profile.padding}`);
+    }
+    if (profile.correction !== undefined && !CORRECTION_RULES.includes(profile.correction)) {
+        errors.push(`Unknown correction rule: ${profile.correction}`);
+    }
+    if (profile.rounding !== undefined && !ROUNDING_RULES.includes(profile.rounding)) {
+        errors.push(`Unknown rounding rule: ${profile.rounding}`);
+    }
+    return errors;
+}
+
+/**
+ * Resolve a rating profile
+ * @param {string|Object} profile - Profile name, custom profile or nothing for the default
+ * @returns {Object} - Complete profile; `standard` is true when it is EA's formula
+ */
+function resolveRatingProfile(profile = DEFAULT_RATING_PROFILE) {
+    if (profile === null || profile === undefined) profile = DEFAULT_RATING_PROFILE;
+    if (typeof profile === 'string') {
+        if (resolvedByName.has(profile)) return resolvedByName.get(profile);
+    } else {
+        const cached = resolvedByObject.get(profile);
+        if (cached && PROFILE_FIELDS.every(key => cached.fields[key] === profile[key])) return cached.resolved;
+    }
+
+    const errors = validateRatingProfile(profile);
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+
+    const source = typeof profile === 'string' ? RATING_PROFILES[profile] : profile;
+    const base = RATING_PROFILES[source.base || DEFAULT_RATING_PROFILE];
+    const resolved = {
+        name: source.name || 'custom',
+        slots: source.slots === undefined ? base.slots : source.slots,
+        padding: source.padding || base.padding,
+        correction: source.correction || base.correction,
+        rounding: source.rounding || base.rounding
+    };
+    resolved.standard = Object.keys(EA_FORMULA).every(key => resolved[key] === EA_FORMULA[key]);
+    Object.freeze(resolved);
+
+    if (typeof profile === 'string') {
+        resolvedByName.set(profile, resolved);
+    } else {
+        const fields = {};
+        PROFILE_FIELDS.forEach(key => { fields[key] = profile[key]; });
+        resolvedByObject.set(profile, { fields, resolved });
+    }
+    return resolved;
+}
+
+/**
+ * Whether a profile is EA's standard formula (the pre-calculated tables only
+ * hold for it). Invalid profiles are not standard.
+ * @param {string|Object} profile - Profile name or custom profile
+ * @returns {boolean} - True for EA's formula
+ */
+function isStandardProfile(profile) {
+    try {
+        return resolveRatingProfile(profile).standard;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Number of slots the rating divides by
+ * @param {Object} profile - Resolved profile
+ * @param {number} players - Number of players in the squad
+ * @returns {number} - Slot count
+ */
+function getSlotCount(profile, players) {
+    return profile.padding === 'none' ? Math.max(players, 1) : profile.slots;
+}
+
+/**
+ * Score a squad step by step
+ * @param {number[]} ratings - Player ratings
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} - Sum, slots, average, per-player corrections, correction, total and rating
+ */
+function scoreSquad(ratings, profile) {
+    const slots = getSlotCount(profile, ratings.length);
+    const sum = ratings.reduce((acc, curr) => acc + curr, 0);
+    const average = sum / slots;
+    const corrections = ratings.map(rating =>
+        profile.correction === 'above-average' && rating > average ? rating - average : 0);
+    const correction = corrections.reduce((acc, curr) => acc + curr, 0);
+    const total = sum + correction;
+
+    let rating;
+    if (ratings.length === 0) rating = 0;
+    else if (profile.rounding === 'round-floor') rating = Math.floor(Math.round(total) / slots);
+    else if (profile.rounding === 'floor') rating = Math.floor(total / slots);
+    else rating = Math.round(total / slots);
+
+    return { sum, slots, average, corrections, correction, total, rating };
+}
+
+/**
+ * Smallest value of slots * (sum + correction) that reaches a target. The
+ * value is always an integer, which lets the solvers bound rating sums.
+ * @param {number} targetRating - Target squad rating
+ * @param {number} slots - Slot count
+ * @param {Object} profile - Resolved profile
+ * @returns {number} - Threshold
+ */
+function getRatingThreshold(targetRating, slots, profile) {
+    const exact = slots * slots * targetRating;
+    if (profile.rounding === 'round-floor') return exact - Math.floor(slots / 2);
+    if (profile.rounding === 'floor') return exact;
+    return exact - Math.floor(slots * slots / 2);
+}
+
+module.exports = {
+    PADDING_RULES,
+    CORRECTION_RULES,
+    ROUNDING_RULES,
+    RATING_PROFILES,
+    DEFAULT_RATING_PROFILE,
+    validateRatingProfile,
+    resolveRatingProfile,
+    isStandardProfile,
+    getSlotCount,
+    scoreSquad,
+    getRatingThreshold
+};
@@ -0,0 +1,282 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const { createMarketCards, getCoinCost } = require('./Ownership.js');
+const { solveSquad, buildCardPools } = require('./SquadOptimizer.js');
+
+/**
+ * Planner for repeatable SBCs: how many times can the club complete one or
+ * more targets, and which squads should be submitted in which order.
+ *
+ * The club squads come from a branch-and-bound search over completion
+ * counts. Only the ratings of the cards matter, so a squad is a count of
+ * cards per rating, and only minimal squads are tried: squads where no card
+ * can be swapped for a lower spare one. Any plan can be rewritten into one
+ * of those by such swaps, since a higher card never lowers a squad rating,
+ * and the squads of earlier targets in the list can be taken first. Branches that cannot
+ * beat the best plan found, by getCompletionBound, are cut. The plan is
+ * `proven` the maximum unless the node limit stops the search first.
+ *
+ * Once the club alone cannot complete any target, the cheapest squad with
+ * market cards is bought, round after round, as long as it fits the budget.
+ */
+
+const DEFAULT_MAX_NODES = 100000;
+
+/**
+ * Upper bound on the number of completions: every squad needs its own cards
+ * and at least the rating sum SolverHelper.getRequiredFillSum asks for
+ * @param {Card[]} cards - Club cards
+ * @param {Array<Object>} targets - Normalised targets
+ * @param {string|Object} ratingProfile - Rating profile (default: EA's formula)
+ * @returns {number} - Completions no plan can exceed without buying cards
+ */
+function getCompletionBound(cards, targets, ratingProfile) {
+    const totalPoints = cards.reduce((sum, card) => sum + card.rating, 0);
+    const smallestSquad = Math.min(...targets.map(target => target.squadSize));
+    const fewestPoints = Math.min(...targets.map(target =>
+        SolverHelper.getRequiredFillSum([], target.squadSize, 99, target.targetRating, ratingProfile)));
+    const limit = targets.reduce((sum, target) => sum + target.maxCompletions, 0);
+
+    return Math.min(
+        limit,
+        Math.floor(cards.length / smallestSquad),
+        fewestPoints > 0 ? Math.floor(totalPoints / fewestPoints) : Infinity
+    );
+}
+
+/**
+ * Every minimal squad of a target from the cards left (see above)
+ * @param {number[]} levels - Distinct club ratings, highest first
+ * @param {number[]} counts - Cards left per rating
+ * @param {Object} target - Normalised target
+ * @param {string|Object} ratingProfile - Rating profile (default: EA's formula)
+ * @param {Object} search - Node count and limit, `stopped` once the limit is hit
+ * @returns {Array<{taken: number[], points: number}>} - Cards per rating of each squad, fewest points first
+ */
+function findMinimalSquads(levels, counts, target, ratingProfile, search) {
+    const reaches = ratings => SolverHelper.getRating(ratings, ratingProfile) >= target.targetRating;
+    const taken = levels.map(() => 0);
+    const chosen = [];
+    const squads = [];
+
+    // No card can be swapped for the highest lower rating with a spare card
+    const isMinimal = () => taken.every((count, index) => {
+        const lower = levels.findIndex((rating, i) => i > index && counts[i] > taken[i]);
+        if (count === 0 || lower === -1) return true;
+        const lowered = [...chosen];
+        lowered[chosen.indexOf(levels[index])] = levels[lower];
+        return !reaches(lowered);
+    });
+
+    const visit = (index, open) => {
+        if (++search.nodes > search.maxNodes) {
+            search.stopped = true;
+            return;
+        }
+        if (open === 0) {
+            if (reaches(chosen) && isMinimal()) {
+                squads.push({ taken: [...taken], points: chosen.reduce((sum, rating) => sum + rating, 0) });
+            }
+            return;
+        }
+
+        // The highest cards left must still reach the target
+        const fill = [];
+        for (let i = index; i < levels.length && fill.length < open; i++) {
+            for (let n = 0; n < counts[i] && fill.length < open; n++) fill.push(levels[i]);
+        }
+        if (fill.length < open || !reaches([...chosen, ...fill])) return;
+
+        for (let count = Math.min(counts[index], open); count >= 0 && !search.stopped; count--) {
+            taken[index] = count;
+            for (let n = 0; n < count; n++) chosen.push(levels[index]);
+            visit(index + 1, open - count);
+            chosen.length -= count;
+        }
+        taken[index] = 0;
+    };
+
+    visit(0, target.squadSize);
+    return squads.sort((a, b) => a.points - b.points);
+}
+
+/**
+ * Most club-only completions, by branch and bound (see above)
+ * @param {Card[]} cards - Club cards
+ * @param {Array<Object>} targets - Normalised targets
+ * @param {string|Object} ratingProfile - Rating profile (default: EA's formula)
+ * @param {number} maxNodes - Search node limit
+ * @returns {{plan: Array<{index: number, taken: number[]}>, levels: number[], proven: boolean}} - Squads
+ *   as cards per rating, in the order they were found
+ */
+function findBestPlan(cards, targets, ratingProfile, maxNodes) {
+    const levels = [...new Set(cards.map(card => card.rating))].sort((a, b) => b - a);
+    const counts = levels.map(rating => cards.filter(card => card.rating === rating).length);
+    const completions = targets.map(() => 0);
+    const search = { nodes: 0, maxNodes, stopped: false };
+    const candidates = new Map();
+    const visited = new Set();
+    const plan = [];
+    let best = [];
+
+    const getCandidates = index => {
+        const key = `${index}|${counts.join(',')}`;
+        if (!candidates.has(key)) {
+            candidates.set(key, findMinimalSquads(levels, counts, targets[index], ratingProfile, search));
+        }
+        return candidates.get(key);
+    };
+    const getBound = () => getCompletionBound(
+        levels.flatMap((rating, i) => new Array(counts[i]).fill({ rating })),
+        targets.map((target, index) => ({ ...target, maxCompletions: target.maxCompletions - completions[index] })),
+        ratingProfile
+    );
+
+    const visit = first => {
+        if (plan.length > best.length) best = [...plan];
+        const key = `${first}|${completions.join(',')}|${counts.join(',')}`;
+        // The same cards and completions left plan alike whatever came before
+        if (search.stopped || visited.has(key) || plan.length + getBound() <= best.length) return;
+        visited.add(key);
+
+        for (let index = first; index < targets.length && !search.stopped; index++) {
+            if (completions[index] >= targets[index].maxCompletions) continue;
+            for (const { taken } of getCandidates(index)) {
+                if (search.stopped) break;
+                taken.forEach((count, i) => { counts[i] -= count; });
+                completions[index]++;
+                plan.push({ index, taken });
+                visit(index);
+                plan.pop();
+                completions[index]--;
+                taken.forEach((count, i) => { counts[i] += count; });
+            }
+        }
+    };
+
+    if (targets.length > 0) visit(0);
+    return { plan: best, levels, proven: !search.stopped };
+}
+
+/**
+ * Plan the completions of repeatable SBCs from a club
+ * @param {Object} options - Planner options
+ * @param {Array<Object>} options.targets - Targets as `{ name, targetRating, squadSize, maxCompletions }`
+ * @param {Array<Object|Card>} options.cards - Club cards
+ * @param {Object.<number, number>} options.priceByRating - Buy prices for market fill
+ * @param {number} options.budget - Coins that may be spent on market cards (default: 0)
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @param {number} options.maxNodes - Search node limit; the plan is marked unproven when hit (default: 100,000)
+ * @returns {Object} - Ordered squads, completions per target, coins spent, the leftover cards and whether
+ *   the club completions are `proven` the most possible
+ */
+function planRepeatable(options) {
+    const {
+        cards = [],
+        priceByRating = {},
+        budget = 0,
+        ratingProfile,
+        maxNodes = DEFAULT_MAX_NODES
+    } = options;
+
+    const targets = (options.targets || []).map((target, index) => ({
+        name: target.name || `${target.targetRating} x${index + 1}`,
+        targetRating: target.targetRating,
+        squadSize: target.squadSize || 11,
+        maxCompletions: target.maxCompletions === undefined ? Infinity : target.maxCompletions
+    }));
+
+    let leftover = cards.map(card => Card.from(card));
+    const upperBound = targets.length > 0 ? getCompletionBound(leftover, targets, ratingProfile) : 0;
+    const completions = targets.map(() => 0);
+    const squads = [];
+    let coinsSpent = 0;
+
+    const solveTarget = (target, withMarket, taken = null) => {
+        const market = withMarket ? createMarketCards(priceByRating, target.squadSize) : [];
+        // A planned squad may only use its own cards per rating
+        const pools = buildCardPools([...leftover, ...market], priceByRating, getCoinCost)
+            .map(pool => {
+                const count = taken ? taken.get(pool.rating) || 0 : pool.costs.length;
+                return { ...pool, costs: pool.costs.slice(0, count), cards: pool.cards.slice(0, count) };
+            })
+            .filter(pool => pool.costs.length > 0);
+        const result = solveSquad({
+            targetRating: target.targetRating,
+            pools,
+            slots: target.squadSize,
+            objective: withMarket ? 'price' : 'points',
+            ratingProfile
+        });
+        return result.solutions[0] || null;
+    };
+    const submit = (index, solution) => {
+        const clubIds = new Set(leftover.map(card => card.id));
+        const used = new Set(solution.cardIds);
+        leftover = leftover.filter(card => !used.has(card.id));
+        completions[index]++;
+        coinsSpent += solution.price;
+
+        squads.push({
+            order: squads.length + 1,
+            name: targets[index].name,
+            targetRating: targets[index].targetRating,
+            actualRating: solution.actualRating,
+            squad: solution.squad,
+            totalRatingPoints: solution.totalRatingPoints,
+            cardIds: solution.cardIds,
+            boughtCardIds: solution.cardIds.filter(id => !clubIds.has(id)),
+            coinsSpent: solution.price
+        });
+    };
+
+    // Club squads first, fewest rating points first
+    const { plan, levels, proven } = findBestPlan(leftover, targets, ratingProfile, maxNodes);
+    plan
+        .map(({ index, taken }) => ({
+            index,
+            taken: new Map(levels.map((rating, i) => [rating, taken[i]])),
+            points: levels.reduce((sum, rating, i) => sum + rating * taken[i], 0)
+        }))
+        .sort((a, b) => a.points - b.points)
+        .forEach(({ index, taken }) => submit(index, solveTarget(targets[index], false, taken)));
+
+    while (true) {
+        let best = null;
+        targets.forEach((target, index) => {
+            if (completions[index] >= target.maxCompletions) return;
+            const solution = solveTarget(target, false);
+            if (solution && (!best || solution.totalRatingPoints < best.solution.totalRatingPoints)) {
+                best = { index, solution };
+            }
+        });
+
+        if (!best && budget - coinsSpent > 0) {
+            targets.forEach((target, index) => {
+                if (completions[index] >= target.maxCompletions) return;
+                const solution = solveTarget(target, true);
+                if (solution && solution.price <= budget - coinsSpent &&
+                    (!best || solution.price < best.solution.price)) {
+                    best = { index, solution };
+                }
+            });
+        }
+
+        if (!best) break;
+        submit(best.index, best.solution);
+    }
+
+    return {
+        completions: squads.length,
+        upperBound: Math.max(upperBound, squads.length),
+        byTarget: targets.map((target, index) => ({ name: target.name, completions: completions[index] })),
+        squads,
+        coinsSpent,
+        leftover,
+        proven
+    };
+}
+
+module.exports = {
+    planRepeatable
+};
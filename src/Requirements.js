@@ -0,0 +1,580 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const {
+    MAX_PLAYER_CHEMISTRY,
+    CHEMISTRY_THRESHOLDS,
+    SPECIAL_RARITIES,
+    findBestPlacement,
+    getFormationPositions,
+    getThresholdPoints,
+    getChemistryWeights
+} = require('./Chemistry.js');
+const { createSearchSpace } = require('./SquadOptimizer.js');
+const { getCardCost, getSourceRank, describeSources } = require('./Ownership.js');
+
+/**
+ * Declarative SBC requirements and a solver for the cheapest card set.
+ *
+ * A requirement spec is plain JSON, so scraped SBC pages can be fed in as is:
+ *
+ *   {
+ *     "squadSize": 11,
+ *     "rating": { "min": 83 },
+ *     "chemistry": { "min": 20, "minPlayer": 0, "formation": "4-4-2" },
+ *     "counts": [
+ *       { "match": { "league": "Premier League" }, "min": 2 },
+ *       { "match": { "rarity": "totw" }, "min": 1 },
+ *       { "match": { "quality": "gold", "rare": true }, "exact": 11 }
+ *     ],
+ *     "same": [{ "attribute": "club", "max": 3 }]
+ *   }
+ *
+ * A `match` value is a single value, a list of accepted values or a
+ * `{ min, max }` range. `same` limits the number of players sharing one
+ * club/league/nation: `max` applies to every group, `min` needs one group
+ * that large.
+ */
+
+/**
+ * Attributes a requirement can refer to
+ */
+const REQUIREMENT_ATTRIBUTES = ['rating', 'nation', 'league', 'club', 'rarity', 'quality', 'rare', 'tradeable', 'position'];
+
+/**
+ * Default search node limit. Without it a big club with several attribute
+ * constraints can keep the search busy for minutes on near-identical squads;
+ * the best squad found so far is returned with `proven: false`.
+ */
+const DEFAULT_MAX_NODES = 1000000;
+
+/**
+ * Attributes that decide the chemistry of a card
+ */
+const CHEMISTRY_ATTRIBUTES = ['club', 'league', 'nation', 'rarity', 'position'];
+
+/**
+ * Get the value of a requirement attribute for a card
+ * @param {Card} card - Card to read
+ * @param {string} attribute - Requirement attribute
+ * @returns {*} - Attribute value (positions are returned as a list)
+ */
+function getCardValue(card, attribute) {
+    if (attribute === 'quality') return card.getQuality();
+    if (attribute === 'rare') return card.isRare();
+    if (attribute === 'position') return card.positions;
+    return card[attribute];
+}
+
+/**
+ * Check a single attribute value against a match value
+ * @param {*} value - Card value
+ * @param {*} expected - Value, list of values or `{ min, max }` range
+ * @returns {boolean} - True when the value matches
+ */
+function matchesValue(value, expected) {
+    if (Array.isArray(value)) {
+        return value.some(item => matchesValue(item, expected));
+    }
+    if (Array.isArray(expected)) {
+        return expected.includes(value);
+    }
+    if (expected !== null && typeof expected === 'object') {
+        return (expected.min === undefined || value >= expected.min) &&
+            (expected.max === undefined || value <= expected.max);
+    }
+    return value === expected;
+}
+
+/**
+ * Check whether a card satisfies every attribute of a match object
+ * @param {Card} card - Card to check
+ * @param {Object} match - Attribute to match value mapping
+ * @returns {boolean} - True when all attributes match
+ */
+function matchesCard(card, match) {
+    return Object.keys(match).every(attribute => matchesValue(getCardValue(card, attribute), match[attribute]));
+}
+
+/**
+ * Validate a requirement spec
+ * @param {Object} spec - Requirement spec
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateRequirements(spec) {
+    const errors = [];
+
+    if (!spec || typeof spec !== 'object') {
+        return ['Requirements must be an object'];
+    }
+
+    const squadSize = spec.squadSize === undefined ? 11 : spec.squadSize;
+    if (!Number.isInteger(squadSize) || squadSize < 1 || squadSize > 11) {
+        errors.push('Squad size must be between 1 and 11');
+    }
+
+    const rating = typeof spec.rating === 'object' && spec.rating !== null ? spec.rating.min : spec.rating;
+    if (rating !== undefined && (typeof rating !== 'number' || rating < 45 || rating > 99)) {
+        errors.push('Target rating must be between 45 and 99');
+    }
+
+    if (spec.chemistry) {
+        if (!spec.chemistry.formation) {
+            errors.push('Chemistry requirement needs a formation');
+        } else {
+            try {
+                if (getFormationPositions(spec.chemistry.formation).length !== squadSize) {
+                    errors.push(`Formation must have ${squadSize} slots`);
+                }
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+    }
+
+    (spec.counts || []).forEach((count, index) => {
+        if (!count.match || typeof count.match !== 'object') {
+            errors.push(`Count requirement at index ${index} needs a match object`);
+            return;
+        }
+        Object.keys(count.match).forEach(attribute => {
+            if (!REQUIREMENT_ATTRIBUTES.includes(attribute)) {
+                errors.push(`Unknown attribute in count requirement at index ${index}: ${attribute}`);
+            }
+        });
+        if (count.min === undefined && count.max === undefined && count.exact === undefined) {
+            errors.push(`Count requirement at index ${index} needs min, max or exact`);
+        }
+    });
+
+    (spec.same || []).forEach((same, index) => {
+        if (!['nation', 'league', 'club', 'rarity'].includes(same.attribute)) {
+            errors.push(`Unknown attribute in same requirement at index ${index}: ${same.attribute}`);
+        }
+        if (same.min === undefined && same.max === undefined) {
+            errors.push(`Same requirement at index ${index} needs min or max`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Turn a requirement spec into the form the solver uses
+ * @param {Object|string} spec - Requirement spec or its JSON text
+ * @returns {Object} - Normalised requirements
+ */
+function normalizeRequirements(spec) {
+    const parsed = typeof spec === 'string' ? JSON.parse(spec) : spec;
+    const errors = validateRequirements(parsed);
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+
+    const rating = typeof parsed.rating === 'object' && parsed.rating !== null ? parsed.rating.min : parsed.rating;
+    const chemistry = parsed.chemistry
+        ? {
+            min: parsed.chemistry.min || 0,
+            minPlayer: parsed.chemistry.minPlayer || 0,
+            formation: parsed.chemistry.formation
+        }
+        : null;
+
+    return {
+        squadSize: parsed.squadSize === undefined ? 11 : parsed.squadSize,
+        targetRating: rating || 0,
+        chemistry,
+        counts: (parsed.counts || []).map(count => ({
+            match: count.match,
+            min: count.exact !== undefined ? count.exact : (count.min || 0),
+            max: count.exact !== undefined ? count.exact : (count.max === undefined ? Infinity : count.max)
+        })),
+        same: (parsed.same || []).map(same => ({
+            attribute: same.attribute,
+            min: same.min || 0,
+            max: same.max === undefined ? Infinity : same.max
+        }))
+    };
+}
+
+/**
+ * List the card attributes normalised requirements look at
+ * @param {Object} requirements - Normalised requirements
+ * @returns {string[]} - Attribute names
+ */
+function getRequirementAttributes(requirements) {
+    const attributes = new Set();
+    requirements.counts.forEach(count => Object.keys(count.match).forEach(attribute => attributes.add(attribute)));
+    requirements.same.forEach(same => attributes.add(same.attribute));
+    if (requirements.chemistry) CHEMISTRY_ATTRIBUTES.forEach(attribute => attributes.add(attribute));
+    return [...attributes];
+}
+
+/**
+ * Group interchangeable cards. Two cards are interchangeable when they share
+ * the rating and every attribute the requirements look at, so the solver
+ * only decides how many of each group to take (cheapest first).
+ * @param {Card[]} cards - Available cards
+ * @param {Object} requirements - Normalised requirements
+ * @param {Object.<number, number>} priceByRating - Prices for cards without their own price
+ * @param {string[]} extraAttributes - More attributes that must not be mixed within a group
+ * @param {Function} costOf - Cost of one card, (card, priceByRating) => number
+ * @returns {Array<Object>} - Groups sorted by descending rating, cheapest group first
+ */
+function groupCards(cards, requirements, priceByRating, extraAttributes = [], costOf = getCardCost) {
+    const keys = [...new Set([...getRequirementAttributes(requirements), ...extraAttributes])];
+    const groups = new Map();
+    cards.forEach(card => {
+        const key = JSON.stringify([card.rating, ...keys.map(attribute => getCardValue(card, attribute))]);
+        if (!groups.has(key)) groups.set(key, { rating: card.rating, cards: [] });
+        groups.get(key).cards.push(card);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            const entries = group.cards
+                .map(card => ({ card, cost: costOf(card, priceByRating) }))
+                .filter(entry => Number.isFinite(entry.cost))
+                .sort((a, b) => a.cost - b.cost || getSourceRank(a.card) - getSourceRank(b.card))
+                .slice(0, requirements.squadSize);
+            if (entries.length === 0) return null;
+            const sample = entries[0].card;
+            return {
+                rating: group.rating,
+                cards: entries.map(entry => entry.card),
+                costs: entries.map(entry => entry.cost),
+                matches: requirements.counts.map(count => matchesCard(sample, count.match)),
+                values: requirements.same.map(same => getCardValue(sample, same.attribute))
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.rating - a.rating || a.costs[0] - b.costs[0]);
+}
+
+/**
+ * Build one rating pool per distinct rating from the groups, used for the
+ * rating and cost bounds of the search. Every group also gets the prefix
+ * sums of the cheapest costs left in its rating from that group on.
+ * @param {Array<Object>} groups - Groups sorted by descending rating
+ * @param {number} slots - Number of squad slots
+ * @returns {{pools: Array<Object>, poolIndex: number[], tails: number[][]}} - Pools, the pool of every group and its tail costs
+ */
+function buildBoundPools(groups, slots) {
+    const pools = [];
+    const poolIndex = groups.map(group => {
+        if (pools.length === 0 || pools[pools.length - 1].rating !== group.rating) {
+            pools.push({ rating: group.rating, costs: [] });
+        }
+        pools[pools.length - 1].costs.push(...group.costs);
+        return pools.length - 1;
+    });
+
+    pools.forEach(pool => {
+        pool.costs = pool.costs.sort((a, b) => a - b).slice(0, slots);
+    });
+
+    const tails = new Array(groups.length);
+    let tail = [];
+    for (let g = groups.length - 1; g >= 0; g--) {
+        if (g === groups.length - 1 || poolIndex[g + 1] !== poolIndex[g]) tail = [];
+        tail = [...tail, ...groups[g].costs].sort((a, b) => a - b).slice(0, slots);
+        const sums = [0];
+        tail.forEach(cost => sums.push(sums[sums.length - 1] + cost));
+        tails[g] = sums;
+    }
+
+    return { pools, poolIndex, tails };
+}
+
+/**
+ * Lower bound on filling the open slots from group g on: some cards left in
+ * the rating of group g (cheapest first) plus the cheapest fill from the
+ * lower ratings that still reaches the required rating sum
+ * @param {Object} space - Search space over the rating pools
+ * @param {Object} bounds - Pools, pool index and tail costs from buildBoundPools
+ * @param {string} key - 'price' or 'points'
+ * @param {number} g - First group still open
+ * @param {number} remaining - Open slots
+ * @param {number} minSum - Minimum rating sum of the open slots
+ * @returns {number} - Lower bound, Infinity when the sum cannot be reached
+ */
+function groupLowerBound(space, bounds, key, g, remaining, minSum) {
+    const index = bounds.poolIndex[g];
+    const rating = space.pools[index].rating;
+    const tail = bounds.tails[g];
+    const next = space.atLeast[key][index + 1];
+    let bound = Infinity;
+
+    for (let take = 0; take <= remaining && take < tail.length; take++) {
+        const sum = Math.max(0, minSum - take * rating);
+        if (sum > space.maxSum) continue;
+        const rest = next[(remaining - take) * space.width + sum];
+        const own = key === 'price' ? tail[take] : take * rating;
+        if (own + rest < bound) bound = own + rest;
+    }
+    return bound;
+}
+
+/**
+ * Index the club, league and nation counts still available after every group
+ * @param {Array<Object>} groups - Groups in search order
+ * @returns {Function} - (attribute, value, g) => weighted count in groups g and later
+ */
+function indexChemistryCounts(groups) {
+    const index = {};
+    Object.keys(CHEMISTRY_THRESHOLDS).forEach(attribute => {
+        index[attribute] = new Map();
+    });
+
+    for (let g = groups.length - 1; g >= 0; g--) {
+        const card = groups[g].cards[0];
+        const weights = getChemistryWeights(card);
+        Object.keys(index).forEach(attribute => {
+            const value = card[attribute];
+            if (value === null) return;
+            if (!index[attribute].has(value)) index[attribute].set(value, { groups: [], suffix: [] });
+            const entry = index[attribute].get(value);
+            const previous = entry.suffix.length > 0 ? entry.suffix[entry.suffix.length - 1] : 0;
+            entry.groups.push(g);
+            entry.suffix.push(previous + weights[attribute] * groups[g].cards.length);
+        });
+    }
+
+    return (attribute, value, g) => {
+        const entry = index[attribute].get(value);
+        if (!entry) return 0;
+        // Group indexes are stored in descending order
+        let low = 0;
+        let high = entry.groups.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (entry.groups[mid] >= g) low = mid + 1;
+            else high = mid;
+        }
+        return low > 0 ? entry.suffix[low - 1] : 0;
+    };
+}
+
+/**
+ * Find the cheapest card sets satisfying a requirement spec
+ * @param {Object} options - Solver options
+ * @param {Object|string} options.requirements - Requirement spec (object or JSON text)
+ * @param {Array<Object|Card>} options.cards - Available cards
+ * @param {Object.<number, number>} options.priceByRating - Prices for cards without their own price
+ * @param {number} options.maxSolutions - Number of best solutions to keep
+ * @param {number} options.maxNodes - Search node limit (default 1,000,000); the result is marked unproven when hit
+ * @param {string[]} options.groupAttributes - Extra attributes that keep cards apart (used by the batch solver)
+ * @param {Function} options.costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - Result with the solutions found, the number of search nodes and whether the result is proven optimal
+ */
+function solveRequirements(options) {
+    const {
+        cards = [],
+        priceByRating = {},
+        maxSolutions = 1,
+        maxNodes = DEFAULT_MAX_NODES,
+        groupAttributes = [],
+        costOf = getCardCost,
+        ratingProfile
+    } = options;
+
+    const requirements = normalizeRequirements(options.requirements);
+    const { squadSize: slots, targetRating, chemistry, counts, same } = requirements;
+    const groups = groupCards(cards.map(card => Card.from(card)), requirements, priceByRating, groupAttributes, costOf);
+    const bounds = buildBoundPools(groups, slots);
+    const space = createSearchSpace(bounds.pools, slots);
+    const keep = Math.max(1, maxSolutions || 1);
+
+    // Cards matching each count requirement in the groups at or after index g
+    const matchingFrom = counts.map((count, c) => {
+        const suffix = new Array(groups.length + 1).fill(0);
+        for (let g = groups.length - 1; g >= 0; g--) {
+            suffix[g] = suffix[g + 1] + (groups[g].matches[c] ? groups[g].cards.length : 0);
+        }
+        return suffix;
+    });
+    const availableFrom = new Array(groups.length + 1).fill(0);
+    for (let g = groups.length - 1; g >= 0; g--) {
+        availableFrom[g] = availableFrom[g + 1] + groups[g].cards.length;
+    }
+
+    const chemistryFrom = chemistry ? indexChemistryCounts(groups) : null;
+    const chemistryCounts = { club: {}, league: {}, nation: {} };
+
+    const best = [];
+    const chosen = [];
+    const chosenRatings = [];
+    const countTotals = counts.map(() => 0);
+    const sameTotals = same.map(() => ({}));
+    let nodesExplored = 0;
+    let aborted = false;
+
+    const compare = (a, b) => a.price !== b.price ? a.price - b.price : a.points - b.points;
+    const reachesTarget = ratings => SolverHelper.getRating(ratings, ratingProfile) >= targetRating;
+
+    const checkChemistry = () => {
+        if (!chemistry) return null;
+        const placement = findBestPlacement(chosen, chemistry.formation);
+        const valid = placement.teamChemistry >= chemistry.min &&
+            placement.players.every(player => player.chemistry >= chemistry.minPlayer);
+        return valid ? placement : false;
+    };
+
+    // Upper bound on the chemistry: every chosen player in position with the
+    // best counts the remaining groups can still give, every open slot at 3
+    const chemistryReachable = (g, remaining) => {
+        let total = MAX_PLAYER_CHEMISTRY * remaining;
+        for (const card of chosen) {
+            let playerChemistry = MAX_PLAYER_CHEMISTRY;
+            if (!SPECIAL_RARITIES[card.rarity]) {
+                playerChemistry = 0;
+                Object.keys(chemistryCounts).forEach(attribute => {
+                    const value = card[attribute];
+                    if (value === null) return;
+                    const count = chemistryCounts[attribute][value] +
+                        Math.min(chemistryFrom(attribute, value, g), 2 * remaining);
+                    playerChemistry += getThresholdPoints(count, CHEMISTRY_THRESHOLDS[attribute]);
+                });
+                playerChemistry = Math.min(MAX_PLAYER_CHEMISTRY, playerChemistry);
+            }
+            if (playerChemistry < chemistry.minPlayer) return false;
+            total += playerChemistry;
+        }
+        return total >= chemistry.min;
+    };
+
+    const record = (price, points) => {
+        const candidate = { price, points };
+        if (best.length === keep && compare(candidate, best[best.length - 1]) >= 0) return;
+        if (counts.some((count, c) => countTotals[c] < count.min)) return;
+        if (same.some((limit, s) => limit.min > 0 &&
+            !Object.values(sameTotals[s]).some(total => total >= limit.min))) return;
+
+        const placement = checkChemistry();
+        if (placement === false) return;
+
+        let index = best.length;
+        while (index > 0 && compare(candidate, best[index - 1]) < 0) index--;
+        best.splice(index, 0, { price, points, cards: [...chosen], placement });
+        if (best.length > keep) best.pop();
+    };
+
+    const visit = (g, remaining, price, points) => {
+        if (aborted) return;
+        if (++nodesExplored > maxNodes) {
+            aborted = true;
+            return;
+        }
+
+        if (remaining === 0) {
+            if (reachesTarget(chosenRatings)) record(price, points);
+            return;
+        }
+        if (g === groups.length || availableFrom[g] < remaining) return;
+
+        for (let c = 0; c < counts.length; c++) {
+            const missing = counts[c].min - countTotals[c];
+            if (missing > remaining || missing > matchingFrom[c][g]) return;
+        }
+        if (chemistry && !chemistryReachable(g, remaining)) return;
+
+        const minSum = SolverHelper.getRequiredFillSum(chosenRatings, remaining, groups[g].rating, targetRating, ratingProfile);
+        const priceBound = groupLowerBound(space, bounds, 'price', g, remaining, minSum);
+        if (priceBound === Infinity) return;
+        if (best.length === keep) {
+            const bound = {
+                price: price + priceBound,
+                points: points + groupLowerBound(space, bounds, 'points', g, remaining, minSum)
+            };
+            if (compare(bound, best[best.length - 1]) >= 0) return;
+        }
+
+        const group = groups[g];
+        let maxTake = Math.min(group.cards.length, remaining);
+        counts.forEach((count, c) => {
+            if (group.matches[c]) maxTake = Math.min(maxTake, count.max - countTotals[c]);
+        });
+        same.forEach((limit, s) => {
+            const value = group.values[s];
+            if (value !== null && value !== undefined) {
+                maxTake = Math.min(maxTake, limit.max - (sameTotals[s][value] || 0));
+            }
+        });
+
+        const weights = getChemistryWeights(group.cards[0]);
+        const update = (take) => {
+            counts.forEach((count, c) => {
+                if (group.matches[c]) countTotals[c] += take;
+            });
+            Object.keys(chemistryCounts).forEach(attribute => {
+                const value = group.cards[0][attribute];
+                if (value !== null) {
+                    chemistryCounts[attribute][value] = (chemistryCounts[attribute][value] || 0) + weights[attribute] * take;
+                }
+            });
+            same.forEach((limit, s) => {
+                const value = group.values[s];
+                if (value !== null && value !== undefined) {
+                    sameTotals[s][value] = (sameTotals[s][value] || 0) + take;
+                }
+            });
+        };
+
+        let takenPrice = 0;
+        visit(g + 1, remaining, price, points);
+        for (let take = 1; take <= maxTake; take++) {
+            chosen.push(group.cards[take - 1]);
+            chosenRatings.push(group.rating);
+            takenPrice += group.costs[take - 1];
+            update(take);
+            visit(g + 1, remaining - take, price + takenPrice, points + group.rating * take);
+            update(-take);
+        }
+        chosen.length -= Math.max(0, maxTake);
+        chosenRatings.length -= Math.max(0, maxTake);
+    };
+
+    visit(0, slots, 0, 0);
+
+    const solutions = best.map(entry => {
+        const ratings = entry.cards.map(card => card.rating);
+        const ratingCounts = SolverHelper.countRatings(ratings);
+        const solution = {
+            price: entry.price,
+            cardIds: entry.cards.map(card => card.id),
+            squad: Object.keys(ratingCounts).map(rating => ({ rating: +rating, count: ratingCounts[rating] })),
+            actualRating: SolverHelper.getRating(ratings, ratingProfile),
+            totalRatingPoints: entry.points,
+            ...describeSources(entry.cards.map(card => ({ card, cost: costOf(card, priceByRating) })))
+        };
+        if (entry.placement) {
+            solution.chemistry = {
+                teamChemistry: entry.placement.teamChemistry,
+                placements: entry.placement.players.map(player => ({
+                    cardId: player.cardId,
+                    position: player.position,
+                    chemistry: player.chemistry
+                }))
+            };
+        }
+        return solution;
+    });
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        nodesExplored: Math.min(nodesExplored, maxNodes),
+        proven: !aborted
+    };
+}
+
+module.exports = {
+    REQUIREMENT_ATTRIBUTES,
+    DEFAULT_MAX_NODES,
+    getCardValue,
+    matchesCard,
+    validateRequirements,
+    normalizeRequirements,
+    getRequirementAttributes,
+    solveRequirements
+};
@@ -0,0 +1,150 @@
+const { Card } = require('./Card.js');
+const { getCardCost, getSourceRank } = require('./Ownership.js');
+
+/**
+ * Reservations keep club cards out of the solvers:
+ *
+ * - protect: ids of cards that are never used (first team, earmarked cards)
+ * - maxUse:  `{ rating: count }`, at most that many cards of the rating are used
+ * - keep:    `{ rating: count }`, at least that many cards of the rating stay in the club,
+ *            protected cards included
+ *
+ * They are applied to the inventory before solving. When a rating is capped
+ * the cards that are cheapest to use stay available (the ones the solvers
+ * would pick first) and the most valuable ones are held back. Bought market
+ * cards never come out of the club and are not affected.
+ *
+ * A reservation is reported as constraining an answer when it held back
+ * cards of a rating and the answer uses every remaining card of that rating.
+ */
+
+const RESERVATION_TYPES = ['protect', 'maxUse', 'keep'];
+
+/**
+ * Validate reservations
+ * @param {Object} reservations - Reservations (see above)
+ * @returns {string[]} - Error messages, empty when valid
+ */
+function validateReservations(reservations) {
+    if (reservations === undefined || reservations === null) return [];
+    if (typeof reservations !== 'object' || Array.isArray(reservations)) {
+        return ['Reservations must be an object'];
+    }
+
+    const errors = Object.keys(reservations)
+        .filter(type => !RESERVATION_TYPES.includes(type))
+        .map(type => `Unknown reservation: ${type}`);
+
+    if (reservations.protect !== undefined && !Array.isArray(reservations.protect)) {
+        errors.push('Reservation protect must be a list of card ids');
+    }
+    ['maxUse', 'keep'].forEach(type => {
+        const limits = reservations[type];
+        if (limits === undefined) return;
+        if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+            errors.push(`Reservation ${type} must map ratings to counts`);
+            return;
+        }
+        Object.keys(limits).forEach(rating => {
+            if (!Number.isInteger(limits[rating]) || limits[rating] < 0) {
+                errors.push(`Reservation ${type} for rating ${rating} must be a non-negative integer`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Remove the reserved cards from an inventory
+ * @param {Array<Object|Card>} cards - Inventory
+ * @param {Object} reservations - Reservations (see above)
+ * @param {Object.<number, number>} priceByRating - Prices for cards without their own price
+ * @param {Function} costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+ * @returns {{cards: Card[], held: Object[], available: Object.<number, number>}} - Cards the solvers may use
+ *   (the inventory itself without reservations), what every reservation held back and the cards left per rating
+ */
+function applyReservations(cards, reservations, priceByRating = {}, costOf = getCardCost) {
+    if (!reservations) {
+        return { cards, held: [], available: {} };
+    }
+    const inventory = cards.map(card => Card.from(card));
+
+    const { protect = [], maxUse = {}, keep = {} } = reservations;
+    const protectedIds = new Set(protect);
+    const held = [];
+    const heldIds = new Set();
+
+    // Protected cards stay in the club, so they count toward keep
+    const protectedByRating = {};
+    inventory.filter(card => protectedIds.has(card.id)).forEach(card => {
+        held.push({ type: 'protect', cardId: card.id, rating: card.rating, heldBack: [card.id] });
+        heldIds.add(card.id);
+        protectedByRating[card.rating] = (protectedByRating[card.rating] || 0) + 1;
+    });
+
+    // Cheapest to use first, like the solver pools
+    const byRating = {};
+    inventory.filter(card => !heldIds.has(card.id)).forEach(card => {
+        (byRating[card.rating] = byRating[card.rating] || []).push({ card, cost: costOf(card, priceByRating) });
+    });
+    Object.keys(byRating).forEach(rating => {
+        byRating[rating].sort((a, b) => a.cost - b.cost || getSourceRank(a.card) - getSourceRank(b.card));
+    });
+
+    const available = {};
+    Object.keys(byRating).forEach(rating => {
+        available[rating] = byRating[rating].length;
+    });
+
+    const capped = new Set([...Object.keys(maxUse), ...Object.keys(keep)].map(Number));
+    [...capped].sort((a, b) => a - b).forEach(rating => {
+        const entries = (byRating[rating] || []).map(entry => entry.card.id);
+        const byMaxUse = maxUse[rating] === undefined ? entries.length : maxUse[rating];
+        const toKeep = Math.max(0, (keep[rating] || 0) - (protectedByRating[rating] || 0));
+        const byKeep = keep[rating] === undefined ? entries.length : Math.max(0, entries.length - toKeep);
+        available[rating] = Math.min(entries.length, byMaxUse, byKeep);
+
+        if (maxUse[rating] !== undefined) {
+            held.push({ type: 'maxUse', rating, limit: maxUse[rating], heldBack: entries.slice(byMaxUse) });
+        }
+        if (keep[rating] !== undefined) {
+            held.push({ type: 'keep', rating, limit: keep[rating], heldBack: entries.slice(byKeep) });
+        }
+        entries.slice(available[rating]).forEach(id => heldIds.add(id));
+    });
+
+    return {
+        cards: inventory.filter(card => !heldIds.has(card.id)),
+        held,
+        available
+    };
+}
+
+/**
+ * Describe the reservations of an answer
+ * @param {Object} applied - Result of applyReservations
+ * @param {Array<{rating: number}>} used - Inventory cards the answer uses
+ * @returns {Object[]} - One entry per reservation with the number of cards it
+ *   held back and whether it constrained the answer
+ */
+function reportReservations(applied, used) {
+    const usedByRating = {};
+    used.forEach(card => {
+        usedByRating[card.rating] = (usedByRating[card.rating] || 0) + 1;
+    });
+
+    return applied.held.map(({ heldBack, ...reservation }) => ({
+        ...reservation,
+        heldBack: heldBack.length,
+        constrained: heldBack.length > 0 &&
+            (usedByRating[reservation.rating] || 0) >= (applied.available[reservation.rating] || 0)
+    }));
+}
+
+module.exports = {
+    RESERVATION_TYPES,
+    validateReservations,
+    applyReservations,
+    reportReservations
+};
@@ -0,0 +1,282 @@
+const { Card } = require('./Card.js');
+const { MarketEconomics } = require('./Economics.js');
+
+/**
+ * Reward value of an SBC: what the reward is worth in coins, as a probability
+ * distribution, and whether that beats the cost of the squad.
+ *
+ * A reward is a fixed player, packs, or both:
+ *
+ *   {
+ *     "player": { "rating": 86, "rarity": "rare", "price": 12000 },
+ *     "packs": [{
+ *       "name": "Rare Gold Pack",
+ *       "untradeable": true,
+ *       "slots": [
+ *         { "count": 12, "odds": [
+ *           { "rating": 75, "rarity": "rare", "probability": 0.6 },
+ *           { "rating": 84, "rarity": "rare", "probability": 0.05, "price": 3000 }
+ *         ] }
+ *       ]
+ *     }]
+ *   }
+ *
+ * `player` and `pack` are shorthands for one-entry `players` and `packs`.
+ * Every card of a pack slot is drawn on its own from the slot's odds table;
+ * probability left over in a table counts as a worthless card. A card is
+ * worth what the economics model says an owned card is worth: the better of
+ * its sell value after spread and tax and its quick-sell value, or only the
+ * quick-sell value when it is untradeable.
+ */
+
+/**
+ * Default number of distinct reward values kept while combining draws. Past
+ * it, neighbouring values are merged and the distribution is marked inexact.
+ */
+const DEFAULT_MAX_OUTCOMES = 20000;
+
+/**
+ * Validate a reward definition
+ * @param {Object} reward - Reward definition
+ * @returns {string[]} - Validation errors
+ */
+function validateReward(reward) {
+    if (!reward || typeof reward !== 'object') {
+        return ['Reward must be an object'];
+    }
+
+    const errors = [];
+    const { players, packs } = getRewardItems(reward);
+
+    if (players.length === 0 && packs.length === 0) {
+        errors.push('Reward needs a player or a pack');
+    }
+
+    players.forEach((player, i) => {
+        if (!player || typeof player.rating !== 'number') {
+            errors.push(`Reward player ${i + 1} needs a rating`);
+        }
+    });
+
+    packs.forEach((pack, p) => {
+        const label = (pack && pack.name) || `pack ${p + 1}`;
+        if (!pack || !Array.isArray(pack.slots) || pack.slots.length === 0) {
+            errors.push(`Reward ${label} needs slots`);
+            return;
+        }
+        pack.slots.forEach((slot, s) => {
+            const count = slot.count === undefined ? 1 : slot.count;
+            if (!Number.isInteger(count) || count < 1) {
+                errors.push(`Slot ${s + 1} of ${label} needs a positive card count`);
+            }
+            if (!Array.isArray(slot.odds) || slot.odds.length === 0) {
+                errors.push(`Slot ${s + 1} of ${label} needs an odds table`);
+                return;
+            }
+            let total = 0;
+            slot.odds.forEach(entry => {
+                if (typeof entry.rating !== 'number') {
+                    errors.push(`Odds in slot ${s + 1} of ${label} need a rating`);
+                }
+                if (typeof entry.probability !== 'number' || entry.probability < 0 || entry.probability > 1) {
+                    errors.push(`Invalid probability in slot ${s + 1} of ${label}: ${entry.probability}`);
+                } else {
+                    total += entry.probability;
+                }
+            });
+            if (total > 1 + 1e-9) {
+                errors.push(`Odds in slot ${s + 1} of ${label} add up to more than 1`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Players and packs of a reward, with the single-item shorthands expanded
+ * @param {Object} reward - Reward definition
+ * @returns {{players: Array<Object>, packs: Array<Object>}} - Reward items
+ */
+function getRewardItems(reward) {
+    return {
+        players: [...(reward.player ? [reward.player] : []), ...(reward.players || [])],
+        packs: [...(reward.pack ? [reward.pack] : []), ...(reward.packs || [])]
+    };
+}
+
+/**
+ * Coins a reward card is worth once it is in the club
+ * @param {Object} entry - Player or odds entry with rating, rarity, price and tradeable
+ * @param {boolean} untradeable - Whether the card comes untradeable
+ * @param {MarketEconomics} economics - Economics model
+ * @param {Object.<number, number>|PriceSource} prices - Price map or source
+ * @returns {number} - Card value
+ */
+function getCardValue(entry, untradeable, economics, prices) {
+    const card = new Card({
+        id: entry.id === undefined ? `reward:${entry.rating}:${entry.rarity || 'common'}` : entry.id,
+        rating: entry.rating,
+        rarity: entry.rarity,
+        price: entry.price,
+        tradeable: !untradeable && entry.tradeable !== false,
+        source: 'club'
+    });
+    const value = economics.getOpportunityCost(card, prices);
+    // A missing price in 'warn' mode leaves only the quick-sell value
+    return Number.isFinite(value) ? value : economics.getQuickSellValue(card);
+}
+
+/**
+ * Combine two independent value distributions
+ * @param {Map<number, number>} a - Value to probability
+ * @param {Map<number, number>} b - Value to probability
+ * @returns {Map<number, number>} - Distribution of the sum
+ */
+function convolve(a, b) {
+    const result = new Map();
+    a.forEach((pa, va) => {
+        b.forEach((pb, vb) => {
+            const value = va + vb;
+            result.set(value, (result.get(value) || 0) + pa * pb);
+        });
+    });
+    return result;
+}
+
+/**
+ * Merge neighbouring values until at most `maxOutcomes` remain; each bucket
+ * keeps its total probability at its probability-weighted mean value, so the
+ * expected value does not change
+ * @param {Map<number, number>} distribution - Value to probability
+ * @param {number} maxOutcomes - Values to keep
+ * @returns {Map<number, number>} - Coarser distribution
+ */
+function coarsen(distribution, maxOutcomes) {
+    const values = [...distribution.keys()].sort((a, b) => a - b);
+    const width = (values[values.length - 1] - values[0]) / maxOutcomes;
+    const buckets = new Map();
+    values.forEach(value => {
+        const key = Math.min(maxOutcomes - 1, Math.floor((value - values[0]) / width));
+        const bucket = buckets.get(key) || { weight: 0, total: 0 };
+        bucket.weight += distribution.get(value);
+        bucket.total += distribution.get(value) * value;
+        buckets.set(key, bucket);
+    });
+
+    const result = new Map();
+    buckets.forEach(({ weight, total }) => {
+        if (weight > 0) result.set(total / weight, weight);
+    });
+    return result;
+}
+
+/**
+ * Probability distribution of the coins a reward is worth
+ * @param {Object} reward - Reward definition
+ * @param {Object} options - Distribution options
+ * @param {Object.<number, number>|PriceSource} options.prices - Price map or source
+ * @param {MarketEconomics} options.economics - Economics model (default: MarketEconomics defaults)
+ * @param {number} options.maxOutcomes - Most distinct values kept (default: 20,000)
+ * @returns {{distribution: Map<number, number>, exact: boolean}} - Value to probability, and whether no values were merged
+ */
+function getRewardDistribution(reward, options = {}) {
+    const {
+        prices = {},
+        economics = new MarketEconomics(),
+        maxOutcomes = DEFAULT_MAX_OUTCOMES
+    } = options;
+
+    const errors = validateReward(reward);
+    if (errors.length > 0) {
+        throw new Error(errors.join(', '));
+    }
+
+    const { players, packs } = getRewardItems(reward);
+    let distribution = new Map([[0, 1]]);
+    let exact = true;
+
+    const add = draw => {
+        distribution = convolve(distribution, draw);
+        if (distribution.size > maxOutcomes) {
+            distribution = coarsen(distribution, maxOutcomes);
+            exact = false;
+        }
+    };
+
+    players.forEach(player => {
+        add(new Map([[getCardValue(player, player.tradeable === false, economics, prices), 1]]));
+    });
+
+    packs.forEach(pack => {
+        pack.slots.forEach(slot => {
+            const draw = new Map();
+            let total = 0;
+            slot.odds.forEach(entry => {
+                const value = getCardValue(entry, pack.untradeable, economics, prices);
+                draw.set(value, (draw.get(value) || 0) + entry.probability);
+                total += entry.probability;
+            });
+            if (total < 1) draw.set(0, (draw.get(0) || 0) + 1 - total);
+
+            const count = slot.count === undefined ? 1 : slot.count;
+            for (let i = 0; i < count; i++) add(draw);
+        });
+    });
+
+    return { distribution, exact };
+}
+
+/**
+ * Expected value, spread and profit chances of a reward against a squad cost
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.reward - Reward definition
+ * @param {number} options.cost - Coins the squad costs
+ * @param {Object.<number, number>|PriceSource} options.prices - Price map or source
+ * @param {MarketEconomics} options.economics - Economics model
+ * @param {number} options.maxOutcomes - Most distinct values kept
+ * @returns {Object} - Expected value, variance, profit probability and break-even cost
+ */
+function evaluateReward(options) {
+    const { reward, cost } = options;
+    const { distribution, exact } = getRewardDistribution(reward, options);
+
+    let expectedValue = 0;
+    let secondMoment = 0;
+    let profitProbability = 0;
+    let minValue = Infinity;
+    let maxValue = -Infinity;
+
+    distribution.forEach((probability, value) => {
+        expectedValue += probability * value;
+        secondMoment += probability * value * value;
+        if (value > cost) profitProbability += probability;
+        if (probability > 0) {
+            minValue = Math.min(minValue, value);
+            maxValue = Math.max(maxValue, value);
+        }
+    });
+
+    const variance = Math.max(0, secondMoment - expectedValue * expectedValue);
+
+    return {
+        expectedValue,
+        variance,
+        standardDeviation: Math.sqrt(variance),
+        minValue,
+        maxValue,
+        cost,
+        expectedProfit: expectedValue - cost,
+        profitProbability: Math.min(1, profitProbability),
+        breakEvenCost: expectedValue,
+        worthIt: expectedValue > cost,
+        exact
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_OUTCOMES,
+    validateReward,
+    getRewardDistribution,
+    evaluateReward
+};
@@ -0,0 +1,228 @@
+/**
+ * Scorers rank solutions when price-then-points is not what the user wants.
+ *
+ * A scorer gives a solution a number, lower is better. It is one of
+ * - the name of a built-in scorer ('price', 'points', ...)
+ * - a function (solution, context) => number
+ * - an object { name, score(solution, context) }
+ * - a list of the above: the first decides, the next ones break its ties
+ * Solutions still tied after the last scorer keep the order the solver gave them.
+ *
+ * The context holds the `targetRating`, the `cardsById` of the inventory
+ * (empty when only ratings are known) and every `solutions` being ranked.
+ *
+ * A scorer object may also give a `bound`: `{ objective, floor }`, where
+ * `floor(value)` is the lowest score of any squad whose price (objective
+ * 'price') or totalRatingPoints ('points') is at least `value`. The exact
+ * solver then hands out squads in scorer order as soon as no cheaper squad
+ * can beat them; without a bound it has to look at every squad first.
+ */
+
+/**
+ * Ratings of a solution's open slots, one entry per card
+ * @param {Object} solution - Solution with a `squad` of rating counts
+ * @returns {number[]} - Ratings
+ */
+function getSquadRatings(solution) {
+    return solution.squad.flatMap(({ rating, count }) => new Array(count).fill(rating));
+}
+
+/**
+ * Built-in scorers
+ */
+const BUILTIN_SCORERS = {
+    // Coins the squad costs
+    price: solution => solution.price,
+    // Rating points of the full squad
+    points: solution => solution.totalRatingPoints,
+    // Rating points per rating point of the squad rating
+    efficiency: solution => solution.efficiency,
+    // Squad rating above the target
+    overshoot: (solution, context) => solution.actualRating - context.targetRating,
+    // Tradeable cards used; untradeables first
+    tradeables: (solution, context) => (solution.cardIds || [])
+        .filter(id => {
+            const card = context.cardsById.get(id);
+            return card && card.tradeable;
+        }).length
+};
+
+/**
+ * Bounds of the built-in scorers, see above. An efficiency is the rating
+ * points over a squad rating of at most 99.
+ */
+const SCORER_BOUNDS = {
+    price: { objective: 'price', floor: price => price },
+    points: { objective: 'points', floor: points => points },
+    efficiency: { objective: 'points', floor: points => points / 99 },
+    overshoot: { objective: 'price', floor: () => 0 },
+    tradeables: { objective: 'price', floor: () => 0 }
+};
+
+/**
+ * Scorer adding a penalty for every card at or above a rating, e.g. to keep
+ * high rated cards for upcoming SBCs
+ * @param {Object} options - Penalty options
+ * @param {number} options.minRating - Lowest rating penalised (default: 86)
+ * @param {number} options.penalty - Coins added per penalised card
+ * @param {string|Function|Object} options.base - Scorer the penalty is added to (default: 'price')
+ * @returns {Object} - Scorer
+ */
+function ratingPenaltyScorer({ minRating = 86, penalty, base = 'price' }) {
+    if (!(penalty >= 0)) throw new Error("Rating penalty must be a non-negative number");
+    const [baseScorer] = resolveScorer(base);
+    return {
+        name: `penalty(${minRating}+)`,
+        score: (solution, context) => baseScorer.score(solution, context) +
+            penalty * getSquadRatings(solution).filter(rating => rating >= minRating).length,
+        // Penalties only add to the base score
+        bound: baseScorer.bound
+    };
+}
+
+/**
+ * Scorer blending several scorers, e.g. `{ price: 0.7, efficiency: 0.3 }`.
+ * Each one is scaled to 0-1 over the solutions being ranked (0 for the best)
+ * before it is weighted, so coins and rating points can be mixed.
+ * @param {Object.<string, number>} weights - Weight per built-in scorer name
+ * @returns {Object} - Scorer
+ */
+function weightedScorer(weights) {
+    const parts = Object.keys(weights || {}).map(name => {
+        if (!BUILTIN_SCORERS[name]) throw new Error(`Unknown scorer: ${name}`);
+        if (!(weights[name] >= 0)) throw new Error(`Scorer weight for ${name} must be a non-negative number`);
+        return { weight: weights[name], score: BUILTIN_SCORERS[name] };
+    });
+    if (parts.length === 0) throw new Error("Weighted scorer needs at least one weight");
+
+    // The ranges only depend on the solutions being ranked
+    const ranges = new WeakMap();
+    const getRanges = context => {
+        if (!ranges.has(context.solutions)) {
+            ranges.set(context.solutions, parts.map(part => {
+                const values = context.solutions.map(solution => part.score(solution, context));
+                return { min: Math.min(...values), max: Math.max(...values) };
+            }));
+        }
+        return ranges.get(context.solutions);
+    };
+
+    return {
+        name: 'weighted',
+        score: (solution, context) => {
+            const bounds = getRanges(context);
+            return parts.reduce((total, part, i) => {
+                const { min, max } = bounds[i];
+                return total + part.weight * (max > min ? (part.score(solution, context) - min) / (max - min) : 0);
+            }, 0);
+        }
+    };
+}
+
+/**
+ * Turn a scorer into the list of scorers deciding the order
+ * @param {string|Function|Object|Array} scorer - Scorer
+ * @returns {Array<{name: string, score: Function, bound: Object|null}>} - Scorers, most important first
+ */
+function resolveScorer(scorer) {
+    if (Array.isArray(scorer)) {
+        if (scorer.length === 0) throw new Error("Scorer list is empty");
+        return scorer.flatMap(resolveScorer);
+    }
+    if (typeof scorer === 'string') {
+        if (!BUILTIN_SCORERS[scorer]) throw new Error(`Unknown scorer: ${scorer}`);
+        return [{ name: scorer, score: BUILTIN_SCORERS[scorer], bound: SCORER_BOUNDS[scorer] }];
+    }
+    if (typeof scorer === 'function') {
+        return [{ name: scorer.name || 'custom', score: scorer, bound: null }];
+    }
+    if (scorer && typeof scorer.score === 'function') {
+        if (scorer.bound && (!['price', 'points'].includes(scorer.bound.objective) || typeof scorer.bound.floor !== 'function')) {
+            throw new Error("Scorer bound must have a 'price' or 'points' objective and a floor function");
+        }
+        return [{ name: scorer.name || 'custom', score: scorer.score, bound: scorer.bound || null }];
+    }
+    throw new Error("Scorer must be a scorer name, a function, an object with a score function or a list of them");
+}
+
+/**
+ * Validate a scorer
+ * @param {string|Function|Object|Array} scorer - Scorer
+ * @returns {string[]} - Error messages, empty when valid
+ */
+function validateScorer(scorer) {
+    try {
+        resolveScorer(scorer);
+        return [];
+    } catch (error) {
+        return [error.message];
+    }
+}
+
+/**
+ * Scores of one solution
+ * @param {Object} solution - Solution
+ * @param {Array<{name: string, score: Function}>} scorers - Resolved scorers
+ * @param {Object} context - Full ranking context (see above)
+ * @returns {number[]} - One score per scorer
+ * @throws {Error} - When a scorer returns something other than a number
+ */
+function scoreSolution(solution, scorers, context) {
+    return scorers.map(({ name, score }) => {
+        const value = score(solution, context);
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Scorer ${name} returned ${value} instead of a number`);
+        }
+        return value;
+    });
+}
+
+/**
+ * Order of two score lists, most important score first
+ * @param {number[]} a - First scores
+ * @param {number[]} b - Second scores
+ * @returns {number} - Negative when a ranks first, positive when b does, 0 when tied
+ */
+function compareScores(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Sort solutions by a scorer. Every solution gets its `scores`, one per
+ * scorer in the list.
+ * @param {Object[]} solutions - Solutions in the solver's order
+ * @param {string|Function|Object|Array} scorer - Scorer
+ * @param {Object} context - Ranking context
+ * @param {number} context.targetRating - Target of the search
+ * @param {Array<Object|Card>} context.cards - Cards the solutions were built from
+ * @returns {Object[]} - New array of scored solutions, best first
+ * @throws {Error} - When a scorer is invalid or returns something other than a number
+ */
+function rankSolutions(solutions, scorer, context = {}) {
+    const scorers = resolveScorer(scorer);
+    const fullContext = {
+        targetRating: context.targetRating,
+        cardsById: new Map((context.cards || []).filter(Boolean).map(card => [card.id, card])),
+        solutions
+    };
+
+    return solutions
+        .map((solution, index) => ({ solution, index, scores: scoreSolution(solution, scorers, fullContext) }))
+        .sort((a, b) => compareScores(a.scores, b.scores) || a.index - b.index)
+        .map(({ solution, scores }) => ({ ...solution, scores }));
+}
+
+module.exports = {
+    BUILTIN_SCORERS,
+    SCORER_BOUNDS,
+    ratingPenaltyScorer,
+    weightedScorer,
+    resolveScorer,
+    validateScorer,
+    scoreSolution,
+    compareScores,
+    rankSolutions
+};
@@ -0,0 +1,410 @@
+const http = require('http');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { SBCRatingCalculator } = require('./index.js');
+const { version } = require('../package.json');
+
+/**
+ * Local HTTP JSON API over the calculator, for tools that cannot embed the
+ * library. Node built-ins only; the library build does not include it.
+ *
+ * Every route takes a JSON body, checked against the route's schema (the
+ * same schemas make up the OpenAPI description at GET /openapi.json).
+ * Bodies over `maxBodyBytes` are refused with 413. The solver routes run in
+ * a worker thread that is terminated when the time limit is hit (503); the
+ * other routes are cheap and run inline.
+ *
+ * Status codes: 200 result, 400 invalid JSON or body, 404/405 unknown route
+ * or method, 413 body too large, 415 not JSON, 422 the calculator refused
+ * the input, 503 time limit hit.
+ */
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * An error answered with its own status code
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Error message
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const rating = { type: 'integer', minimum: 45, maximum: 99 };
+const ratings = { type: 'array', items: rating };
+const cards = { type: 'array', items: { type: 'object' } };
+const priceByRating = { type: 'object', additionalProperties: { type: 'number', minimum: 0 } };
+const ratingProfile = { type: ['string', 'object'] };
+const reservations = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        protect: { type: 'array', items: { type: ['string', 'integer'] } },
+        maxUse: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+        keep: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } }
+    }
+};
+
+/**
+ * Routes: request schema, the calculator call and whether it runs in a worker
+ */
+const ROUTES = {
+    '/rating': {
+        summary: 'Team rating of a squad (calculateTeamRating)',
+        schema: {
+            type: 'object',
+            required: ['ratings'],
+            additionalProperties: false,
+            properties: { ratings, ratingProfile }
+        },
+        call: (calculator, body) => ({ rating: calculator.calculateTeamRating(body.ratings, body.ratingProfile) })
+    },
+    '/solve': {
+        summary: 'Cheapest squads reaching a target rating (findSquadSolutions)',
+        isolated: true,
+        schema: {
+            type: 'object',
+            required: ['targetRating'],
+            additionalProperties: false,
+            properties: {
+                targetRating: rating,
+                existingRatings: ratings,
+                availableRatings: ratings,
+                existingCards: cards,
+                availableCards: cards,
+                priceByRating,
+                squadSize: { type: 'integer', minimum: 1, maximum: 23 },
+                maxSolutions: { type: 'integer', minimum: 1, maximum: 1000 },
+                sortByPrice: { type: 'boolean' },
+                useOptimalCombinations: { type: 'boolean' },
+                maxNodes: { type: 'integer', minimum: 1 },
+                buyFromMarket: { type: ['boolean', 'array'], items: rating },
+                economics: { type: ['boolean', 'object'] },
+                ratingProfile,
+                reservations
+            }
+        },
+        call: (calculator, body) => calculator.findSquadSolutions(body)
+    },
+    '/optimal': {
+        summary: 'Squads from the pre-calculated optimal combinations (findOptimalSolutions)',
+        isolated: true,
+        schema: {
+            type: 'object',
+            required: ['targetRating'],
+            additionalProperties: false,
+            properties: {
+                targetRating: rating,
+                availableRatings: ratings,
+                availableCards: cards,
+                priceByRating,
+                maxSolutions: { type: 'integer', minimum: 1, maximum: 1000 },
+                economics: { type: ['boolean', 'object'] },
+                ratingProfile,
+                reservations
+            }
+        },
+        call: (calculator, body) => calculator.findOptimalSolutions(body)
+    },
+    '/validate': {
+        summary: 'Check a squad against a target rating and chemistry (validateSquad)',
+        schema: {
+            type: 'object',
+            required: ['squad', 'targetRating'],
+            additionalProperties: false,
+            properties: {
+                squad: { type: 'array', items: { type: ['integer', 'object'] } },
+                targetRating: rating,
+                squadSize: { type: 'integer', minimum: 1, maximum: 23 },
+                formation: { type: ['string', 'array'], items: { type: 'string' } },
+                minChemistry: { type: 'integer', minimum: 0 },
+                minPlayerChemistry: { type: 'integer', minimum: 0 },
+                ratingProfile
+            }
+        },
+        call: (calculator, body) => {
+            const { squad, targetRating, squadSize = 11, ...options } = body;
+            return calculator.validateSquad(squad, targetRating, squadSize, options);
+        }
+    },
+    '/stats': {
+        summary: 'Statistics of a list of ratings (getRatingStatistics)',
+        schema: {
+            type: 'object',
+            required: ['ratings'],
+            additionalProperties: false,
+            properties: { ratings }
+        },
+        call: (calculator, body) => calculator.getRatingStatistics(body.ratings)
+    }
+};
+
+/**
+ * Check a value against a JSON schema subset (type, required, properties,
+ * additionalProperties, items, minimum, maximum)
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value in messages
+ * @returns {string[]} - Validation errors
+ */
+function validateSchema(value, schema, path = 'body') {
+    const types = [].concat(schema.type || []);
+    const typeOf = v => {
+        if (Array.isArray(v)) return 'array';
+        if (v === null) return 'null';
+        if (Number.isInteger(v)) return 'integer';
+        return typeof v;
+    };
+    const actual = typeOf(value);
+    if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        return [`${path} must be ${types.join(' or ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+        });
+        Object.keys(value).forEach(key => {
+            const property = (schema.properties || {})[key];
+            if (property) {
+                errors.push(...validateSchema(value[key], property, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+    return errors;
+}
+
+/**
+ * OpenAPI description of the routes
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function getOpenAPIDocument() {
+    const errorResponse = {
+        description: 'Error',
+        content: {
+            'application/json': {
+                schema: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] }
+            }
+        }
+    };
+    const paths = {
+        '/openapi.json': {
+            get: {
+                summary: 'This document',
+                responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+            }
+        }
+    };
+    Object.keys(ROUTES).forEach(path => {
+        const route = ROUTES[path];
+        paths[path] = {
+            post: {
+                summary: route.summary,
+                requestBody: { required: true, content: { 'application/json': { schema: route.schema } } },
+                responses: {
+                    200: { description: 'Calculator result', content: { 'application/json': { schema: { type: 'object' } } } },
+                    400: errorResponse,
+                    413: errorResponse,
+                    415: errorResponse,
+                    422: errorResponse,
+                    503: errorResponse
+                }
+            }
+        };
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: { title: 'SBC Rating Calculator API', version },
+        paths
+    };
+}
+
+/**
+ * Run a route's calculator call, turning a thrown error into an error result
+ * @param {string} path - Route path
+ * @param {Object} body - Validated body
+ * @param {Object} calculatorOptions - SBCRatingCalculator options
+ * @returns {Object} - Calculator result
+ */
+function callRoute(path, body, calculatorOptions) {
+    try {
+        return ROUTES[path].call(new SBCRatingCalculator(calculatorOptions), body);
+    } catch (error) {
+        return { error: error.message || 'An error occurred' };
+    }
+}
+
+/**
+ * Run a route's call in a worker thread, terminated at the time limit
+ * @param {string} path - Route path
+ * @param {Object} body - Validated body
+ * @param {Object} settings - Server settings
+ * @returns {Promise<Object>} - Calculator result
+ */
+function callIsolated(path, body, settings) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, {
+            workerData: { sbcServerRoute: path, body, calculatorOptions: settings.calculatorOptions }
+        });
+        const timer = setTimeout(() => {
+            worker.terminate();
+            reject(new HttpError(503, `Request timed out after ${settings.timeoutMs} ms`));
+        }, settings.timeoutMs);
+        worker.once('message', result => {
+            clearTimeout(timer);
+            resolve(result);
+        });
+        worker.once('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        worker.once('exit', () => {
+            clearTimeout(timer);
+            reject(new HttpError(500, 'Worker stopped without a result'));
+        });
+    });
+}
+
+/**
+ * Read a request body up to a size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<string>} - Body text
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => new HttpError(413, `Request body exceeds ${maxBytes} bytes`);
+        if (Number(req.headers['content-length']) > maxBytes) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                req.removeAllListeners('data');
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Answer one request
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} settings - Server settings
+ * @returns {Promise<{status: number, body: Object, headers: Object}>} - Response
+ */
+async function handleRequest(req, settings) {
+    const path = new URL(req.url, 'http://localhost').pathname;
+
+    if (path === '/openapi.json') {
+        if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+        return { status: 200, body: getOpenAPIDocument() };
+    }
+    if (!ROUTES[path]) throw new HttpError(404, `Unknown route: ${path}`);
+    if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+
+    const type = req.headers['content-type'];
+    if (type && !/^application\/json\b/i.test(type)) {
+        throw new HttpError(415, 'Content type must be application/json');
+    }
+
+    const text = await readBody(req, settings.maxBodyBytes);
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON: ${error.message}`);
+    }
+
+    const errors = validateSchema(body, ROUTES[path].schema);
+    if (errors.length > 0) throw new HttpError(400, errors.join(', '));
+
+    const result = ROUTES[path].isolated
+        ? await callIsolated(path, body, settings)
+        : callRoute(path, body, settings.calculatorOptions);
+    return { status: result.error ? 422 : 200, body: result };
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {Object} options.calculatorOptions - SBCRatingCalculator options (plain data, they are sent to the workers)
+ * @param {number} options.maxBodyBytes - Largest accepted body (default: 1 MiB)
+ * @param {number} options.timeoutMs - Time limit of a solver request (default: 10 seconds)
+ * @returns {http.Server} - Server
+ */
+function createServer(options = {}) {
+    const settings = {
+        calculatorOptions: options.calculatorOptions || {},
+        maxBodyBytes: options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES,
+        timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+
+    return http.createServer((req, res) => {
+        handleRequest(req, settings)
+            .catch(error => ({
+                status: error.status || 500,
+                body: { error: error.message || 'An error occurred' },
+                headers: error.status === 405 ? { Allow: req.url.startsWith('/openapi.json') ? 'GET' : 'POST' } : {}
+            }))
+            .then(({ status, body, headers = {} }) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                res.end(JSON.stringify(body));
+            });
+    });
+}
+
+/**
+ * Create the API server and start listening
+ * @param {Object} options - createServer options plus `port` (default: 3000) and `host` (default: 127.0.0.1)
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startServer(options = {}) {
+    const server = createServer(options);
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port === undefined ? 3000 : options.port, options.host || '127.0.0.1', () => resolve(server));
+    });
+}
+
+// Worker side of callIsolated
+if (!isMainThread && workerData && workerData.sbcServerRoute) {
+    parentPort.postMessage(callRoute(workerData.sbcServerRoute, workerData.body, workerData.calculatorOptions));
+}
+
+module.exports = {
+    DEFAULT_MAX_BODY_BYTES,
+    DEFAULT_TIMEOUT_MS,
+    ROUTES,
+    validateSchema,
+    getOpenAPIDocument,
+    createServer,
+    startServer
+};
@@ -1,3 +1,10 @@
+const {
+    resolveRatingProfile,
+    getSlotCount,
+    scoreSquad,
+    getRatingThreshold
+} = require('./RatingProfiles.js');
+
 /**
  * Helper class for SBC calculations and combinatorial operations
  */
@@ -35,13 +42,19 @@ class SolverHelper {
     /**
      * Calculate team rating
      * IMPORTANT: Always calculates squad rating as if there are 11 players total,
-     * padding missing slots with 0 rating.
+     * padding missing slots with 0 rating. A rating profile other than EA's
+     * formula changes the slots, padding, correction and rounding.
      * @param {number[]} ratings - Array of individual player ratings
+     * @param {string|Object} profile - Optional rating profile (default: EA's formula)
      * @returns {number} - Calculated team rating (floored)
      */
-    static getRating(ratings) {
+    static getRating(ratings, profile) {
         if (!ratings || ratings.length === 0) return 0;
-        
+        if (profile) {
+            const resolved = resolveRatingProfile(profile);
+            if (!resolved.standard) return scoreSquad(ratings, resolved).rating;
+        }
+
         const paddedRatings = [...ratings];
         while (paddedRatings.length < 11) {
             paddedRatings.push(0);
@@ -61,13 +74,145 @@ class SolverHelper {
         return Math.floor(rounded / 11);
     }
 
+    /**
+     * Explain a team rating step by step, with the same padding to 11 slots
+     * as getRating (or the slots, padding and rounding of a rating profile).
+     *
+     * `pointsToNextRating` is the fewest rating points that lift the squad to
+     * the next rating, given to its best players (a point above the average
+     * also raises the correction). `slack` is the most rating points that can
+     * be taken from its weakest players (not below 45) without losing the
+     * current rating. With a target, `pointsToTarget` counts the points the
+     * same way up to the target (0 when it is met).
+     * @param {number[]} ratings - Array of individual player ratings
+     * @param {number} targetRating - Optional target rating
+     * @param {string|Object} profile - Optional rating profile (default: EA's formula)
+     * @returns {Object} - Sum, average, per-player correction, totals before and after rounding, rating, points to the next rating and slack
+     */
+    static explainRating(ratings, targetRating, profile) {
+        const players = ratings || [];
+        const resolved = resolveRatingProfile(profile);
+        const score = scoreSquad(players, resolved);
+        const contributions = players.map((rating, index) => ({
+            index,
+            rating,
+            correction: score.corrections[index]
+        }));
+        const rating = this.getRating(players, resolved);
+
+        // Best players first when adding, weakest first when taking away
+        const byRating = players.map((r, i) => i).sort((a, b) => players[b] - players[a]);
+        const shift = (points, order, direction) => {
+            const shifted = [...players];
+            let left = points;
+            for (const i of order) {
+                const room = direction > 0 ? 99 - shifted[i] : shifted[i] - 45;
+                const step = Math.min(left, Math.max(0, room));
+                shifted[i] += direction * step;
+                left -= step;
+                if (left === 0) break;
+            }
+            return left === 0 ? shifted : null;
+        };
+
+        const pointsTo = goal => {
+            if (rating >= goal) return 0;
+            for (let points = 1; ; points++) {
+                const raised = shift(points, byRating, 1);
+                if (!raised) return null;
+                if (this.getRating(raised, resolved) >= goal) return points;
+            }
+        };
+
+        let slack = 0;
+        const weakestFirst = [...byRating].reverse();
+        while (true) {
+            const lowered = shift(slack + 1, weakestFirst, -1);
+            if (!lowered || this.getRating(lowered, resolved) < rating) break;
+            slack++;
+        }
+
+        return {
+            ratings: players,
+            paddedSlots: Math.max(0, score.slots - players.length),
+            sum: score.sum,
+            average: score.average,
+            players: contributions,
+            correction: score.correction,
+            total: score.total,
+            roundedTotal: Math.round(score.total),
+            rating,
+            nextRating: rating < 99 ? rating + 1 : null,
+            totalToNextRating: rating < 99
+                ? getRatingThreshold(rating + 1, score.slots, resolved) / score.slots - score.total
+                : null,
+            pointsToNextRating: rating < 99 ? pointsTo(rating + 1) : null,
+            targetRating: targetRating === undefined ? null : targetRating,
+            pointsToTarget: targetRating === undefined ? null : pointsTo(targetRating),
+            slack
+        };
+    }
+
+    /**
+     * Minimum rating sum that `openSlots` more players (each rated at most
+     * `maxOpenRating`) need for the squad to reach a target rating.
+     *
+     * With S the padded squad sum and n the slot count, n * (S + correction)
+     * is the maximum over every subset A of the squad of
+     * (n - |A|) * S + n * sum(A), the best A being the players above the
+     * average. The target T is reached exactly when that value is at least
+     * 121 * T - 5 (n = 11, EA's rounding). Trying every A made of the best
+     * `a` fixed players and `b` new ones (rated at most maxOpenRating) gives
+     * the smallest sum the new players must bring. Without a correction only
+     * the empty A counts.
+     * @param {number[]} fixedRatings - Ratings already in the squad
+     * @param {number} openSlots - Number of players still to add
+     * @param {number} maxOpenRating - Highest rating any new player can have
+     * @param {number} targetRating - Target squad rating
+     * @param {string|Object} profile - Optional rating profile (default: EA's formula)
+     * @returns {number} - Minimum sum of the new ratings (Infinity if unreachable)
+     */
+    static getRequiredFillSum(fixedRatings, openSlots, maxOpenRating, targetRating, profile) {
+        const resolved = resolveRatingProfile(profile);
+        const slots = getSlotCount(resolved, fixedRatings.length + openSlots);
+        const correction = resolved.correction === 'above-average';
+        const fixed = [...fixedRatings].sort((a, b) => b - a);
+        const fixedSum = fixed.reduce((acc, curr) => acc + curr, 0);
+        const threshold = getRatingThreshold(targetRating, slots, resolved);
+        let required = Infinity;
+        let topSum = 0;
+
+        for (let a = 0; a <= (correction ? fixed.length : 0); a++) {
+            if (a > 0) topSum += fixed[a - 1];
+            for (let b = 0; b <= (correction ? openSlots : 0); b++) {
+                const weight = slots - a - b;
+                const base = threshold - weight * fixedSum - slots * topSum;
+                let minSum = 0;
+                if (weight + slots > 0) {
+                    minSum = Math.max(minSum, Math.ceil(base / (weight + slots)));
+                }
+                if (weight > 0) {
+                    minSum = Math.max(minSum, Math.ceil((base - slots * b * maxOpenRating) / weight));
+                }
+                if (minSum <= openSlots * maxOpenRating) {
+                    required = Math.min(required, minSum);
+                }
+            }
+        }
+
+        return required;
+    }
+
     /**
      * Calculate total price for a set of ratings
      * @param {number[]} ratings - Array of player ratings
-     * @param {Object.<number, number>} priceByRating - Mapping of ratings to prices
+     * @param {Object.<number, number>|PriceSource} priceByRating - Mapping of ratings to prices, or a price source
      * @returns {number} - Total price
      */
     static getPrice(ratings, priceByRating) {
+        if (priceByRating && typeof priceByRating.getRatingPrice === 'function') {
+            return ratings.reduce((acc, curr) => acc + priceByRating.getRatingPrice(curr), 0);
+        }
         return ratings.reduce(
             (acc, curr) => acc + (priceByRating[curr] || 0),
             0
@@ -0,0 +1,783 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const { getCardCost, getSourceRank, describeSources } = require('./Ownership.js');
+const { resolveScorer, scoreSolution, compareScores } = require('./Scorers.js');
+
+/**
+ * Exact squad optimizer working on rating-count vectors.
+ *
+ * Instead of enumerating every multisubset of the inventory, the search walks
+ * the distinct ratings from the highest down and decides how many cards of
+ * each rating to take (branch-and-bound). Solutions are always checked with
+ * SolverHelper.getRating; the bounds only decide which branches are skipped.
+ *
+ * The cost bound comes from SolverHelper.getRequiredFillSum, the minimum
+ * rating sum the open slots need for the target to stay reachable. A DP over
+ * the remaining ratings gives the cheapest way to reach every (cards, sum)
+ * pair, which turns the bound into a table lookup.
+ */
+
+/**
+ * Supported objectives. The primary key is minimised first, the secondary
+ * key breaks ties.
+ */
+const OBJECTIVES = {
+    price: { primary: 'price', secondary: 'points' },
+    points: { primary: 'points', secondary: 'price' }
+};
+
+/**
+ * Order of two equally scored combinations (ratings in descending order):
+ * the order the search meets them in. It takes the fewest cards of the
+ * highest rating first for price and the most first for points.
+ * @param {number[]} a - First combination
+ * @param {number[]} b - Second combination
+ * @param {string} objective - 'price' or 'points'
+ * @returns {number} - Negative when a comes first, positive when b does, 0 when equal
+ */
+function compareCombinations(a, b, objective) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) return objective === 'points' ? b[i] - a[i] : a[i] - b[i];
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Group cards into rating pools, cheapest card first. The cost of a card
+ * follows its ownership tier (see Ownership.js); on equal cost duplicates and
+ * untradeables come first.
+ * @param {Array<Object|Card>} cards - Available cards
+ * @param {Object.<number, number>} priceByRating - Prices for cards without their own price
+ * @param {Function} costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+ * @returns {Array<{rating: number, costs: number[], cards: Card[]}>} - One pool per distinct rating
+ */
+function buildCardPools(cards, priceByRating = {}, costOf = getCardCost) {
+    const byRating = {};
+    cards.map(card => Card.from(card)).forEach(card => {
+        (byRating[card.rating] = byRating[card.rating] || []).push(card);
+    });
+
+    return Object.keys(byRating).map(rating => {
+        const poolCards = byRating[rating]
+            .map(card => ({ card, cost: costOf(card, priceByRating) }))
+            .filter(entry => Number.isFinite(entry.cost))
+            .sort((a, b) => a.cost - b.cost || getSourceRank(a.card) - getSourceRank(b.card));
+        return {
+            rating: +rating,
+            costs: poolCards.map(entry => entry.cost),
+            cards: poolCards.map(entry => entry.card)
+        };
+    });
+}
+
+/**
+ * Merge lists of rating pools, e.g. cached club pools and market pools.
+ * Pools of a rating found in one list only are returned as they are.
+ * @param {...Array<{rating: number, costs: number[], cards: Card[]}>} poolLists - Pools from buildCardPools
+ * @returns {Array<{rating: number, costs: number[], cards: Card[]}>} - One pool per distinct rating
+ */
+function mergePools(...poolLists) {
+    const byRating = new Map();
+    poolLists.forEach(pools => pools.forEach(pool => {
+        byRating.set(pool.rating, [...(byRating.get(pool.rating) || []), pool]);
+    }));
+
+    return [...byRating.values()].map(pools => {
+        if (pools.length === 1) return pools[0];
+        const entries = pools
+            .flatMap(pool => pool.cards.map((card, i) => ({ card, cost: pool.costs[i] })))
+            .sort((a, b) => a.cost - b.cost || getSourceRank(a.card) - getSourceRank(b.card));
+        return {
+            rating: pools[0].rating,
+            costs: entries.map(entry => entry.cost),
+            cards: entries.map(entry => entry.card)
+        };
+    });
+}
+
+/**
+ * Build rating pools from a plain ratings inventory and a price map.
+ * The cards get the index of their rating in the array as id.
+ * @param {number[]} availableRatings - Ratings of the available cards (one entry per card)
+ * @param {Object.<number, number>} priceByRating - Mapping of player ratings to their prices
+ * @returns {Array<{rating: number, costs: number[], cards: Card[]}>} - One pool per distinct rating
+ */
+function buildRatingPools(availableRatings, priceByRating = {}) {
+    return buildCardPools(Card.fromRatings(availableRatings), priceByRating);
+}
+
+/**
+ * Command sent into a running search to end it early
+ */
+const STOP = Symbol('stop');
+
+/**
+ * Nodes between two pauses of a search
+ */
+const DEFAULT_YIELD_EVERY = 4096;
+
+/**
+ * Node limit of a search ranked by a scorer when none is given; scorers
+ * without a bound look at every squad
+ */
+const DEFAULT_RANKED_MAX_NODES = 1000000;
+
+/**
+ * Solution field holding each objective key
+ */
+const OBJECTIVE_FIELDS = { price: 'price', points: 'totalRatingPoints' };
+
+/**
+ * Find the cheapest squads reaching a target rating
+ * @param {Object} options - Solver options (see searchSquad)
+ * @returns {Object} - Result with the solutions found, the number of search nodes and whether the result is proven optimal
+ */
+function solveSquad(options) {
+    const search = searchSquad(options);
+    let step = search.next();
+    while (!step.done) step = search.next();
+    return step.value;
+}
+
+/**
+ * The search behind solveSquad, as a generator that pauses every
+ * `yieldEvery` nodes with its progress (`{ nodesExplored, solutionsFound,
+ * bestPrice }`). Passing STOP to `next` ends the search; it then returns the
+ * best solutions found so far, marked unproven.
+ * @param {Object} options - Solver options
+ * @param {number} options.targetRating - The desired overall squad rating
+ * @param {number[]} options.existingRatings - Ratings of players already in the squad
+ * @param {Array<{rating: number, costs: number[], cards: Card[]}>} options.pools - Available cards grouped
+ *   by rating, each with the unit cost of every card in the pool and optionally the cards themselves
+ * @param {number} options.slots - Number of open slots to fill
+ * @param {number} options.maxSolutions - Number of best solutions to keep
+ * @param {string} options.objective - 'price' (coins first) or 'points' (rating points first)
+ * @param {number} options.maxNodes - Search node limit; the result is marked unproven when hit
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @param {number} options.yieldEvery - Nodes between two pauses (default: 4096)
+ * @param {Object} options.after - Solution of an earlier search; only solutions ordered after it are kept
+ * @param {string|Function|Object|Array} options.scorer - Rank the squads with this scorer (see Scorers.js)
+ *   instead of the objective; every solution then carries its `scores`
+ * @returns {Generator} - Generator yielding progress and returning the solveSquad result
+ */
+function* searchSquad(options) {
+    if (options.scorer) return yield* searchRanked(options);
+
+    const {
+        targetRating,
+        existingRatings = [],
+        pools = [],
+        slots,
+        maxSolutions = 1,
+        objective = 'price',
+        maxNodes = Infinity,
+        ratingProfile,
+        yieldEvery = DEFAULT_YIELD_EVERY,
+        after = null
+    } = options;
+
+    if (!OBJECTIVES[objective]) {
+        throw new Error(`Unknown objective: ${objective}`);
+    }
+
+    const { primary, secondary } = OBJECTIVES[objective];
+    const keep = Math.max(1, maxSolutions || 1);
+    const existingPoints = existingRatings.reduce((a, b) => a + b, 0);
+
+    if (slots <= 0) {
+        const currentRating = SolverHelper.getRating(existingRatings, ratingProfile);
+        const solutions = currentRating >= targetRating && !after
+            ? [createSolution([], 0, existingPoints, currentRating)]
+            : [];
+        return { solutionsFound: solutions.length, solutions, nodesExplored: 0, proven: true };
+    }
+
+    const sortedPools = pools
+        .filter(pool => pool.costs.length > 0)
+        .map(pool => {
+            const order = pool.costs
+                .map((cost, i) => i)
+                .sort((a, b) => pool.costs[a] - pool.costs[b])
+                .slice(0, slots);
+            return {
+                rating: pool.rating,
+                costs: order.map(i => pool.costs[i]),
+                cards: pool.cards ? order.map(i => pool.cards[i]) : null
+            };
+        })
+        .sort((a, b) => b.rating - a.rating);
+
+    const space = createSearchSpace(sortedPools, slots);
+    const best = [];
+    const chosen = [];
+    let nodesExplored = 0;
+    let aborted = false;
+
+    const compare = (a, b) => a[primary] !== b[primary]
+        ? a[primary] - b[primary]
+        : a[secondary] - b[secondary];
+
+    // Solutions up to and including `after` were returned by an earlier search
+    const afterKey = after && { price: after.price, points: after.totalRatingPoints - existingPoints };
+    const isAfter = candidate => {
+        const order = compare(candidate, afterKey);
+        return order > 0 || (order === 0 && compareCombinations(chosen, after.combinationUsed, objective) > 0);
+    };
+
+    const reachesTarget = ratings => SolverHelper.getRating([...existingRatings, ...ratings], ratingProfile) >= targetRating;
+
+    const record = (price, points) => {
+        const candidate = { price, points };
+        if (after && !isAfter(candidate)) return;
+        if (best.length === keep && compare(candidate, best[best.length - 1]) >= 0) {
+            return;
+        }
+        const rating = SolverHelper.getRating([...existingRatings, ...chosen], ratingProfile);
+        let index = best.length;
+        while (index > 0 && compare(candidate, best[index - 1]) < 0) index--;
+        best.splice(index, 0, { price, points, rating, combination: [...chosen] });
+        if (best.length > keep) best.pop();
+    };
+
+    const progress = () => ({
+        nodesExplored,
+        solutionsFound: best.length,
+        bestPrice: best.length > 0 ? best[0].price : null
+    });
+
+    const visit = function* (index, remaining, price, points) {
+        if (aborted) return;
+        if (++nodesExplored > maxNodes) {
+            aborted = true;
+            return;
+        }
+        if (nodesExplored % yieldEvery === 0 && (yield progress()) === STOP) {
+            aborted = true;
+            return;
+        }
+
+        if (remaining === 0) {
+            if (reachesTarget(chosen)) record(price, points);
+            return;
+        }
+        if (index === sortedPools.length || space.available[index] < remaining) return;
+
+        const fixed = [...existingRatings, ...chosen];
+        const primaryBound = fillLowerBound(space.atLeast[primary], space, index, remaining, fixed, targetRating, ratingProfile);
+        if (primaryBound === Infinity) return;
+        if (!reachesTarget([...chosen, ...space.cards.slice(space.start[index], space.start[index] + remaining)])) {
+            return;
+        }
+
+        if (best.length === keep) {
+            const bound = { price, points };
+            bound[primary] += primaryBound;
+            bound[secondary] += fillLowerBound(space.atLeast[secondary], space, index, remaining, fixed, targetRating, ratingProfile);
+            if (compare(bound, best[best.length - 1]) >= 0) return;
+        }
+
+        // Cheap squads usually skip the expensive high ratings, while the
+        // fewest-points squads lean on a few of them to drive the correction
+        const pool = sortedPools[index];
+        const maxTake = Math.min(pool.costs.length, remaining);
+        const order = [];
+        for (let take = 0; take <= maxTake; take++) order.push(take);
+        if (primary === 'points') order.reverse();
+
+        for (const take of order) {
+            let takenPrice = 0;
+            for (let i = 0; i < take; i++) {
+                chosen.push(pool.rating);
+                takenPrice += pool.costs[i];
+            }
+            yield* visit(index + 1, remaining - take, price + takenPrice, points + pool.rating * take);
+            chosen.length -= take;
+        }
+    };
+
+    yield* visit(0, slots, 0, 0);
+
+    const solutions = best.map(entry => {
+        const solution = createSolution(entry.combination, entry.price, existingPoints + entry.points, entry.rating);
+        if (sortedPools.every(pool => pool.cards)) {
+            const entries = pickEntries(sortedPools, solution.squad);
+            solution.cardIds = entries.map(entry => entry.card.id);
+            Object.assign(solution, describeSources(entries));
+        }
+        return solution;
+    });
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        nodesExplored: Math.min(nodesExplored, maxNodes),
+        proven: !aborted
+    };
+}
+
+/**
+ * Every squad reaching a target, one at a time in objective order (ties in the
+ * order solveSquad lists them), for paging. Unlike searchSquad this is a
+ * best-first search: the open branches are kept in a queue ordered by their
+ * lower bound, so asking for the next squad carries on where the last one
+ * was found instead of searching again.
+ * @param {Object} options - searchSquad options (maxSolutions and yieldEvery do not apply)
+ * @param {Object} stats - Filled with `nodesExplored` and `proven` (false once maxNodes was hit)
+ * @returns {Generator<Object>} - Solutions in order
+ */
+function* streamSquad(options, stats = {}) {
+    if (options.scorer) return yield* streamRanked(options, stats);
+
+    const {
+        targetRating,
+        existingRatings = [],
+        pools = [],
+        slots,
+        objective = 'price',
+        maxNodes = Infinity,
+        ratingProfile,
+        after = null
+    } = options;
+
+    if (!OBJECTIVES[objective]) {
+        throw new Error(`Unknown objective: ${objective}`);
+    }
+
+    const { primary, secondary } = OBJECTIVES[objective];
+    const existingPoints = existingRatings.reduce((a, b) => a + b, 0);
+    stats.nodesExplored = 0;
+    stats.proven = true;
+
+    if (slots <= 0) {
+        const currentRating = SolverHelper.getRating(existingRatings, ratingProfile);
+        if (currentRating >= targetRating && !after) yield createSolution([], 0, existingPoints, currentRating);
+        return;
+    }
+
+    const sortedPools = pools
+        .filter(pool => pool.costs.length > 0)
+        .map(pool => {
+            const order = pool.costs
+                .map((cost, i) => i)
+                .sort((a, b) => pool.costs[a] - pool.costs[b])
+                .slice(0, slots);
+            return {
+                rating: pool.rating,
+                costs: order.map(i => pool.costs[i]),
+                cards: pool.cards ? order.map(i => pool.cards[i]) : null
+            };
+        })
+        .sort((a, b) => b.rating - a.rating);
+
+    const space = createSearchSpace(sortedPools, slots);
+    const withCards = sortedPools.every(pool => pool.cards);
+    const reachesTarget = ratings => SolverHelper.getRating([...existingRatings, ...ratings], ratingProfile) >= targetRating;
+    const compare = (a, b) => a.bound[primary] !== b.bound[primary]
+        ? a.bound[primary] - b.bound[primary]
+        : a.bound[secondary] - b.bound[secondary];
+    const queue = createQueue(compare);
+    const afterNode = after && { bound: { price: after.price, points: after.totalRatingPoints - existingPoints } };
+
+    // A branch goes into the queue with the lowest price and points any squad in it can have
+    const open = (index, remaining, price, points, chosen) => {
+        if (remaining === 0) {
+            if (reachesTarget(chosen)) queue.push({ leaf: true, price, points, chosen, bound: { price, points } });
+            return;
+        }
+        if (index === sortedPools.length || space.available[index] < remaining) return;
+        if (!reachesTarget([...chosen, ...space.cards.slice(space.start[index], space.start[index] + remaining)])) return;
+
+        const fixed = [...existingRatings, ...chosen];
+        const bound = { price, points };
+        bound[primary] += fillLowerBound(space.atLeast[primary], space, index, remaining, fixed, targetRating, ratingProfile);
+        bound[secondary] += fillLowerBound(space.atLeast[secondary], space, index, remaining, fixed, targetRating, ratingProfile);
+        if (bound[primary] === Infinity) return;
+        queue.push({ leaf: false, index, remaining, price, points, chosen, bound });
+    };
+    const expand = node => {
+        const pool = sortedPools[node.index];
+        let takenPrice = 0;
+        for (let take = 0; take <= Math.min(pool.costs.length, node.remaining); take++) {
+            if (take > 0) takenPrice += pool.costs[take - 1];
+            open(node.index + 1, node.remaining - take, node.price + takenPrice, node.points + pool.rating * take,
+                [...node.chosen, ...new Array(take).fill(pool.rating)]);
+        }
+    };
+    const toSolution = node => {
+        const rating = SolverHelper.getRating([...existingRatings, ...node.chosen], ratingProfile);
+        const solution = createSolution(node.chosen, node.price, existingPoints + node.points, rating);
+        if (withCards) {
+            const entries = pickEntries(sortedPools, solution.squad);
+            solution.cardIds = entries.map(entry => entry.card.id);
+            Object.assign(solution, describeSources(entries));
+        }
+        return solution;
+    };
+    const explore = () => {
+        if (stats.nodesExplored >= maxNodes) {
+            stats.proven = false;
+            return null;
+        }
+        stats.nodesExplored++;
+        return queue.pop();
+    };
+
+    open(0, slots, 0, 0, []);
+    while (queue.size() > 0) {
+        const node = explore();
+        if (!node) return;
+        if (!node.leaf) {
+            expand(node);
+            continue;
+        }
+
+        // Squads scoring the same come out together, in the order solveSquad gives them
+        const tied = [node];
+        while (queue.size() > 0 && compare(queue.peek(), node) === 0) {
+            const next = explore();
+            if (!next) return;
+            if (next.leaf) tied.push(next);
+            else expand(next);
+        }
+        tied.sort((a, b) => compareCombinations(a.chosen, b.chosen, objective));
+
+        for (const squad of tied) {
+            if (afterNode) {
+                const order = compare(squad, afterNode);
+                if (order < 0 || (order === 0 && compareCombinations(squad.chosen, after.combinationUsed, objective) <= 0)) continue;
+            }
+            yield toSolution(squad);
+        }
+    }
+}
+
+/**
+ * streamSquad for a scorer. The squads come from the stream of the objective
+ * the scorer's bound is given in, and wait until no later squad can score
+ * better (see Scorers.js); without a bound every squad is scored first.
+ * @param {Object} options - streamSquad options with a `scorer`; `after` is a
+ *   solution with its `scores`
+ * @param {Object} stats - Filled with `nodesExplored` and `proven`
+ * @returns {Generator<Object>} - Solutions in scorer order, each with its `scores`
+ */
+function* streamRanked(options, stats) {
+    const { scorer, targetRating, pools = [], maxNodes = Infinity, after = null } = options;
+    const scorers = resolveScorer(scorer);
+    const { bound } = scorers[0];
+    const objective = bound ? bound.objective : (options.objective || 'price');
+    const { primary, secondary } = OBJECTIVES[objective];
+    const context = {
+        targetRating,
+        cardsById: new Map(pools.flatMap(pool => pool.cards || []).map(card => [card.id, card])),
+        solutions: []
+    };
+    const stream = streamSquad({
+        ...options,
+        scorer: null,
+        after: null,
+        objective,
+        maxNodes: Number.isFinite(maxNodes) ? maxNodes : DEFAULT_RANKED_MAX_NODES
+    }, stats);
+
+    // Equal scores keep the order of the stream
+    const streamOrder = (a, b) => a[OBJECTIVE_FIELDS[primary]] - b[OBJECTIVE_FIELDS[primary]] ||
+        a[OBJECTIVE_FIELDS[secondary]] - b[OBJECTIVE_FIELDS[secondary]] ||
+        compareCombinations(a.combinationUsed, b.combinationUsed, objective);
+    const isAfter = entry => !after || compareScores(entry.scores, after.scores) > 0 ||
+        (compareScores(entry.scores, after.scores) === 0 && streamOrder(entry.solution, after) > 0);
+    const pending = createQueue((a, b) => compareScores(a.scores, b.scores) || a.index - b.index);
+    // Hand out the waiting squads scoring below a floor (all of them without one)
+    const release = function* (floor = null) {
+        while (pending.size() > 0 && (floor === null || pending.peek().scores[0] < floor)) {
+            const entry = pending.pop();
+            if (isAfter(entry)) yield { ...entry.solution, scores: entry.scores };
+        }
+    };
+
+    let index = 0;
+    for (const solution of stream) {
+        if (bound) {
+            // Squads still to come score at least the floor of this one
+            yield* release(bound.floor(solution[OBJECTIVE_FIELDS[objective]]));
+            pending.push({ solution, index: index++, scores: scoreSolution(solution, scorers, context) });
+        }
+        context.solutions.push(solution);
+    }
+    if (!bound) context.solutions.forEach(solution => pending.push({
+        solution,
+        index: index++,
+        scores: scoreSolution(solution, scorers, context)
+    }));
+    yield* release();
+}
+
+/**
+ * searchSquad for a scorer: the first `maxSolutions` squads of streamRanked
+ * @param {Object} options - searchSquad options with a `scorer`
+ * @returns {Generator} - Generator yielding progress after every squad and returning the solveSquad result
+ */
+function* searchRanked(options) {
+    const keep = Math.max(1, options.maxSolutions || 1);
+    const stats = {};
+    const stream = streamRanked(options, stats);
+    const solutions = [];
+    let stopped = false;
+
+    while (solutions.length < keep) {
+        const step = stream.next();
+        if (step.done) break;
+        solutions.push(step.value);
+        const progress = { nodesExplored: stats.nodesExplored, solutionsFound: solutions.length, bestPrice: solutions[0].price };
+        if (solutions.length < keep && (yield progress) === STOP) {
+            stopped = true;
+            break;
+        }
+    }
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        nodesExplored: stats.nodesExplored,
+        proven: stats.proven && !stopped
+    };
+}
+
+/**
+ * Binary heap, smallest first
+ * @param {Function} compare - Order of two entries
+ * @returns {{push: Function, pop: Function, peek: Function, size: Function}} - Queue
+ */
+function createQueue(compare) {
+    const heap = [];
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+
+    return {
+        size: () => heap.length,
+        peek: () => heap[0],
+        push(entry) {
+            heap.push(entry);
+            let i = heap.length - 1;
+            while (i > 0 && compare(heap[i], heap[(i - 1) >> 1]) < 0) {
+                swap(i, (i - 1) >> 1);
+                i = (i - 1) >> 1;
+            }
+        },
+        pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && compare(heap[left], heap[smallest]) < 0) smallest = left;
+                    if (right < heap.length && compare(heap[right], heap[smallest]) < 0) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
+
+/**
+ * Precompute everything the bounds need for each suffix of the pools.
+ *
+ * Pools are sorted by descending rating and a node at pool index i may only
+ * use pools i and below. For every such suffix and both objective keys this
+ * stores the cheapest cost of taking n cards whose ratings sum to at least s.
+ * @param {Array<{rating: number, costs: number[]}>} pools - Pools sorted by descending rating
+ * @param {number} slots - Number of open slots
+ * @returns {Object} - Search space shared by every node
+ */
+function createSearchSpace(pools, slots) {
+    const maxSum = slots * (pools.length > 0 ? pools[0].rating : 0);
+    const width = maxSum + 1;
+    const cards = [];
+    const start = [];
+    const available = new Array(pools.length + 1).fill(0);
+
+    pools.forEach(pool => {
+        start.push(cards.length);
+        pool.costs.forEach(() => cards.push(pool.rating));
+    });
+    start.push(cards.length);
+
+    const atLeast = { price: new Array(pools.length + 1), points: new Array(pools.length + 1) };
+    const exact = {
+        price: new Float64Array((slots + 1) * width).fill(Infinity),
+        points: new Float64Array((slots + 1) * width).fill(Infinity)
+    };
+    exact.price[0] = 0;
+    exact.points[0] = 0;
+
+    for (let i = pools.length; i >= 0; i--) {
+        if (i < pools.length) {
+            const pool = pools[i];
+            exact.price = addPool(exact.price, slots, width, pool.rating, pool.costs);
+            exact.points = addPool(exact.points, slots, width, pool.rating, pool.costs.map(() => pool.rating));
+            available[i] = available[i + 1] + pool.costs.length;
+        }
+        atLeast.price[i] = suffixMinimum(exact.price, slots, width);
+        atLeast.points[i] = suffixMinimum(exact.points, slots, width);
+    }
+
+    return { pools, cards, start, available, width, maxSum, atLeast };
+}
+
+/**
+ * Turn a (cards, exact sum) table into a (cards, sum at least) table
+ * @param {Float64Array} exact - Cheapest cost per exact sum
+ * @param {number} slots - Maximum number of cards
+ * @param {number} width - Row width (max sum + 1)
+ * @returns {Float64Array} - Cheapest cost per minimum sum
+ */
+function suffixMinimum(exact, slots, width) {
+    const table = new Float64Array(exact.length);
+    for (let n = 0; n <= slots; n++) {
+        let runningMin = Infinity;
+        for (let s = width - 1; s >= 0; s--) {
+            runningMin = Math.min(runningMin, exact[n * width + s]);
+            table[n * width + s] = runningMin;
+        }
+    }
+    return table;
+}
+
+/**
+ * Add one pool to a (cards, exact sum) -> cheapest cost table
+ * @param {Float64Array} table - Current table
+ * @param {number} slots - Maximum number of cards
+ * @param {number} width - Row width (max sum + 1)
+ * @param {number} rating - Rating of the pool
+ * @param {number[]} keys - Sorted unit costs of the pool's cards
+ * @returns {Float64Array} - New table including the pool
+ */
+function addPool(table, slots, width, rating, keys) {
+    const next = Float64Array.from(table);
+    const taken = prefixSums(keys);
+
+    for (let n = slots; n >= 1; n--) {
+        const maxTake = Math.min(n, keys.length);
+        for (let s = width - 1; s >= 0; s--) {
+            let bestCost = next[n * width + s];
+            for (let take = 1; take <= maxTake && take * rating <= s; take++) {
+                const previous = table[(n - take) * width + s - take * rating];
+                if (previous + taken[take] < bestCost) bestCost = previous + taken[take];
+            }
+            next[n * width + s] = bestCost;
+        }
+    }
+
+    return next;
+}
+
+/**
+ * Lower bound on the cost of filling the open slots from the pools at or
+ * below `index`: the cheapest fill whose rating sum reaches the minimum
+ * from SolverHelper.getRequiredFillSum (the table is non-decreasing in the sum)
+ * @param {Float64Array[]} tables - Per-suffix "sum at least" tables for one objective key
+ * @param {Object} space - Search space from createSearchSpace
+ * @param {number} index - First pool still open
+ * @param {number} remaining - Open slots
+ * @param {number[]} fixed - Ratings already in the squad
+ * @param {number} targetRating - Target squad rating
+ * @param {string|Object} ratingProfile - Rating profile (default: EA's formula)
+ * @returns {number} - Lower bound, Infinity when the target cannot be reached
+ */
+function fillLowerBound(tables, space, index, remaining, fixed, targetRating, ratingProfile) {
+    const minSum = SolverHelper.getRequiredFillSum(fixed, remaining, space.pools[index].rating, targetRating, ratingProfile);
+    if (minSum > space.maxSum) return Infinity;
+    return tables[index][remaining * space.width + minSum];
+}
+
+/**
+ * Prefix sums padded so that index k holds the sum of the first k values
+ * @param {number[]} values - Values to accumulate
+ * @returns {number[]} - Prefix sums starting with 0
+ */
+function prefixSums(values) {
+    const sums = [0];
+    for (const value of values) {
+        sums.push(sums[sums.length - 1] + value);
+    }
+    return sums;
+}
+
+/**
+ * Pick the concrete cards for a squad together with their cost
+ * @param {Array<{rating: number, costs: number[], cards: Card[]}>} pools - Pools with their cards in cost order
+ * @param {Array<{rating: number, count: number}>} squad - Rating counts to pick
+ * @returns {Array<{card: Card, cost: number}>} - Picked cards and costs
+ */
+function pickEntries(pools, squad) {
+    const picked = [];
+    squad.forEach(({ rating, count }) => {
+        const pool = pools.find(candidate => candidate.rating === rating);
+        for (let i = 0; i < count; i++) {
+            picked.push({ card: pool.cards[i], cost: pool.costs[i] });
+        }
+    });
+    return picked;
+}
+
+/**
+ * Pick the concrete cards for a squad, cheapest card of each rating first
+ * @param {Array<{rating: number, cards: Card[]}>} pools - Pools with their cards in cost order
+ * @param {Array<{rating: number, count: number}>} squad - Rating counts to pick
+ * @returns {Card[]} - Picked cards
+ */
+function pickCards(pools, squad) {
+    const picked = [];
+    squad.forEach(({ rating, count }) => {
+        const pool = pools.find(candidate => candidate.rating === rating);
+        picked.push(...pool.cards.slice(0, count));
+    });
+    return picked;
+}
+
+/**
+ * Convert a chosen rating list into the public solution format
+ * @param {number[]} combination - Ratings chosen to fill the open slots
+ * @param {number} price - Total price of the chosen cards
+ * @param {number} totalRatingPoints - Rating points of the full squad
+ * @param {number} actualRating - Resulting squad rating
+ * @returns {Object} - Solution object
+ */
+function createSolution(combination, price, totalRatingPoints, actualRating) {
+    const ratingCounts = SolverHelper.countRatings(combination);
+    const squad = Object.keys(ratingCounts).map(rating => ({
+        rating: +rating,
+        count: ratingCounts[rating]
+    }));
+
+    return {
+        price,
+        squad,
+        actualRating,
+        totalRatingPoints,
+        efficiency: totalRatingPoints / Math.max(actualRating, 1),
+        combinationUsed: combination
+    };
+}
+
+module.exports = {
+    OBJECTIVES,
+    buildCardPools,
+    buildRatingPools,
+    mergePools,
+    pickCards,
+    pickEntries,
+    STOP,
+    compareCombinations,
+    solveSquad,
+    searchSquad,
+    streamSquad,
+    createSearchSpace,
+    fillLowerBound,
+    createSolution
+};
@@ -0,0 +1,120 @@
+const { SolverHelper } = require('./SolverHelper.js');
+const { Card } = require('./Card.js');
+const { solveSquad, buildCardPools } = require('./SquadOptimizer.js');
+
+/**
+ * Swap optimizer for a squad that is already placed: the cheapest one-for-one
+ * replacements that lift it to the target rating.
+ *
+ * The team rating never drops when a rating goes up, so for a given number
+ * of swaps k it is always best to take out the k lowest rated players that
+ * are not locked. The open slots are then filled by the exact solver, which
+ * leaves one search per k; the swap counts are compared on cost.
+ */
+
+/**
+ * Find the cheapest swaps that lift a squad to a target rating
+ * @param {Object} options - Swap options
+ * @param {Array<Object|Card>} options.squad - Cards currently in the squad, in slot order
+ * @param {number} options.targetRating - The desired overall squad rating
+ * @param {Array<Object|Card>} options.cards - Cards that can come in
+ * @param {Object.<number, number>|PriceSource} options.priceByRating - Prices for cards without their own price
+ * @param {number[]} options.lockedSlots - Slot indexes that must not be swapped
+ * @param {number} options.maxSwaps - Most swaps in a solution (default: every unlocked slot)
+ * @param {Function} options.costOf - Cost of one card, (card, priceByRating) => number (default: ownership tier cost)
+ * @param {number} options.maxNodes - Search node limit of every solve
+ * @param {string|Object} options.ratingProfile - Rating profile (default: EA's formula)
+ * @returns {Object} - The cheapest solution per number of swaps, cheapest first, and whether they are proven optimal
+ */
+function optimizeSwaps(options) {
+    const {
+        targetRating,
+        priceByRating = {},
+        lockedSlots = [],
+        costOf,
+        maxNodes,
+        ratingProfile
+    } = options;
+
+    const squad = options.squad.map(card => Card.from(card));
+    const inSquad = new Set(squad.map(card => card.id));
+    const incoming = (options.cards || []).map(card => Card.from(card)).filter(card => !inSquad.has(card.id));
+    const pools = buildCardPools(incoming, priceByRating, costOf);
+    const currentRating = SolverHelper.getRating(squad.map(card => card.rating), ratingProfile);
+    const byId = new Map(incoming.map(card => [card.id, card]));
+    const costById = new Map();
+    pools.forEach(pool => pool.cards.forEach((card, i) => costById.set(card.id, pool.costs[i])));
+
+    // Unlocked slots, lowest rating first
+    const locked = new Set(lockedSlots);
+    const swappable = squad
+        .map((card, slot) => ({ card, slot }))
+        .filter(entry => !locked.has(entry.slot))
+        .sort((a, b) => a.card.rating - b.card.rating || a.slot - b.slot);
+    const maxSwaps = Math.min(options.maxSwaps === undefined ? swappable.length : options.maxSwaps, swappable.length);
+
+    const solutions = [];
+    let proven = true;
+
+    for (let k = 0; k <= maxSwaps; k++) {
+        const out = swappable.slice(0, k);
+        const outSlots = new Set(out.map(entry => entry.slot));
+        const kept = squad.filter((card, slot) => !outSlots.has(slot));
+
+        const result = solveSquad({
+            targetRating,
+            existingRatings: kept.map(card => card.rating),
+            pools,
+            slots: k,
+            objective: 'price',
+            maxNodes,
+            ratingProfile
+        });
+        if (!result.proven) proven = false;
+        if (result.solutionsFound === 0) continue;
+
+        const solution = result.solutions[0];
+
+        // Pair the weakest player out with the weakest card in
+        const coming = (solution.cardIds || [])
+            .map(id => byId.get(id))
+            .sort((a, b) => a.rating - b.rating);
+        const swaps = out.map((entry, i) => ({
+            slot: entry.slot,
+            outCardId: entry.card.id,
+            outRating: entry.card.rating,
+            inCardId: coming[i].id,
+            inRating: coming[i].rating,
+            ratingDelta: coming[i].rating - entry.card.rating,
+            costDelta: costById.get(coming[i].id)
+        }));
+
+        const finalSquad = [...squad];
+        swaps.forEach(swap => { finalSquad[swap.slot] = byId.get(swap.inCardId); });
+
+        solutions.push({
+            price: solution.price,
+            swaps,
+            previousRating: currentRating,
+            actualRating: solution.actualRating,
+            totalRatingPoints: solution.totalRatingPoints,
+            cardIds: finalSquad.map(card => card.id),
+            fromClub: solution.fromClub || [],
+            toBuy: solution.toBuy || [],
+            coinOutlay: solution.coinOutlay || 0,
+            opportunityCost: solution.opportunityCost || 0
+        });
+    }
+
+    solutions.sort((a, b) => a.price - b.price || a.swaps.length - b.swaps.length);
+
+    return {
+        solutionsFound: solutions.length,
+        solutions,
+        proven
+    };
+}
+
+module.exports = {
+    optimizeSwaps
+};
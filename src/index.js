@@ -1,5 +1,39 @@
 const { SolverHelper } = require('./SolverHelper.js');
-const { getOptimalCombinations, isCombinationPossible, combinationToArray, calculateCombinationPoints } = require('./OptimalCombinations.js');
+const {
+    getOptimalCombinations,
+    generateOptimalCombinations,
+    generateOptimalTable,
+    verifyOptimalCombinations,
+    isCombinationPossible,
+    calculateCombinationPoints
+} = require('./OptimalCombinations.js');
+const { solveSquad, searchSquad, buildCardPools, buildRatingPools, mergePools, pickEntries } = require('./SquadOptimizer.js');
+const { runSearch } = require('./AsyncSearch.js');
+const { DEFAULT_PAGE_SIZE, solveSquadPage, iterateSquad } = require('./Pagination.js');
+const { PARETO_OBJECTIVES, solvePareto } = require('./ParetoFront.js');
+const { BUILTIN_SCORERS, ratingPenaltyScorer, weightedScorer, resolveScorer, validateScorer, rankSolutions } = require('./Scorers.js');
+const { validateReservations, applyReservations, reportReservations } = require('./Reservations.js');
+const { TRANSFER_TAX, SOURCE_TIERS, getCoinCost, createMarketCards, describeSources } = require('./Ownership.js');
+const { solveBatch } = require('./BatchSolver.js');
+const { planRepeatable } = require('./RepeatablePlanner.js');
+const { PriceSource, isPriceSource } = require('./PriceSource.js');
+const { Card } = require('./Card.js');
+const { Inventory } = require('./Inventory.js');
+const { calculateChemistry, findBestPlacement, FORMATIONS } = require('./Chemistry.js');
+const { MarketEconomics, resolveEconomics } = require('./Economics.js');
+const { evaluateReward } = require('./RewardValue.js');
+const { valueFodder } = require('./FodderValue.js');
+const { optimizeSwaps } = require('./SwapOptimizer.js');
+const { getUniformRating, findMinimumRatings } = require('./MinimumRating.js');
+const { findMaxRating } = require('./MaxRating.js');
+const { solveRequirements, validateRequirements, normalizeRequirements } = require('./Requirements.js');
+const {
+    RATING_PROFILES,
+    DEFAULT_RATING_PROFILE,
+    validateRatingProfile,
+    resolveRatingProfile,
+    isStandardProfile
+} = require('./RatingProfiles.js');
 
 /**
  * SBC Rating Calculator - A comprehensive library for Squad Building Challenges
@@ -8,34 +42,73 @@ class SBCRatingCalculator {
     constructor(options = {}) {
         this.defaultSquadSize = options.defaultSquadSize || 11;
         this.defaultMaxSolutions = options.defaultMaxSolutions || 50;
+        this.ratingProfile = options.ratingProfile || DEFAULT_RATING_PROFILE;
     }
 
     /**
      * Calculate the team rating based on individual player ratings
      * Always calculates as if there are 11 players, padding missing slots with 0
+     * (unless the rating profile says otherwise)
      * @param {number[]} ratings - Array of player ratings
+     * @param {string|Object} ratingProfile - Rating profile (default: the calculator's)
      * @returns {number} - Calculated team rating
      */
-    calculateTeamRating(ratings) {
-        return SolverHelper.getRating(ratings);
+    calculateTeamRating(ratings, ratingProfile = this.ratingProfile) {
+        return SolverHelper.getRating(ratings, ratingProfile);
     }
 
     /**
      * Find optimal SBC solutions using pre-calculated combinations (fast method for large inventories)
      * @param {Object} options - Configuration options
-     * @param {number} options.targetRating - The desired overall squad rating (80-92)
+     * @param {number} options.targetRating - The desired overall squad rating (45-99, 80-92 are pre-calculated)
      * @param {number[]} options.availableRatings - Large array of available player ratings
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Available cards (used instead of availableRatings)
      * @param {Object.<number, number>} options.priceByRating - Mapping of player ratings to their prices
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
      * @param {number} options.maxSolutions - Maximum number of solutions to return
+     * @param {boolean|Object|MarketEconomics} options.economics - Cost cards with a market economics model
+     *   and add its breakdown to every solution
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {string|Function|Object|Array} options.scorer - Rank every usable combination with this scorer
+     *   (see Scorers.js) instead of taking the first ones by rating points
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
      * @returns {Object} - Result object with optimal solutions
      */
     findOptimalSolutions(options) {
+        options = readInventory(options);
         const {
             targetRating,
             availableRatings = [],
-            priceByRating = {},
-            maxSolutions = 10
+            availableCards = null,
+            maxSolutions = 10,
+            scorer = null
         } = options;
+        const priceByRating = resolvePrices(options);
+        const economics = resolveEconomics(options.economics);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const errors = [
+            ...(availableCards ? Card.validate(availableCards) : []),
+            ...validateRatingProfile(ratingProfile),
+            ...(scorer ? validateScorer(scorer) : []),
+            ...validateReservations(options.reservations)
+        ];
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                solutionsFound: 0,
+                solutions: []
+            };
+        }
+
+        // The table was built with EA's formula and holds for no other profile
+        if (!isStandardProfile(ratingProfile)) {
+            return {
+                solutionsFound: 0,
+                solutions: [],
+                message: `No optimal combinations available for rating profile ${resolveRatingProfile(ratingProfile).name}. Use findSquadSolutions for custom search.`
+            };
+        }
 
         // Get pre-calculated optimal combinations
         const optimalCombinations = getOptimalCombinations(targetRating);
@@ -49,15 +122,31 @@ class SBCRatingCalculator {
         }
 
         // Count available cards
-        const availableCounts = SolverHelper.countRatings(availableRatings);
-        const solutions = [];
+        const cards = availableCards || Card.fromRatings(availableRatings);
+        let reserved;
+        let pools;
+        try {
+            const costOf = availableCards ? getCostFunction(economics) : undefined;
+            reserved = applyReservations(cards, options.reservations, priceByRating, getInventoryCost(options.inventory, priceByRating, costOf));
+            pools = buildSolverPools(options.inventory, reserved, [], priceByRating, costOf);
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                solutionsFound: 0,
+                solutions: []
+            };
+        }
+        const availableCounts = {};
+        pools.forEach(pool => {
+            availableCounts[pool.rating] = pool.cards.length;
+        });
+        let solutions = [];
 
-        for (const combination of optimalCombinations.slice(0, maxSolutions)) {
+        // A scorer may prefer any row of the table, not just the first ones
+        const candidates = scorer ? optimalCombinations : optimalCombinations.slice(0, maxSolutions);
+        for (const combination of candidates) {
             // Check if this combination is possible with available cards
             if (isCombinationPossible(combination, availableCounts)) {
-                // Calculate price and create solution
-                const ratingArray = combinationToArray(combination);
-                const price = SolverHelper.getPrice(ratingArray, priceByRating);
                 const totalRatingPoints = calculateCombinationPoints(combination);
                 
                 // Convert to squad format
@@ -66,95 +155,640 @@ class SBCRatingCalculator {
                     count: count
                 }));
 
+                // Use the cheapest cards of each rating
+                const entries = pickEntries(pools, squad);
+                const price = entries.reduce((sum, entry) => sum + entry.cost, 0);
+
                 solutions.push({
                     price: price,
                     squad: squad,
                     actualRating: targetRating,
                     totalRatingPoints: totalRatingPoints,
                     efficiency: totalRatingPoints / targetRating,
-                    isOptimal: true
+                    isOptimal: true,
+                    cardIds: entries.map(entry => entry.card.id),
+                    ...describeSources(entries)
                 });
             }
         }
 
-        return {
+        solutions.sort((a, b) => a.totalRatingPoints - b.totalRatingPoints);
+        if (scorer) {
+            try {
+                solutions = rankSolutions(solutions, scorer, { targetRating, cards: cards.map(card => Card.from(card)) })
+                    .slice(0, maxSolutions);
+            } catch (error) {
+                return {
+                    error: error.message || "An error occurred",
+                    solutionsFound: 0,
+                    solutions: []
+                };
+            }
+        }
+        return withReservations(withPriceWarnings(withEconomics({
             solutionsFound: solutions.length,
-            solutions: solutions.sort((a, b) => a.totalRatingPoints - b.totalRatingPoints)
-        };
+            solutions
+        }, cards, priceByRating, economics), priceByRating), reserved, solutions.length > 0 ? solutions[0].cardIds : []);
     }
 
     /**
      * Calculate possible squad configurations to meet a target rating for an SBC
-     * Prioritizes solutions by rating efficiency (lowest total rating points used)
+     * Uses the exact branch-and-bound solver, so the first solution is the proven
+     * cheapest (or fewest rating points) squad for the inventory
      * @param {Object} options - Configuration options
      * @param {number} options.targetRating - The desired overall squad rating
      * @param {number[]} options.existingRatings - Ratings of players already in the squad
      * @param {number[]} options.availableRatings - Ratings of players available to fill the squad
+     * @param {Array<Object|Card>} options.existingCards - Cards already in the squad (used instead of existingRatings)
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Cards available to fill the squad (used instead of availableRatings)
      * @param {Object.<number, number>} options.priceByRating - Mapping of player ratings to their prices
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {string} options.onMissingPrice - Ratings missing from priceByRating: 'warn' leaves their cards out (default),
+     *   'zero' costs them 0, 'error' fails; both 'warn' and 'zero' report them in `priceWarnings`
      * @param {number} options.squadSize - The total number of players in the squad
      * @param {number} options.maxSolutions - The maximum number of solutions to return
      * @param {boolean} options.sortByPrice - If true, sort by price; if false, sort by rating efficiency
-     * @param {boolean} options.useOptimalCombinations - If true, use pre-calculated optimal combinations for speed
-     * @returns {Object} - Result object with solutions found and solution details
+     * @param {boolean} options.useOptimalCombinations - If true, try the pre-calculated optimal combinations first
+     * @param {string|Function|Object|Array} options.scorer - Rank the solutions with this scorer (see Scorers.js): every
+     *   usable pre-calculated combination, or the squads of the exact solver, which then searches in scorer order
+     * @param {number} options.maxNodes - Optional search node limit; results are marked unproven when it is hit
+     * @param {boolean|number[]} options.buyFromMarket - Let the solver buy cards at `priceByRating`
+     *   (true for every priced rating, or a list of ratings)
+     * @param {boolean|Object|MarketEconomics} options.economics - Minimise the net cost of a market
+     *   economics model (true for the defaults, or its options) instead of the ownership tier cost
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - Result object with solutions found and solution details;
+     *   each solution lists the ids of the cards to submit in `cardIds`, split into
+     *   `fromClub` and `toBuy`, with the coins to spend in `coinOutlay`; with
+     *   `economics` every solution also has `economics: { buyCost, opportunityCost, netCost }`;
+     *   with reservations the result lists them in `reservations`, flagging the ones that constrained
+     *   the first solution
      */
     findSquadSolutions(options) {
+        return searchSquadSolutions(this, options, solveSquad);
+    }
+
+    /**
+     * findSquadSolutions without blocking the event loop: the search runs in
+     * short slices and can be cancelled. A cancelled or timed out search
+     * resolves with the best solutions found so far, marked unproven, and
+     * `cancelled: 'aborted'` or `'timeout'` (null when it finished)
+     * @param {Object} options - findSquadSolutions options plus
+     * @param {AbortSignal} options.signal - Signal that cancels the search
+     * @param {number} options.timeBudget - Milliseconds the search may take
+     * @param {Function} options.onProgress - Called between slices with
+     *   `{ nodesExplored, solutionsFound, bestPrice, elapsedMs }`
+     * @returns {Promise<Object>} - findSquadSolutions result
+     */
+    async findSquadSolutionsAsync(options) {
+        const { signal, timeBudget, onProgress } = options;
+        return searchSquadSolutions(this, options, solveOptions =>
+            runSearch(searchSquad(solveOptions), { signal, timeBudget, onProgress }));
+    }
+
+    /**
+     * Every squad no other squad beats on all of price, rating points, club
+     * cards consumed and overshoot above the target, instead of one sort
+     * order. Squads scoring the same on every objective are listed once.
+     * @param {Object} options - findSquadSolutions options (maxSolutions and sortByPrice do not apply)
+     * @returns {Object} - Result object with the front sorted by price (or by `scorer`); each solution has
+     *   `clubCards`, `overshoot` and `wins`, the objectives it is best on
+     */
+    findParetoSolutions(options) {
+        return searchSquadSolutions(this, { ...options, useOptimalCombinations: false }, solveOptions => {
+            const front = solvePareto({ ...solveOptions, maxNodes: options.maxNodes });
+            // The scorer orders the whole front
+            return solveOptions.scorer
+                ? {
+                    ...front,
+                    solutions: rankSolutions(front.solutions, solveOptions.scorer, {
+                        targetRating: solveOptions.targetRating,
+                        cards: solveOptions.pools.flatMap(pool => pool.cards || [])
+                    })
+                }
+                : front;
+        });
+    }
+
+    /**
+     * One page of findSquadSolutions in price order (points order with
+     * `sortByPrice: false`, scorer order with a `scorer`). Pass the `nextCursor` of a page to get the next
+     * one. The search behind a page is kept under its `nextCursor`, so the
+     * next page continues it instead of solving again.
+     * @param {Object} options - findSquadSolutions options plus
+     * @param {string} options.cursor - Cursor of the last squad already shown (default: first page)
+     * @param {number} options.pageSize - Squads per page (default: 10)
+     * @returns {Object} - findSquadSolutions result whose solutions carry their
+     *   `cursor`, plus `nextCursor` (null once every squad was returned)
+     */
+    findSquadSolutionsPage(options) {
+        const { cursor = null, pageSize = DEFAULT_PAGE_SIZE } = options;
+        return searchSquadSolutions(this, { ...options, useOptimalCombinations: false }, solveOptions =>
+            solveSquadPage({ ...solveOptions, cursor, pageSize }));
+    }
+
+    /**
+     * Every squad findSquadSolutions can find, lazily and in order. Pages are
+     * solved as the iterator advances, each continuing the search of the one
+     * before; stop iterating to stop searching.
+     * @param {Object} options - findSquadSolutionsPage options
+     * @returns {Generator<Object>} - Solutions, each with the cursor resuming after it
+     * @throws {Error} - When the options are invalid
+     */
+    *iterateSquadSolutions(options) {
+        let cursor = options.cursor || null;
+        do {
+            const page = this.findSquadSolutionsPage({ ...options, cursor });
+            if (page.error) throw new Error(page.error);
+            yield* page.solutions;
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    /**
+     * Find the cheapest card sets satisfying a declarative requirement spec
+     * (rating, chemistry, counts by attribute, same-club/league/nation limits)
+     * @param {Object} options - Configuration options
+     * @param {Object|string} options.requirements - Requirement spec or its JSON text (see Requirements.js)
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Cards available to build the squad
+     * @param {Object.<number, number>} options.priceByRating - Prices for cards without their own price
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number} options.maxSolutions - The maximum number of solutions to return
+     * @param {number} options.maxNodes - Optional search node limit (default 1,000,000); results are marked unproven when it is hit
+     * @param {boolean|number[]} options.buyFromMarket - Let the solver buy cards at `priceByRating`
+     * @param {boolean|Object|MarketEconomics} options.economics - Minimise the net cost of a market economics model
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - Result object with the cheapest card sets; each solution lists its `cardIds`
+     */
+    findRequirementSolutions(options) {
+        options = readInventory(options);
         const {
-            targetRating,
-            existingRatings = [],
-            availableRatings = [],
-            priceByRating = {},
-            squadSize = this.defaultSquadSize,
+            requirements,
+            availableCards = [],
             maxSolutions = this.defaultMaxSolutions,
-            sortByPrice = true,
-            useOptimalCombinations = true
+            maxNodes,
+            buyFromMarket = false
         } = options;
+        const priceByRating = resolvePrices(options);
+        const economics = resolveEconomics(options.economics);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
 
-        // If no existing ratings and target is in optimal range, use fast method
-        if (existingRatings.length === 0 && 
-            useOptimalCombinations && 
-            targetRating >= 80 && 
-            targetRating <= 92 &&
-            availableRatings.length > 50) {
-            
-            const optimalResult = this.findOptimalSolutions({
-                targetRating,
-                availableRatings,
+        const errors = [
+            ...Card.validate(availableCards),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations)
+        ];
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                solutionsFound: 0,
+                solutions: []
+            };
+        }
+
+        try {
+            const { squadSize } = normalizeRequirements(requirements);
+            const costOf = getInventoryCost(options.inventory, priceByRating, getCostFunction(economics));
+            const reserved = applyReservations(availableCards, options.reservations, priceByRating, costOf);
+            const marketCards = buyFromMarket
+                ? createMarketCards(priceByRating, squadSize, Array.isArray(buyFromMarket) ? buyFromMarket : null)
+                : [];
+
+            const cards = [...reserved.cards, ...marketCards];
+            const result = solveRequirements({
+                requirements,
+                cards,
                 priceByRating,
-                maxSolutions
+                maxSolutions,
+                maxNodes,
+                costOf,
+                ratingProfile
             });
-            
-            if (optimalResult.solutionsFound > 0) {
-                return optimalResult;
+            return withReservations(
+                withPriceWarnings(withEconomics(result, cards, priceByRating, economics), priceByRating),
+                reserved,
+                result.solutions.length > 0 ? result.solutions[0].cardIds : []
+            );
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                solutionsFound: 0,
+                solutions: []
+            };
+        }
+    }
+
+    /**
+     * Solve a group SBC: several segments sharing one inventory, no card used twice
+     * @param {Object} options - Configuration options
+     * @param {Array<Object>} options.segments - Segments as `{ name, requirements, cardIds }`;
+     *   `requirements` is a requirement spec and `cardIds` optionally fixes the segment's squad
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Shared inventory
+     * @param {Object.<number, number>} options.priceByRating - Prices for cards without their own price
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {boolean|number[]} options.buyFromMarket - Let the solver buy cards at `priceByRating`
+     * @param {number} options.maxBranching - Most squads tried per segment (default 64)
+     * @param {number} options.maxNodes - Node limit of every single-segment search
+     * @param {number} options.maxSearches - Most single-segment searches for the batch (default 100)
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - Result object with per-segment solutions and the total price
+     */
+    findBatchSolutions(options) {
+        options = readInventory(options);
+        const {
+            segments = [],
+            availableCards = [],
+            buyFromMarket = false,
+            maxBranching,
+            maxNodes,
+            maxSearches
+        } = options;
+        const priceByRating = resolvePrices(options);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const errors = [
+            ...Card.validate(availableCards),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations)
+        ];
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                solutionsFound: 0,
+                segments: []
+            };
+        }
+
+        try {
+            const costOf = getInventoryCost(options.inventory, priceByRating);
+            const reserved = applyReservations(availableCards, options.reservations, priceByRating, costOf);
+            const result = withPriceWarnings(solveBatch({
+                segments,
+                cards: reserved.cards,
+                priceByRating,
+                costOf,
+                buyFromMarket,
+                maxBranching,
+                maxNodes,
+                maxSearches,
+                ratingProfile
+            }), priceByRating);
+            return withReservations(result, reserved, result.segments.flatMap(segment => (segment.solution && segment.solution.cardIds) || []));
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                solutionsFound: 0,
+                segments: []
+            };
+        }
+    }
+
+    /**
+     * Highest squad rating the club can build, optionally buying cards for up
+     * to a coin budget
+     * @param {Object} options - Configuration options
+     * @param {number[]} options.availableRatings - Ratings of the club cards
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Club cards (used instead of availableRatings)
+     * @param {number} options.squadSize - Number of players in the squad (default: 11)
+     * @param {number} options.budget - Coins that may be spent on market cards (default: 0)
+     * @param {Object.<number, number>} options.priceByRating - Buy prices for market cards
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number} options.maxNodes - Optional search node limit of every solve
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - `maxRating`, the `solution` reaching it with the fewest coins and `nextRating`,
+     *   the cheapest squad one rating higher with the `extraCoins` it costs
+     */
+    findMaxRating(options) {
+        options = readInventory(options);
+        const {
+            availableCards = null,
+            squadSize = this.defaultSquadSize,
+            budget = 0,
+            maxNodes
+        } = options;
+        const priceByRating = resolvePrices(options);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const cards = availableCards || Card.fromRatings(options.availableRatings || []);
+        const validation = SolverHelper.validateInputs({
+            targetRating: 45,
+            existingRatings: [],
+            availableRatings: cards.map(card => (card || {}).rating),
+            squadSize
+        });
+        const errors = [
+            ...validation.errors,
+            ...(availableCards ? Card.validate(availableCards) : []),
+            ...(typeof budget !== 'number' || budget < 0 ? ['Budget must be a non-negative number'] : []),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations)
+        ];
+
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                maxRating: null,
+                solution: null
+            };
+        }
+
+        try {
+            const reserved = applyReservations(cards, options.reservations, priceByRating, getInventoryCost(options.inventory, priceByRating));
+            // Club cards cost no coins here, so their pools only change with the cards
+            const clubPools = options.inventory && reserved.cards.length === cards.length
+                ? options.inventory.getPools(priceByRating, getCoinCost)
+                : undefined;
+            const result = findMaxRating({ cards: reserved.cards, clubPools, squadSize, priceByRating, budget, maxNodes, ratingProfile });
+            return withReservations(withPriceWarnings(result, priceByRating), reserved, result.solution ? result.solution.cardIds : []);
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                maxRating: null,
+                solution: null
+            };
+        }
+    }
+
+    /**
+     * Plan how many times repeatable SBCs can be completed from the club
+     * @param {Object} options - Configuration options
+     * @param {Array<Object>} options.targets - Targets as `{ name, targetRating, squadSize, maxCompletions }`
+     * @param {number[]} options.availableRatings - Ratings of the club cards
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Club cards (used instead of availableRatings)
+     * @param {Object.<number, number>} options.priceByRating - Buy prices for market fill
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number} options.budget - Coins that may be spent on market cards (default: 0)
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @param {number} options.maxNodes - Planner node limit; the plan is marked unproven when hit (default: 100,000)
+     * @returns {Object} - Ordered squads to submit, completions per target, coins spent, leftover cards and whether
+     *   the club completions are `proven` the most possible
+     */
+    planRepeatableSBC(options) {
+        options = readInventory(options);
+        const {
+            targets = [],
+            availableCards = null,
+            budget = 0
+        } = options;
+        const priceByRating = resolvePrices(options);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const cards = availableCards || Card.fromRatings(options.availableRatings || []);
+        const errors = [
+            ...Card.validate(cards),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations),
+            ...targets
+                .filter(target => typeof target.targetRating !== 'number' || target.targetRating < 45 || target.targetRating > 99)
+                .map(target => `Invalid target rating: ${target.targetRating}`)
+        ];
+
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                completions: 0,
+                squads: []
+            };
+        }
+
+        try {
+            const reserved = applyReservations(cards, options.reservations, priceByRating);
+            const result = planRepeatable({ targets, cards: reserved.cards, priceByRating, budget, ratingProfile, maxNodes: options.maxNodes });
+            return withReservations(withPriceWarnings(result, priceByRating), reserved, result.squads.flatMap(squad => squad.cardIds));
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                completions: 0,
+                squads: []
+            };
+        }
+    }
+
+    /**
+     * Is an SBC worth it: the expected value and spread of its reward against
+     * the cheapest squad from findSquadSolutions
+     * @param {Object} options - findSquadSolutions options plus the reward
+     * @param {Object} options.reward - Fixed player and/or packs with odds tables (see RewardValue.js)
+     * @param {number} options.cost - Squad cost to compare with instead of solving the squad
+     * @param {boolean|Object|MarketEconomics} options.economics - Economics model used to value the
+     *   reward cards and to cost the squad (default: MarketEconomics defaults)
+     * @param {number} options.maxOutcomes - Most distinct reward values kept (default: 20,000)
+     * @returns {Object} - Expected value, variance, probability of profit, break-even cost and the squad compared with
+     */
+    evaluateReward(options) {
+        const { reward, maxOutcomes } = options;
+        const priceByRating = resolvePrices(options);
+        const economics = resolveEconomics(options.economics || true);
+
+        let cost = options.cost;
+        let solution = null;
+        let reservations;
+        if (typeof cost !== 'number') {
+            const result = this.findSquadSolutions({ ...options, economics, maxSolutions: 1, sortByPrice: true });
+            if (result.error || result.solutionsFound === 0) {
+                return {
+                    error: result.error || 'No squad reaches the target rating',
+                    expectedValue: null,
+                    solution: null
+                };
             }
+            solution = result.solutions[0];
+            cost = solution.economics.netCost;
+            reservations = result.reservations;
+        }
+
+        try {
+            return withPriceWarnings({
+                ...evaluateReward({ reward, cost, prices: priceByRating, economics, maxOutcomes }),
+                solution,
+                ...(reservations ? { reservations } : {})
+            }, priceByRating);
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                expectedValue: null,
+                solution: null
+            };
         }
+    }
+
+    /**
+     * Upgrade a squad that is already placed: the cheapest one-for-one swaps
+     * that lift it to the target rating
+     * @param {Object} options - Configuration options
+     * @param {Array<number|Object|Card>} options.squad - The placed squad as ratings or cards, in slot order
+     * @param {number} options.targetRating - The desired overall squad rating
+     * @param {number[]} options.availableRatings - Ratings of the cards that can come in
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Cards that can come in (used instead of availableRatings)
+     * @param {Object.<number, number>} options.priceByRating - Prices for cards without their own price
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number[]} options.lockedSlots - Slot indexes that must not be swapped
+     * @param {number} options.maxSwaps - Most swaps in a solution
+     * @param {boolean|number[]} options.buyFromMarket - Let the solver buy the incoming cards (default: true)
+     * @param {boolean|Object|MarketEconomics} options.economics - Minimise the net cost of a market economics model
+     * @param {number} options.squadSize - Total squad size (default: 11)
+     * @param {number} options.maxNodes - Optional search node limit of every solve
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - The cheapest solution per number of swaps, cheapest first; every solution
+     *   lists its `swaps` with the slot, the cards out and in, and the rating and cost delta
+     */
+    findSquadUpgrades(options) {
+        options = readInventory(options);
+        const {
+            squad = [],
+            targetRating,
+            availableCards = null,
+            lockedSlots = [],
+            maxSwaps,
+            buyFromMarket = true,
+            squadSize = this.defaultSquadSize,
+            maxNodes
+        } = options;
+        const priceByRating = resolvePrices(options);
+        const economics = resolveEconomics(options.economics);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        // Plain ratings get slot ids so they cannot clash with the inventory
+        const squadCards = squad.map((entry, slot) =>
+            typeof entry === 'number' ? new Card({ id: `squad:${slot}`, rating: entry }) : entry);
+        const cards = availableCards || Card.fromRatings(options.availableRatings || []);
 
-        // Validate inputs
         const validation = SolverHelper.validateInputs({
             targetRating,
-            existingRatings,
-            availableRatings: availableRatings,
+            existingRatings: squadCards.map(card => (card || {}).rating),
+            availableRatings: cards.map(card => (card || {}).rating),
             squadSize
         });
+        const errors = [
+            ...validation.errors,
+            ...(squad.length !== squadSize ? [`Squad must have exactly ${squadSize} players`] : []),
+            ...Card.validate(squadCards, 'squad card'),
+            ...(availableCards ? Card.validate(availableCards) : []),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations)
+        ];
 
-        if (!validation.valid) {
+        if (errors.length > 0) {
             return {
-                error: validation.errors.join(', '),
+                error: errors.join(', '),
                 solutionsFound: 0,
                 solutions: []
             };
         }
 
-        return calculateSquadSolutions(
-            {
+        const marketCards = buyFromMarket
+            ? createMarketCards(priceByRating, squadSize, Array.isArray(buyFromMarket) ? buyFromMarket : null)
+            : [];
+
+        try {
+            const costOf = getInventoryCost(options.inventory, priceByRating, getCostFunction(economics));
+            const reserved = applyReservations(cards, options.reservations, priceByRating, costOf);
+            const result = optimizeSwaps({
+                squad: squadCards,
                 targetRating,
-                existingRatings,
-                ratingsToTry: availableRatings,
-                priceByRating
-            },
-            squadSize,
-            maxSolutions,
-            sortByPrice
-        );
+                cards: [...reserved.cards, ...marketCards],
+                priceByRating,
+                lockedSlots,
+                maxSwaps,
+                costOf,
+                maxNodes,
+                ratingProfile
+            });
+            if (economics) {
+                // Only the incoming cards cost anything, the kept players stay where they are
+                const byId = new Map([...cards, ...marketCards].map(card => [card.id, Card.from(card)]));
+                result.solutions.forEach(solution => {
+                    solution.economics = economics.evaluateCards(solution.swaps.map(swap => byId.get(swap.inCardId)), priceByRating);
+                });
+            }
+            return withReservations(
+                withPriceWarnings(result, priceByRating),
+                reserved,
+                result.solutions.length > 0 ? result.solutions[0].swaps.map(swap => swap.inCardId) : []
+            );
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                solutionsFound: 0,
+                solutions: []
+            };
+        }
+    }
+
+    /**
+     * Marginal value of every rating in the club for the SBCs we plan to do:
+     * the extra cost when one card of the rating is removed and the saving
+     * when one is added. Club cards given as plain ratings count as free, so
+     * the values are coins saved on the market.
+     * @param {Object} options - Configuration options
+     * @param {Array<number|Object>} options.targets - Target ratings or `{ targetRating, squadSize }`
+     * @param {number[]} options.availableRatings - Ratings of the club cards
+     * @param {Array<Object|Card>|Inventory} options.availableCards - Club cards (used instead of availableRatings)
+     * @param {Object.<number, number>} options.priceByRating - Buy prices for market fill
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number[]} options.ratings - Ratings to value (default: the ratings in the club)
+     * @param {boolean|number[]} options.buyFromMarket - Let the solver buy cards (default: true)
+     * @param {number} options.maxNodes - Optional search node limit of every solve
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @param {Object} options.reservations - Cards that must not be used (see Reservations.js)
+     * @returns {Object} - Base cost per target and `ratings` with `removalCost` and `additionSaving` per rating
+     */
+    calculateFodderValues(options) {
+        options = readInventory(options);
+        const {
+            targets = [],
+            availableCards = null,
+            ratings,
+            buyFromMarket = true,
+            maxNodes
+        } = options;
+        const priceByRating = resolvePrices(options);
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const cards = availableCards || (options.availableRatings || [])
+            .map((rating, index) => new Card({ id: index, rating, source: 'untradeable' }));
+        const errors = [
+            ...Card.validate(cards),
+            ...validateRatingProfile(ratingProfile),
+            ...validateReservations(options.reservations)
+        ];
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                ratings: []
+            };
+        }
+
+        const solve = (target, inventory) => {
+            const result = this.findSquadSolutions({
+                targetRating: target.targetRating,
+                squadSize: target.squadSize,
+                availableCards: inventory,
+                priceByRating,
+                buyFromMarket,
+                maxSolutions: 1,
+                maxNodes,
+                ratingProfile,
+                reservations: options.reservations
+            });
+            if (result.error) throw new Error(result.error);
+            return result.solutionsFound > 0 ? result.solutions[0].price : null;
+        };
+
+        try {
+            return withPriceWarnings(valueFodder({ targets, cards, prices: priceByRating, ratings, solve }), priceByRating);
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                ratings: []
+            };
+        }
     }
 
     /**
@@ -170,30 +804,119 @@ class SBCRatingCalculator {
     }
 
     /**
-     * Calculate the minimum rating needed for remaining players to reach target
+     * Calculate the minimum rating needed for remaining players to reach target.
+     * Exact: the correction factor is taken into account and every rating is
+     * checked with the team rating formula
      * @param {number} targetRating - Desired team rating
      * @param {number[]} existingRatings - Current player ratings
-     * @param {number} remainingSlots - Number of players still to add
+     * @param {number} remainingSlots - Number of players still to add (default: squadSize minus the existing players)
      * @param {number} squadSize - Total squad size (default: 11)
-     * @returns {number} - Minimum rating needed for each remaining player
+     * @param {string|Object} ratingProfile - Rating profile (default: the calculator's)
+     * @returns {number|null} - Lowest rating that works for every remaining player, null when the target is out of reach
      */
-    calculateMinimumRatingNeeded(targetRating, existingRatings, remainingSlots, squadSize = 11) {
-        const currentSum = existingRatings.reduce((sum, rating) => sum + rating, 0);
-        const targetSum = targetRating * 11; // Always 11 for EA
-        const remainingSum = targetSum - currentSum;
-        return Math.ceil(remainingSum / remainingSlots);
+    calculateMinimumRatingNeeded(targetRating, existingRatings, remainingSlots, squadSize = 11, ratingProfile = this.ratingProfile) {
+        const openSlots = remainingSlots === undefined ? squadSize - existingRatings.length : remainingSlots;
+        return getUniformRating(
+            existingRatings,
+            Math.min(openSlots, squadSize - existingRatings.length),
+            targetRating,
+            undefined,
+            undefined,
+            ratingProfile
+        );
     }
 
     /**
-     * Validate if a squad configuration can achieve the target rating
-     * @param {number[]} ratings - All player ratings in the squad
+     * Exact minimum ratings for a partial squad: the cheapest rating
+     * assignments for the open slots, the lowest uniform rating, the lowest
+     * rating of the final slot and a per-target table
+     * @param {Object} options - Configuration options
+     * @param {number} options.targetRating - Desired team rating
+     * @param {number[]} options.existingRatings - Current player ratings
+     * @param {number} options.remainingSlots - Number of players still to add
+     * @param {number} options.squadSize - Total squad size (default: 11)
+     * @param {Object.<number, number>} options.priceByRating - Prices to rank the assignments by (default: rating points)
+     * @param {PriceSource} options.priceSource - Price source used instead of priceByRating
+     * @param {number} options.maxAssignments - Number of cheapest assignments (default: 5)
+     * @param {number[]} options.tableTargets - Targets of the table (default: targetRating - 4 to targetRating + 4)
+     * @param {string|Object} options.ratingProfile - Rating profile (default: the calculator's, see RatingProfiles.js)
+     * @returns {Object} - `uniformRating`, `lastSlotRating`, `requiredSum`, `assignments` and `table`
+     */
+    findMinimumRatings(options) {
+        const {
+            targetRating,
+            existingRatings = [],
+            squadSize = this.defaultSquadSize
+        } = options;
+        const priceByRating = options.priceSource || options.priceByRating ? resolvePrices(options) : null;
+        const ratingProfile = options.ratingProfile || this.ratingProfile;
+
+        const validation = SolverHelper.validateInputs({
+            targetRating,
+            existingRatings,
+            availableRatings: [],
+            squadSize
+        });
+        const errors = [...validation.errors, ...validateRatingProfile(ratingProfile)];
+
+        if (errors.length > 0) {
+            return {
+                error: errors.join(', '),
+                assignments: [],
+                table: []
+            };
+        }
+
+        try {
+            return withPriceWarnings(findMinimumRatings({ ...options, squadSize, priceByRating, ratingProfile }), priceByRating);
+        } catch (error) {
+            return {
+                error: error.message || "An error occurred",
+                assignments: [],
+                table: []
+            };
+        }
+    }
+
+    /**
+     * Explain a squad rating: sum, 11-slot average, each player's part of the
+     * correction factor, the total before and after rounding, and the rating
+     * points missing to the next rating (or the target) and to spare
+     * @param {Array<number|Object|Card>} squad - Player ratings, cards or `{ card, position }` entries
+     * @param {number} targetRating - Optional target rating for `pointsToTarget`
+     * @param {string|Object} ratingProfile - Rating profile (default: the calculator's)
+     * @returns {Object} - Rating breakdown (see SolverHelper.explainRating); players carry their card id
+     */
+    explainRating(squad, targetRating, ratingProfile = this.ratingProfile) {
+        const ratings = squad.map(entry => {
+            if (typeof entry === 'number') return entry;
+            return entry.card !== undefined ? entry.card.rating : entry.rating;
+        });
+        const explanation = SolverHelper.explainRating(ratings, targetRating, ratingProfile);
+        explanation.players.forEach(player => {
+            const entry = squad[player.index];
+            if (typeof entry !== 'number') player.cardId = (entry.card || entry).id;
+        });
+        return explanation;
+    }
+
+    /**
+     * Validate if a squad configuration can achieve the target rating and,
+     * when requested, the chemistry requirement
+     * @param {Array<number|Object|Card>} squad - Player ratings, cards in formation slot order or `{ card, position }` entries
      * @param {number} targetRating - Desired team rating
      * @param {number} squadSize - Total squad size (default: 11)
-     * @returns {Object} - Validation result with success status and actual rating
+     * @param {Object} chemistryOptions - Chemistry requirement and rating profile
+     * @param {string|string[]} chemistryOptions.formation - Formation name or slot positions
+     * @param {number} chemistryOptions.minChemistry - Minimum team chemistry
+     * @param {number} chemistryOptions.minPlayerChemistry - Minimum chemistry of every player
+     * @param {string|Object} chemistryOptions.ratingProfile - Rating profile (default: the calculator's)
+     * @returns {Object} - Validation result with success status, actual rating, the rating points
+     *   still missing (`pointsShort`, see explainRating) and chemistry verdict
      */
-    validateSquad(ratings, targetRating, squadSize = 11) {
+    validateSquad(squad, targetRating, squadSize = 11, chemistryOptions = {}) {
         // For validation, we check if it's a full 11-player squad
-        if (ratings.length !== squadSize) {
+        if (squad.length !== squadSize) {
             return {
                 valid: false,
                 message: `Squad must have exactly ${squadSize} players`,
@@ -201,16 +924,84 @@ class SBCRatingCalculator {
             };
         }
 
-        const actualRating = this.calculateTeamRating(ratings);
-        const valid = actualRating >= targetRating;
+        const withCards = squad.some(entry => typeof entry !== 'number');
+        const ratings = squad.map(entry => {
+            if (typeof entry === 'number') return entry;
+            return entry.card !== undefined ? entry.card.rating : entry.rating;
+        });
+
+        const ratingProfile = chemistryOptions.ratingProfile || this.ratingProfile;
+        const actualRating = this.calculateTeamRating(ratings, ratingProfile);
+        const ratingValid = actualRating >= targetRating;
+        const pointsShort = ratingValid ? 0 : SolverHelper.explainRating(ratings, targetRating, ratingProfile).pointsToTarget;
+        const ratingMessage = ratingValid
+            ? `Squad achieves target rating (${actualRating} >= ${targetRating})`
+            : `Squad rating too low (${actualRating} < ${targetRating}, ${pointsShort} point${pointsShort === 1 ? '' : 's'} short)`;
+
+        const { formation, minChemistry = 0, minPlayerChemistry = 0 } = chemistryOptions;
+        if (!withCards && !formation && !minChemistry && !minPlayerChemistry) {
+            return {
+                valid: ratingValid,
+                actualRating,
+                targetRating,
+                pointsShort,
+                message: ratingMessage
+            };
+        }
+
+        const chemistry = this.validateChemistry(withCards ? squad : [], chemistryOptions);
+        const valid = ratingValid && chemistry.valid;
 
         return {
             valid,
             actualRating,
             targetRating,
-            message: valid 
-                ? `Squad achieves target rating (${actualRating} >= ${targetRating})`
-                : `Squad rating too low (${actualRating} < ${targetRating})`
+            pointsShort,
+            chemistry,
+            message: `${ratingMessage}; ${chemistry.message}`
+        };
+    }
+
+    /**
+     * Check a squad against a chemistry requirement
+     * @param {Array<Object|Card>} squad - Cards in formation slot order or `{ card, position }` entries
+     * @param {Object} options - Chemistry requirement (formation, minChemistry, minPlayerChemistry)
+     * @returns {Object} - Chemistry verdict with team chemistry and per-player breakdown
+     */
+    validateChemistry(squad, options = {}) {
+        const { formation = null, minChemistry = 0, minPlayerChemistry = 0 } = options;
+
+        if (squad.length === 0) {
+            return {
+                valid: false,
+                teamChemistry: null,
+                message: 'Chemistry needs cards with club, league, nation and positions'
+            };
+        }
+
+        let result;
+        try {
+            result = calculateChemistry(squad, formation);
+        } catch (error) {
+            return { valid: false, teamChemistry: null, message: error.message };
+        }
+
+        const lowPlayers = result.players.filter(player => player.chemistry < minPlayerChemistry);
+        let message = `Squad achieves chemistry (${result.teamChemistry} >= ${minChemistry})`;
+        if (result.errors.length > 0) {
+            message = result.errors.join(', ');
+        } else if (result.teamChemistry < minChemistry) {
+            message = `Squad chemistry too low (${result.teamChemistry} < ${minChemistry})`;
+        } else if (lowPlayers.length > 0) {
+            message = `${lowPlayers.length} player(s) below ${minPlayerChemistry} chemistry`;
+        }
+
+        return {
+            valid: result.errors.length === 0 && result.teamChemistry >= minChemistry && lowPlayers.length === 0,
+            teamChemistry: result.teamChemistry,
+            minChemistry,
+            players: result.players,
+            message
         };
     }
 
@@ -243,15 +1034,260 @@ class SBCRatingCalculator {
     }
 }
 
+/**
+ * Add the warnings of a price source (missing or stale prices) to a result
+ * @param {Object} result - Solver result
+ * @param {Object.<number, number>|PriceSource} prices - Prices the solver used
+ * @returns {Object} - The result, with `priceWarnings` when there are any
+ */
+function withPriceWarnings(result, prices) {
+    if (!isPriceSource(prices)) return result;
+    const warnings = prices.getWarnings();
+    return warnings.length > 0 ? { ...result, priceWarnings: warnings } : result;
+}
+
+// One cost function per economics model, so what an Inventory cached for it is reused
+const costFunctions = new WeakMap();
+
+/**
+ * Prices of one calculation. Price sources are used through a view that only
+ * reports this calculation's warnings; plain price maps become a source where
+ * a card with a missing price is left out with a warning, or follows
+ * `onMissingPrice` ('zero' to keep costing it 0, 'error' to fail). Without any
+ * prices nothing is left out.
+ * @param {Object} options - Calculator options with `priceSource` or `priceByRating`
+ * @returns {Object.<number, number>|PriceSource} - Prices for the solvers
+ */
+function resolvePrices(options) {
+    const prices = options.priceSource || options.priceByRating || {};
+    if (isPriceSource(prices)) {
+        return typeof prices.forCall === 'function' ? prices.forCall() : prices;
+    }
+    if (Object.keys(prices).length === 0) return prices;
+    return PriceSource.fromMap(prices, { onMissing: options.onMissingPrice || 'warn' });
+}
+
+/**
+ * Card cost function for the solvers: the economics model's cost when one is
+ * given, otherwise the ownership tier cost
+ * @param {MarketEconomics|null} economics - Economics model
+ * @returns {Function|undefined} - Cost function, undefined for the default
+ */
+function getCostFunction(economics) {
+    if (!economics) return undefined;
+    if (!costFunctions.has(economics)) {
+        costFunctions.set(economics, (card, prices) => economics.getCardCost(card, prices));
+    }
+    return costFunctions.get(economics);
+}
+
+/**
+ * Take the cards of an Inventory passed as availableCards
+ * @param {Object} options - Solver method options
+ * @returns {Object} - The options with the inventory's cards as `availableCards`
+ *   and the inventory itself as `inventory`
+ */
+function readInventory(options) {
+    if (!(options.availableCards instanceof Inventory)) return options;
+    return { ...options, availableCards: options.availableCards.getCards(), inventory: options.availableCards };
+}
+
+/**
+ * Cost function for the cards of a solve, costing the cards of an Inventory once
+ * @param {Inventory|undefined} inventory - Inventory the cards came from
+ * @param {Object.<number, number>|PriceSource} priceByRating - Prices for cards without their own price
+ * @param {Function} costOf - Cost function (undefined for the ownership tier cost)
+ * @returns {Function|undefined} - Cost function
+ */
+function getInventoryCost(inventory, priceByRating, costOf) {
+    return inventory ? inventory.getCostFunction(priceByRating, costOf) : costOf;
+}
+
+/**
+ * Rating pools for the solvers. The pools an Inventory cached are reused
+ * unless reservations held some of its cards back.
+ * @param {Inventory|undefined} inventory - Inventory the cards came from
+ * @param {Object} reserved - applyReservations result of the inventory's cards
+ * @param {Card[]} marketCards - Cards that can be bought
+ * @param {Object.<number, number>|PriceSource} priceByRating - Prices for cards without their own price
+ * @param {Function} costOf - Cost function (undefined for the ownership tier cost)
+ * @returns {Array<{rating: number, costs: number[], cards: Card[]}>} - Pools, see buildCardPools
+ */
+function buildSolverPools(inventory, reserved, marketCards, priceByRating, costOf) {
+    if (!inventory) {
+        return buildCardPools([...reserved.cards, ...marketCards], priceByRating, costOf);
+    }
+    if (reserved.cards.length < inventory.getCards().length) {
+        return buildCardPools([...reserved.cards, ...marketCards], priceByRating, inventory.getCostFunction(priceByRating, costOf));
+    }
+    return mergePools(inventory.getPools(priceByRating, costOf), buildCardPools(marketCards, priceByRating, costOf));
+}
+
+/**
+ * Report the reservations of an answer on its result (only when some were given)
+ * @param {Object} result - Calculator result
+ * @param {Object} reserved - applyReservations result the answer was solved with
+ * @param {Array<string|number>} cardIds - Ids of the cards the answer uses
+ * @returns {Object} - Result with `reservations` (see Reservations.js#reportReservations)
+ */
+function withReservations(result, reserved, cardIds = []) {
+    if (!reserved || reserved.held.length === 0 || result.error) return result;
+    const byId = new Map(reserved.cards.map(card => [card.id, card]));
+    const used = cardIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    return { ...result, reservations: reportReservations(reserved, used) };
+}
+
+/**
+ * Add the buy cost, opportunity cost and net cost of every solution
+ * @param {Object} result - Solver result
+ * @param {Array<Object|Card>} cards - Cards the solver could use
+ * @param {Object.<number, number>|PriceSource} prices - Prices the solver used
+ * @param {MarketEconomics|null} economics - Economics model
+ * @returns {Object} - The result, with `economics` on every solution when a model is given
+ */
+function withEconomics(result, cards, prices, economics) {
+    if (!economics) return result;
+    const byId = new Map(cards.map(card => [card.id, card]));
+    return {
+        ...result,
+        solutions: result.solutions.map(solution => ({
+            ...solution,
+            economics: solution.cardIds
+                ? economics.evaluateCards(solution.cardIds.map(id => Card.from(byId.get(id))), prices)
+                : economics.evaluateRatings(solution.squad.flatMap(({ rating, count }) => new Array(count).fill(rating)), prices)
+        }))
+    };
+}
+
+/**
+ * SBCRatingCalculator#findSquadSolutions with the solver call left open: `solve`
+ * gets the solveSquad options and returns the result or a promise of it
+ * @param {SBCRatingCalculator} calculator - Calculator with the defaults
+ * @param {Object} options - findSquadSolutions options
+ * @param {Function} solve - Solver, (solveOptions) => result or Promise<result>
+ * @returns {Object|Promise<Object>} - findSquadSolutions result
+ */
+function searchSquadSolutions(calculator, options, solve) {
+    options = readInventory(options);
+    const {
+        targetRating,
+        existingCards = null,
+        availableCards = null,
+        squadSize = calculator.defaultSquadSize,
+        maxSolutions = calculator.defaultMaxSolutions,
+        sortByPrice = true,
+        useOptimalCombinations = false,
+        maxNodes = Infinity,
+        buyFromMarket = false
+    } = options;
+    const priceByRating = resolvePrices(options);
+    const economics = resolveEconomics(options.economics);
+    const ratingProfile = options.ratingProfile || calculator.ratingProfile;
+
+    // Plain ratings are adapted to cards whose id is their index in the array
+    const cards = availableCards || Card.fromRatings(options.availableRatings || []);
+    const availableRatings = cards.map(card => (card || {}).rating);
+    const existingRatings = existingCards
+        ? existingCards.map(card => (card || {}).rating)
+        : (options.existingRatings || []);
+
+    // Table rows are full 11-player squads and are not proven cheapest
+    if (existingRatings.length === 0 && 
+        useOptimalCombinations && 
+        squadSize === 11 &&
+        isStandardProfile(ratingProfile)) {
+        
+        const optimalResult = calculator.findOptimalSolutions({
+            targetRating,
+            availableCards: options.inventory || cards,
+            priceByRating,
+            maxSolutions,
+            economics,
+            scorer: options.scorer,
+            reservations: options.reservations
+        });
+        
+        if (optimalResult.solutionsFound > 0) {
+            return optimalResult;
+        }
+    }
+
+    // Validate inputs
+    const validation = SolverHelper.validateInputs({
+        targetRating,
+        existingRatings,
+        availableRatings: availableRatings,
+        squadSize
+    });
+
+    const errors = [
+        ...validation.errors,
+        ...(availableCards ? Card.validate(availableCards) : []),
+        ...(existingCards ? Card.validate(existingCards, 'existing card') : []),
+        ...validateRatingProfile(ratingProfile),
+        ...validateReservations(options.reservations),
+        ...(options.scorer ? validateScorer(options.scorer) : [])
+    ];
+
+    if (errors.length > 0) {
+        return {
+            error: errors.join(', '),
+            solutionsFound: 0,
+            solutions: []
+        };
+    }
+
+    const slots = squadSize - existingRatings.length;
+    const marketCards = buyFromMarket
+        ? createMarketCards(priceByRating, slots, Array.isArray(buyFromMarket) ? buyFromMarket : null)
+        : [];
+
+    let reserved;
+    const finish = result => withReservations(
+        withPriceWarnings(withEconomics(result, [...cards, ...marketCards], priceByRating, economics), priceByRating),
+        reserved,
+        result.solutions.length > 0 ? result.solutions[0].cardIds : []
+    );
+    const fail = error => ({
+        error: error.message || "An error occurred",
+        solutionsFound: 0,
+        solutions: []
+    });
+
+    try {
+        reserved = applyReservations(cards, options.reservations, priceByRating,
+            getInventoryCost(options.inventory, priceByRating, getCostFunction(economics)));
+        const result = solve({
+            targetRating,
+            existingRatings,
+            pools: buildSolverPools(options.inventory, reserved, marketCards, priceByRating, getCostFunction(economics)),
+            slots,
+            maxSolutions,
+            objective: sortByPrice ? 'price' : 'points',
+            maxNodes,
+            ratingProfile,
+            scorer: options.scorer || null
+        });
+        return typeof result.then === 'function' ? result.then(finish).catch(fail) : finish(result);
+    } catch (error) {
+        return fail(error);
+    }
+}
+
 /**
  * Calculate possible squad configurations to meet a target rating for an SBC.
  * Enhanced to prioritize solutions by rating efficiency or price.
+ * Enumerates every multisubset, so it is only practical for small inventories;
+ * SBCRatingCalculator#findSquadSolutions uses the exact solver instead.
  * 
  * @param {Object} solverOptions - Options to configure the SBC solver.
  * @param {number} solverOptions.targetRating - The desired overall squad rating.
  * @param {number[]} solverOptions.existingRatings - Ratings of players already in the squad.
  * @param {number[]} solverOptions.ratingsToTry - Ratings of players available to fill the squad.
  * @param {Object.<number, number>} solverOptions.priceByRating - Mapping of player ratings to their prices.
+ * @param {string|Function|Object|Array} solverOptions.scorer - Rank with this scorer (see Scorers.js) instead of sortByPrice.
+ * @param {Object} solverOptions.reservations - Ratings that must not be used (see Reservations.js); card ids are indexes into ratingsToTry.
+ * @param {string|Object} solverOptions.ratingProfile - Rating profile (default: EA's formula, see RatingProfiles.js).
  * @param {number} SQUAD_SIZE - The total number of players in the squad.
  * @param {number} MAX_SOLUTIONS_TO_TAKE - The maximum number of solutions to return.
  * @param {boolean} sortByPrice - If true, sort by price; if false, sort by rating efficiency.
@@ -262,7 +1298,8 @@ class SBCRatingCalculator {
  */
 function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAKE, sortByPrice = true) {
     try {
-        const { targetRating, existingRatings, ratingsToTry, priceByRating } = solverOptions;
+        const { targetRating, existingRatings, scorer = null, reservations = null, ratingProfile } = solverOptions;
+        const priceByRating = resolvePrices(solverOptions);
         let solutions = [];
         
         if (targetRating > 99 || targetRating < 45) {
@@ -271,11 +1308,15 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
                 solutions: []
             };
         }
+        if (ratingProfile) {
+            const profileErrors = validateRatingProfile(ratingProfile);
+            if (profileErrors.length > 0) throw new Error(profileErrors.join(', '));
+        }
 
         const remainingSlots = SQUAD_SIZE - existingRatings.length;
         if (remainingSlots <= 0) {
             // Check if existing squad already meets the requirement
-            const currentRating = SolverHelper.getRating(existingRatings);
+            const currentRating = SolverHelper.getRating(existingRatings, ratingProfile);
             if (currentRating >= targetRating) {
                 return {
                     solutionsFound: 1,
@@ -295,6 +1336,15 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
             }
         }
 
+        const reservationErrors = validateReservations(reservations);
+        if (reservationErrors.length > 0) throw new Error(reservationErrors.join(', '));
+        // Plain ratings say nothing about tradeability
+        if (scorer && resolveScorer(scorer).some(({ name }) => name === 'tradeables')) {
+            throw new Error("Scorer tradeables needs cards and cannot rank plain ratings");
+        }
+        const reserved = applyReservations(Card.fromRatings(solverOptions.ratingsToTry), reservations, priceByRating);
+        const ratingsToTry = reserved.cards.map(card => card.rating);
+
         // Count available ratings for better optimization
         const availableCounts = SolverHelper.countRatings(ratingsToTry);
         
@@ -315,7 +1365,7 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
             if (!hasEnoughCards) continue;
 
             const fullSquad = [...existingRatings, ...combination];
-            const rating = SolverHelper.getRating(fullSquad);
+            const rating = SolverHelper.getRating(fullSquad, ratingProfile);
             
             if (rating < targetRating) {
                 continue;
@@ -335,6 +1385,8 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
 
             const totalRatingPoints = fullSquad.reduce((a, b) => a + b, 0);
             const price = SolverHelper.getPrice(combination, priceByRating);
+            // Unpriced ratings are left out
+            if (!Number.isFinite(price)) continue;
             
             // Calculate efficiency (lower is better)
             const efficiency = totalRatingPoints / Math.max(rating, 1);
@@ -349,8 +1401,10 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
             });
         }
 
-        // Sort by price or efficiency
-        if (sortByPrice) {
+        // Sort by the scorer, price or efficiency
+        if (scorer) {
+            solutions = rankSolutions(solutions, scorer, { targetRating });
+        } else if (sortByPrice) {
             solutions.sort(function(a, b) { 
                 // Primary: price, Secondary: efficiency (rating points)
                 if (a.price !== b.price) {
@@ -372,10 +1426,13 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
             solutions = solutions.slice(0, MAX_SOLUTIONS_TO_TAKE);
         }
         
-        return {
+        const result = withPriceWarnings({
             solutionsFound: solutions.length,
             solutions: solutions
-        };
+        }, priceByRating);
+        if (reserved.held.length === 0) return result;
+        const used = solutions.length > 0 ? solutions[0].combinationUsed.map(rating => ({ rating })) : [];
+        return { ...result, reservations: reportReservations(reserved, used) };
 
     } catch (error) {
         return {
@@ -390,5 +1447,41 @@ function calculateSquadSolutions(solverOptions, SQUAD_SIZE, MAX_SOLUTIONS_TO_TAK
 module.exports = {
     SBCRatingCalculator,
     calculateSquadSolutions,
+    Card,
+    Inventory,
+    PriceSource,
+    MarketEconomics,
+    evaluateReward,
+    valueFodder,
+    optimizeSwaps,
+    findMinimumRatings,
+    findMaxRating,
+    RATING_PROFILES,
+    resolveRatingProfile,
+    TRANSFER_TAX,
+    SOURCE_TIERS,
+    calculateChemistry,
+    findBestPlacement,
+    FORMATIONS,
+    solveRequirements,
+    validateRequirements,
+    solveBatch,
+    planRepeatable,
+    solveSquad,
+    searchSquad,
+    runSearch,
+    solveSquadPage,
+    iterateSquad,
+    solvePareto,
+    PARETO_OBJECTIVES,
+    BUILTIN_SCORERS,
+    ratingPenaltyScorer,
+    weightedScorer,
+    rankSolutions,
+    buildCardPools,
+    buildRatingPools,
+    generateOptimalCombinations,
+    generateOptimalTable,
+    verifyOptimalCombinations,
     SolverHelper
 };
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { SBCRatingCalculator, searchSquad, runSearch, buildRatingPools } = require('../src/index.js');
+
+describe('Async squad search', () => {
+    const calculator = new SBCRatingCalculator();
+    const availableRatings = [];
+    const priceByRating = {};
+    for (let rating = 70; rating <= 92; rating++) {
+        for (let i = 0; i < 4; i++) availableRatings.push(rating);
+        priceByRating[rating] = 200 + (rating - 70) * (rating - 70) * 50;
+    }
+    // Takes tens of thousands of nodes to prove
+    const options = { targetRating: 86, availableRatings, priceByRating, maxSolutions: 5 };
+
+    test('should match the synchronous search when left to finish', async () => {
+        const result = await calculator.findSquadSolutionsAsync(options);
+        const expected = calculator.findSquadSolutions(options);
+        expect(result.cancelled).toBe(null);
+        expect(result.proven).toBe(true);
+        expect(result.solutions).toEqual(expected.solutions);
+        expect(result.nodesExplored).toBe(expected.nodesExplored);
+    });
+
+    test('should report progress between slices', async () => {
+        const events = [];
+        const search = searchSquad({
+            targetRating: 86,
+            pools: buildRatingPools(availableRatings, priceByRating),
+            slots: 11,
+            maxSolutions: 5,
+            yieldEvery: 1000
+        });
+        const result = await runSearch(search, { sliceMs: 0, onProgress: event => events.push(event) });
+
+        expect(events.length).toBe(Math.floor(result.nodesExplored / 1000));
+        events.forEach((event, i) => {
+            expect(event.nodesExplored).toBe((i + 1) * 1000);
+            expect(event.elapsedMs).toBeGreaterThanOrEqual(0);
+            if (i > 0 && events[i - 1].bestPrice !== null) expect(event.bestPrice).toBeLessThanOrEqual(events[i - 1].bestPrice);
+        });
+        expect(events[events.length - 1].bestPrice).toBe(result.solutions[0].price);
+    });
+
+    test('should return the best squads so far when aborted', async () => {
+        const controller = new AbortController();
+        const result = await calculator.findSquadSolutionsAsync({
+            ...options,
+            signal: controller.signal,
+            onProgress: () => controller.abort()
+        });
+
+        expect(result.cancelled).toBe('aborted');
+        expect(result.proven).toBe(false);
+        expect(result.solutionsFound).toBeGreaterThan(0);
+        expect(result.solutions[0].actualRating).toBeGreaterThanOrEqual(86);
+        expect(result.nodesExplored).toBeLessThan(calculator.findSquadSolutions(options).nodesExplored);
+    });
+
+    test('should stop at the time budget', async () => {
+        const result = await calculator.findSquadSolutionsAsync({ ...options, timeBudget: 1 });
+        expect(result.cancelled).toBe('timeout');
+        expect(result.proven).toBe(false);
+        expect(result.solutions.every(solution => solution.actualRating >= 86)).toBe(true);
+    });
+
+    test('should report invalid time budgets as errors', async () => {
+        const result = await calculator.findSquadSolutionsAsync({ ...options, timeBudget: 0 });
+        expect(result.error).toBe('Time budget must be a positive number of milliseconds');
+        expect((await calculator.findSquadSolutionsAsync({ targetRating: 120, availableRatings })).error).toBeDefined();
+    });
+});
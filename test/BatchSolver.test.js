@@ -0,0 +1,85 @@
+const { SBCRatingCalculator, solveBatch } = require('../src/index.js');
+
+/**
+ * Cards of one rating with ids prefix-0, prefix-1, ...
+ */
+function cardsOf(rating, count, prefix, extra = {}) {
+    return Array.from({ length: count }, (_, i) => ({ id: `${prefix}-${i}`, rating, ...extra }));
+}
+
+describe('solveBatch', () => {
+    const priceByRating = { 80: 500, 82: 900, 84: 3000, 86: 10000 };
+
+    test('should never use a card twice and meet every target', () => {
+        const cards = [...cardsOf(84, 14, 'a', { source: 'storage' }), ...cardsOf(82, 8, 'b', { source: 'storage' })];
+        const result = solveBatch({
+            cards,
+            priceByRating,
+            buyFromMarket: true,
+            segments: [
+                { name: '83', requirements: { rating: 83 } },
+                { name: '84', requirements: { rating: 84 } }
+            ]
+        });
+
+        const ids = result.segments.flatMap(segment => segment.solution.cardIds);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(result.segments[0].solution.actualRating).toBeGreaterThanOrEqual(83);
+        expect(result.segments[1].solution.actualRating).toBeGreaterThanOrEqual(84);
+        expect(result.totalPrice).toBe(result.segments.reduce((sum, segment) => sum + segment.solution.price, 0));
+        expect(result.proven).toBe(true);
+    });
+
+    test('should beat solving the segments one after the other', () => {
+        // Free 86s are tempting for the 80 segment but the 86 segment needs them
+        const cards = [...cardsOf(86, 11, 'high', { source: 'storage' }), ...cardsOf(80, 11, 'low', { price: 1 })];
+        const segments = [
+            { name: 'low', requirements: { rating: 80 } },
+            { name: 'high', requirements: { rating: 86 } }
+        ];
+
+        const calculator = new SBCRatingCalculator();
+        const first = calculator.findRequirementSolutions({ requirements: { rating: 80 }, availableCards: cards, maxSolutions: 1 });
+        expect(first.solutions[0].cardIds.every(id => id.startsWith('high'))).toBe(true);
+
+        const result = solveBatch({ cards, priceByRating, buyFromMarket: true, segments });
+        expect(result.totalPrice).toBe(11);
+        expect(result.segments[0].solution.cardIds.every(id => id.startsWith('low'))).toBe(true);
+        expect(result.segments[1].solution.cardIds.every(id => id.startsWith('high'))).toBe(true);
+    });
+
+    test('should keep fixed segments and solve the rest around them', () => {
+        const cards = [...cardsOf(84, 11, 'fixed', { price: 100 }), ...cardsOf(84, 11, 'cheap', { price: 50 })];
+        const result = solveBatch({
+            cards,
+            segments: [
+                { name: 'fixed', requirements: { rating: 84 }, cardIds: cards.slice(0, 11).map(card => card.id) },
+                { name: 'open', requirements: { rating: 84 } }
+            ]
+        });
+
+        expect(result.segments[0].solution.fixed).toBe(true);
+        expect(result.segments[1].solution.cardIds.every(id => id.startsWith('cheap'))).toBe(true);
+        expect(result.totalPrice).toBe(1650);
+    });
+
+    test('should report segments that cannot be completed', () => {
+        const result = solveBatch({
+            cards: cardsOf(84, 15, 'a'),
+            segments: [{ requirements: { rating: 84 } }, { requirements: { rating: 84 } }]
+        });
+
+        expect(result.solutionsFound).toBe(0);
+        expect(result.totalPrice).toBeNull();
+    });
+
+    test('findBatchSolutions should reject invalid fixed squads', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findBatchSolutions({
+            availableCards: cardsOf(80, 11, 'a'),
+            segments: [{ name: 'fixed', requirements: { rating: 84 }, cardIds: cardsOf(80, 11, 'a').map(card => card.id) }]
+        });
+
+        expect(result.error).toBe('Fixed squad of segment fixed does not meet its requirements');
+    });
+});
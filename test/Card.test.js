@@ -0,0 +1,88 @@
+const { Card, SBCRatingCalculator } = require('../src/index.js');
+
+describe('Card', () => {
+    test('should normalise card fields', () => {
+        const card = new Card({ id: 'c1', name: 'Player', rating: 84, positions: 'ST', tradeable: 1 });
+
+        expect(card.positions).toEqual(['ST']);
+        expect(card.rarity).toBe('common');
+        expect(card.tradeable).toBe(true);
+        expect(card.price).toBeNull();
+    });
+
+    test('should fall back to the rating price', () => {
+        expect(new Card({ id: 1, rating: 84 }).getPrice({ 84: 1500 })).toBe(1500);
+        expect(new Card({ id: 2, rating: 84, price: 900 }).getPrice({ 84: 1500 })).toBe(900);
+    });
+
+    test('should build cards from ratings using array indexes as ids', () => {
+        const cards = Card.fromRatings([83, 84]);
+        expect(cards.map(card => card.id)).toEqual([0, 1]);
+        expect(cards.map(card => card.rating)).toEqual([83, 84]);
+    });
+
+    test('should report missing and duplicate ids', () => {
+        const errors = Card.validate([{ id: 'a', rating: 83 }, { id: 'a', rating: 84 }, { rating: 85 }]);
+        expect(errors).toEqual(['Duplicate card id: a', 'Missing id for card at index 2']);
+    });
+});
+
+describe('SBCRatingCalculator with cards', () => {
+    const calculator = new SBCRatingCalculator();
+    const club = [];
+    for (let i = 0; i < 12; i++) {
+        club.push({ id: `gold-${i}`, name: `Gold ${i}`, rating: 84, price: 1000 + i * 100 });
+    }
+    club.push({ id: 'cheap-85', rating: 85, price: 500 });
+
+    test('findSquadSolutions should return the cheapest card ids', () => {
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableCards: club,
+            maxSolutions: 1
+        });
+
+        const [best] = result.solutions;
+        expect(best.cardIds).toHaveLength(11);
+        expect(best.cardIds).toContain('cheap-85');
+        expect(best.cardIds).not.toContain('gold-11');
+        expect(best.cardIds).not.toContain('gold-10');
+        expect(best.price).toBe(500 + [0, 1, 2, 3, 4, 5, 6, 7, 8, 9].reduce((sum, i) => sum + 1000 + i * 100, 0));
+    });
+
+    test('findOptimalSolutions should accept cards', () => {
+        const cards = [];
+        for (let i = 0; i < 11; i++) cards.push({ id: `a${i}`, rating: 83 });
+        for (let i = 0; i < 11; i++) cards.push({ id: `b${i}`, rating: 82 });
+        for (let i = 0; i < 11; i++) cards.push({ id: `c${i}`, rating: 84 });
+
+        const result = calculator.findOptimalSolutions({
+            targetRating: 83,
+            availableCards: cards,
+            priceByRating: { 82: 800, 83: 1000, 84: 2000 }
+        });
+
+        expect(result.solutionsFound).toBeGreaterThan(0);
+        expect(result.solutions[0].cardIds).toHaveLength(11);
+        expect(new Set(result.solutions[0].cardIds).size).toBe(11);
+    });
+
+    test('should keep plain ratings working with array indexes as card ids', () => {
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableRatings: [...new Array(11).fill(84), 90],
+            maxSolutions: 1
+        });
+
+        expect(result.solutions[0].cardIds).toHaveLength(11);
+    });
+
+    test('should reject cards without ids', () => {
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableCards: [{ rating: 84 }]
+        });
+
+        expect(result.error).toContain('Missing id');
+    });
+});
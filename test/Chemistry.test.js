@@ -0,0 +1,130 @@
+const { calculateChemistry, FORMATIONS, SBCRatingCalculator } = require('../src/index.js');
+
+/**
+ * Build a squad for a formation, one card per slot playing in position
+ */
+function buildSquad(formation, overrides = {}) {
+    return FORMATIONS[formation].map((position, index) => ({
+        id: `p${index}`,
+        rating: 84,
+        club: `Club ${index}`,
+        league: `League ${index}`,
+        nation: `Nation ${index}`,
+        positions: [position],
+        ...(overrides[index] || {})
+    }));
+}
+
+describe('calculateChemistry', () => {
+    test('should give full chemistry to a squad from one club', () => {
+        const squad = buildSquad('4-4-2').map(card => ({ ...card, club: 'Arsenal', league: 'Premier League', nation: 'England' }));
+        const result = calculateChemistry(squad, '4-4-2');
+
+        expect(result.errors).toEqual([]);
+        expect(result.teamChemistry).toBe(33);
+        expect(result.players.every(player => player.chemistry === 3)).toBe(true);
+    });
+
+    test('should apply the club, league and nation thresholds', () => {
+        const squad = buildSquad('4-3-3', {
+            0: { club: 'Arsenal', league: 'Premier League' },
+            1: { club: 'Arsenal', league: 'Premier League' },
+            2: { league: 'Premier League', nation: 'France' },
+            3: { nation: 'France' }
+        });
+        const result = calculateChemistry(squad, '4-3-3');
+
+        expect(result.players[0].points).toEqual({ club: 1, league: 1, nation: 0 });
+        expect(result.players[0].chemistry).toBe(2);
+        expect(result.players[2].chemistry).toBe(2);
+        expect(result.players[3].chemistry).toBe(1);
+        expect(result.players[4].chemistry).toBe(0);
+        expect(result.teamChemistry).toBe(7);
+    });
+
+    test('should give 0 chemistry out of position and not count the player', () => {
+        const squad = buildSquad('4-4-2', {
+            9: { club: 'Arsenal' },
+            10: { club: 'Arsenal', positions: ['GK'] }
+        });
+        const result = calculateChemistry(squad, '4-4-2');
+
+        expect(result.players[10].inPosition).toBe(false);
+        expect(result.players[10].chemistry).toBe(0);
+        expect(result.players[9].points.club).toBe(0);
+    });
+
+    test('should give icons full chemistry and count them double for their nation', () => {
+        const squad = buildSquad('4-4-2', {
+            0: { rarity: 'icon', nation: 'Brazil', league: 'Icons', club: 'Icons' },
+            1: { nation: 'Brazil' },
+            2: { nation: 'Brazil' },
+            3: { nation: 'Brazil' }
+        });
+        const result = calculateChemistry(squad, '4-4-2');
+
+        expect(result.players[0].chemistry).toBe(3);
+        expect(result.counts.nation.Brazil).toBe(5);
+        expect(result.players[1].points.nation).toBe(2);
+    });
+
+    test('should count heroes double for their league', () => {
+        const squad = buildSquad('4-4-2', {
+            0: { rarity: 'hero', league: 'Serie A' },
+            1: { league: 'Serie A' }
+        });
+        const result = calculateChemistry(squad, '4-4-2');
+
+        expect(result.players[0].chemistry).toBe(3);
+        expect(result.players[1].points.league).toBe(1);
+    });
+
+    test('should accept explicit positions and report formation mismatches', () => {
+        const squad = buildSquad('4-4-2').map(card => ({ card, position: card.positions[0] }));
+        squad[10].position = 'CAM';
+        squad[10].card.positions = ['CAM'];
+
+        const result = calculateChemistry(squad, '4-4-2');
+        expect(result.errors).toEqual(['Position CAM at index 10 is not part of the formation']);
+        expect(() => calculateChemistry(squad, '1-1-1')).toThrow('Unknown formation: 1-1-1');
+    });
+});
+
+describe('validateSquad with chemistry', () => {
+    const calculator = new SBCRatingCalculator();
+
+    test('should keep the rating-only result for plain ratings', () => {
+        const result = calculator.validateSquad(new Array(11).fill(84), 84);
+        expect(result.valid).toBe(true);
+        expect(result.chemistry).toBeUndefined();
+    });
+
+    test('should return rating and chemistry verdicts together', () => {
+        const squad = buildSquad('4-4-2');
+        const result = calculator.validateSquad(squad, 84, 11, { formation: '4-4-2', minChemistry: 10 });
+
+        expect(result.actualRating).toBe(84);
+        expect(result.chemistry.teamChemistry).toBe(0);
+        expect(result.chemistry.valid).toBe(false);
+        expect(result.valid).toBe(false);
+        expect(result.message).toBe('Squad achieves target rating (84 >= 84); Squad chemistry too low (0 < 10)');
+    });
+
+    test('should enforce the minimum chemistry of every player', () => {
+        const squad = buildSquad('4-4-2').map(card => ({ ...card, league: 'Premier League' }));
+        const result = calculator.validateSquad(squad, 84, 11, {
+            formation: '4-4-2',
+            minChemistry: 20,
+            minPlayerChemistry: 3
+        });
+
+        expect(result.chemistry.teamChemistry).toBe(33);
+        expect(result.valid).toBe(true);
+    });
+
+    test('should fail chemistry requirements for rating-only squads', () => {
+        const result = calculator.validateSquad(new Array(11).fill(84), 84, 11, { minChemistry: 20 });
+        expect(result.valid).toBe(false);
+        expect(result.chemistry.teamChemistry).toBeNull();
+    });
+});
@@ -0,0 +1,127 @@
+const { EXIT_CODES, parseArguments, parseInventory, parsePrices, formatTable, run } = require('../src/Cli.js');
+const { PriceSource } = require('../src/PriceSource.js');
+
+describe('sbc-calc', () => {
+    const files = {
+        'club.csv': 'id,rating,source\na,84,untradeable\nb,84,untradeable\nc,83,storage\nd,85,club\n',
+        'club.json': JSON.stringify([84, 84, 83, 85, 82, 86]),
+        'prices.json': JSON.stringify({ 82: 1000, 83: 1500, 84: 2500, 85: 5000, 86: 9000 }),
+        'reserve.json': JSON.stringify({ protect: ['a'] }),
+        'snapshot.csv': 'type,rating,price,platform\nrating,84,2400,console\nrating,84,2000,pc\n'
+    };
+
+    // Run the tool against the in-memory files, collecting its output
+    const runTool = async (argv, stdin = '') => {
+        const out = [];
+        const err = [];
+        const code = await run(argv, {
+            readStdin: async () => stdin,
+            readFile: path => {
+                if (files[path] === undefined) throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+                return files[path];
+            },
+            stdout: line => out.push(line),
+            stderr: line => err.push(line)
+        });
+        return { code, stdout: out.join('\n'), stderr: err.join('\n') };
+    };
+
+    test('should parse flags and positional ratings', () => {
+        expect(parseArguments(['solve', '--target=84', '--buy', '--inventory', 'club.csv', '85'])).toEqual({
+            command: 'solve',
+            flags: { target: '84', buy: true, inventory: 'club.csv' },
+            positional: ['85']
+        });
+        expect(() => parseArguments(['solve', '--target'])).toThrow('--target needs a value');
+        expect(() => parseArguments(['solve', '--fast'])).toThrow('Unknown option: --fast');
+    });
+
+    test('should read CSV, bare rating and JSON inventories', () => {
+        expect(parseInventory(files['club.csv'], 'club.csv').cards[3]).toEqual({ id: 'd', rating: 85, source: 'club' });
+        expect(parseInventory('84, 85\n86\n', '-')).toEqual({ ratings: [84, 85, 86] });
+        expect(parseInventory('{"cards":[{"id":1,"rating":84}]}', '-')).toEqual({ cards: [{ id: 1, rating: 84 }] });
+        expect(() => parseInventory('id,name\n1,X\n', 'club.csv')).toThrow('club.csv: inventory CSV needs a rating column');
+    });
+
+    test('should read rating maps and price snapshots', () => {
+        expect(parsePrices(files['prices.json'], 'prices.json')[84]).toBe(2500);
+        const snapshot = parsePrices(files['snapshot.csv'], 'snapshot.csv', 'pc');
+        expect(snapshot).toBeInstanceOf(PriceSource);
+        expect(snapshot.getRatingPrice(84)).toBe(2000);
+    });
+
+    test('should align table columns', () => {
+        expect(formatTable(['#', 'Price'], [[1, '2,500'], [10, null]])).toBe('#   Price\n1   2,500\n10  -');
+    });
+
+    test('should rate a squad and fail when the target is missed', async () => {
+        const squad = ['84', '84', '85', '85', '86', '83', '83', '84', '84', '84', '84'];
+        const rated = await runTool(['rating', ...squad]);
+        expect(rated.code).toBe(EXIT_CODES.ok);
+        expect(rated.stdout).toContain('Rating: 84');
+
+        const missed = await runTool(['rating', ...squad, '--target', '85', '--json']);
+        expect(missed.code).toBe(EXIT_CODES.failed);
+        expect(JSON.parse(missed.stdout).pointsToTarget).toBe(3);
+    });
+
+    test('should solve from inventory and price files', async () => {
+        const { code, stdout } = await runTool([
+            'solve', '--target', '84', '--inventory', 'club.csv', '--prices', 'prices.json', '--buy', '--json'
+        ]);
+        expect(code).toBe(EXIT_CODES.ok);
+        const result = JSON.parse(stdout);
+        expect(result.solutionsFound).toBeGreaterThan(0);
+        expect(result.solutions[0].actualRating).toBeGreaterThanOrEqual(84);
+        expect(result.solutions[0].cardIds).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+
+        const table = await runTool(['solve', '--target', '84', '--inventory', 'club.csv', '--prices', 'prices.json', '--buy']);
+        expect(table.stdout).toMatch(/^Target 84: 5 solutions\n#\s+Price\s+Rating\s+Points\s+Buy\s+Squad/);
+
+        const reserved = await runTool([
+            'solve', '--target', '84', '--inventory', 'club.csv', '--prices', 'prices.json', '--buy', '--reserve', 'reserve.json'
+        ]);
+        expect(reserved.stdout).toContain('Constrained by: protect a');
+    });
+
+    test('should exit with 1 when no squad reaches the target', async () => {
+        const { code, stdout } = await runTool(['solve', '--target', '90', '--inventory', '-'], '84,85,86');
+        expect(code).toBe(EXIT_CODES.failed);
+        expect(stdout).toBe('Target 90: 0 solutions');
+    });
+
+    test('should print minimum ratings, validations and statistics', async () => {
+        const needed = await runTool(['min-needed', '--target', '84', '--existing', '86,86,85', '--json']);
+        expect(needed.code).toBe(EXIT_CODES.ok);
+        expect(JSON.parse(needed.stdout).uniformRating).toBe(83);
+
+        const invalid = await runTool(['validate', '--target', '85', ...new Array(11).fill('84')]);
+        expect(invalid.code).toBe(EXIT_CODES.failed);
+        expect(invalid.stdout).toBe('Invalid: Squad rating too low (84 < 85, 6 points short)');
+
+        const stats = await runTool(['stats', '--inventory', 'club.json', '--json']);
+        expect(JSON.parse(stats.stdout)).toMatchObject({ min: 82, max: 86, count: 6, counts: expect.arrayContaining([{ rating: 84, count: 2 }]) });
+    });
+
+    test('should use the rating profile flag', async () => {
+        const { stdout } = await runTool(['rating', '80', '90', '--profile', 'FC25']);
+        expect(stdout).toContain('Rating: 28');
+        const custom = await runTool(['rating', '80', '90', '--profile', '-'], '{"padding":"none"}');
+        expect(custom.stdout).toContain('Rating: 87');
+    });
+
+    test('should report usage errors with exit code 2', async () => {
+        expect((await runTool([])).code).toBe(EXIT_CODES.usage);
+        expect((await runTool(['--help'])).code).toBe(EXIT_CODES.ok);
+        expect(await runTool(['teleport'])).toMatchObject({ code: EXIT_CODES.usage, stderr: 'sbc-calc: unknown command: teleport' });
+        expect(await runTool(['solve', '--inventory', 'club.csv'])).toMatchObject({ code: 2, stderr: 'sbc-calc: --target is required' });
+        expect(await runTool(['solve', '--target', '84', '--inventory', 'gone.csv'])).toMatchObject({
+            code: 2,
+            stderr: 'sbc-calc: Cannot read gone.csv: ENOENT'
+        });
+        expect(await runTool(['solve', '--target', '84', '--inventory', '-', '--prices', '-'], '84')).toMatchObject({
+            code: 2,
+            stderr: 'sbc-calc: Only one input can be read from stdin'
+        });
+    });
+});
@@ -0,0 +1,106 @@
+const { SBCRatingCalculator, Card, MarketEconomics } = require('../src/index.js');
+const { resolveEconomics } = require('../src/Economics.js');
+
+describe('MarketEconomics', () => {
+    const priceByRating = { 82: 1000, 83: 2000, 84: 4000 };
+
+    test('should apply the spread and the transfer tax to sales', () => {
+        const card = new Card({ id: 1, rating: 84, source: 'club', tradeable: true });
+        expect(new MarketEconomics().getSellValue(card, priceByRating)).toBe(3800);
+        expect(new MarketEconomics({ spread: 0.1 }).getSellValue(card, priceByRating)).toBe(3420);
+        expect(new MarketEconomics({ tax: 0 }).getSellValue(card, priceByRating)).toBe(4000);
+    });
+
+    test('should value quick sells by quality, rarity and rating', () => {
+        const economics = new MarketEconomics();
+        expect(economics.getQuickSellValue(new Card({ id: 1, rating: 60 }))).toBe(20);
+        expect(economics.getQuickSellValue(new Card({ id: 2, rating: 70, rarity: 'rare' }))).toBe(175);
+        expect(economics.getQuickSellValue(new Card({ id: 3, rating: 84 }))).toBe(1300);
+        expect(economics.getQuickSellValue(new Card({ id: 4, rating: 84, rarity: 'rare' }))).toBe(1550);
+        expect(new MarketEconomics({ quickSellByRating: { 84: 999 } })
+            .getQuickSellValue(new Card({ id: 5, rating: 84 }))).toBe(999);
+    });
+
+    test('should cost owned cards by what they could still bring in', () => {
+        const economics = new MarketEconomics();
+        const tradeable = new Card({ id: 1, rating: 84, source: 'club', tradeable: true });
+        const untradeable = new Card({ id: 2, rating: 84, source: 'untradeable' });
+        const cheap = new Card({ id: 3, rating: 84, source: 'club', tradeable: true, price: 500 });
+        const market = new Card({ id: 4, rating: 84, source: 'market' });
+
+        expect(economics.getCardCost(tradeable, priceByRating)).toBe(3800);
+        expect(economics.getCardCost(untradeable, priceByRating)).toBe(1300);
+        expect(economics.getCardCost(cheap, priceByRating)).toBe(1300);
+        expect(economics.getCardCost(market, priceByRating)).toBe(4000);
+        expect(economics.evaluateCards([tradeable, untradeable, market], priceByRating))
+            .toEqual({ buyCost: 4000, opportunityCost: 5100, netCost: 9100 });
+        expect(economics.evaluateRatings([82, 83], priceByRating))
+            .toEqual({ buyCost: 3000, opportunityCost: 0, netCost: 3000 });
+    });
+
+    test('should resolve the economics option', () => {
+        const economics = new MarketEconomics();
+        expect(resolveEconomics(false)).toBeNull();
+        expect(resolveEconomics(economics)).toBe(economics);
+        expect(resolveEconomics(true)).toBeInstanceOf(MarketEconomics);
+        expect(resolveEconomics({ spread: 0.05 }).spread).toBe(0.05);
+
+        const options = { spread: 0.05 };
+        expect(resolveEconomics(options)).toBe(resolveEconomics(options));
+        options.spread = 0.1;
+        expect(resolveEconomics(options).spread).toBe(0.1);
+    });
+
+    test('should add the cost breakdown to solver results', () => {
+        const calculator = new SBCRatingCalculator();
+        const club = [
+            { id: 'untr-1', rating: 84, source: 'untradeable' },
+            { id: 'sell-1', rating: 84, source: 'club', tradeable: true, price: 4000 }
+        ];
+
+        const result = calculator.findSquadSolutions({
+            targetRating: 83,
+            availableCards: club,
+            priceByRating,
+            buyFromMarket: true,
+            maxSolutions: 1,
+            economics: true
+        });
+
+        const [best] = result.solutions;
+        expect(best.actualRating).toBeGreaterThanOrEqual(83);
+        expect(best.economics.netCost).toBe(best.price);
+        expect(best.economics.buyCost).toBe(best.coinOutlay);
+        expect(best.economics.opportunityCost).toBe(best.opportunityCost);
+        expect(best.fromClub).toContain('untr-1');
+    });
+
+    test('should count plain ratings as owned club stock', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findSquadSolutions({
+            targetRating: 82,
+            availableRatings: new Array(11).fill(82),
+            priceByRating,
+            maxSolutions: 1,
+            economics: true
+        });
+        const [best] = result.solutions;
+        expect(best.toBuy).toEqual([]);
+        expect(best.coinOutlay).toBe(0);
+        expect(best.economics.buyCost).toBe(0);
+        // Quick selling an 82 (1100) beats selling it (950 after tax)
+        expect(best.economics.opportunityCost).toBe(11 * 1100);
+        expect(best.economics.netCost).toBe(best.price);
+    });
+
+    test('should leave results unchanged without a model', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findSquadSolutions({
+            targetRating: 82,
+            availableRatings: [82, 82, 82, 82, 82, 82, 82, 82, 82, 82, 82],
+            priceByRating,
+            maxSolutions: 1
+        });
+        expect(result.solutions[0].economics).toBeUndefined();
+    });
+});
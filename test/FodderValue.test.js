@@ -0,0 +1,61 @@
+const { SBCRatingCalculator } = require('../src/index.js');
+const { valueFodder } = require('../src/FodderValue.js');
+
+describe('Fodder values', () => {
+    const calculator = new SBCRatingCalculator();
+    const priceByRating = { 81: 900, 82: 1000, 83: 1500, 84: 2500, 85: 5000, 86: 9000 };
+
+    test('should price one card more or less of every club rating', () => {
+        const result = calculator.calculateFodderValues({
+            targets: [84],
+            availableRatings: [85, 84, 84, 83, 83, 83, 82, 82, 81, 81],
+            priceByRating
+        });
+
+        expect(result.baseCost).toBe(10000);
+        expect(result.ratings.map(entry => entry.rating)).toEqual([85, 84, 83, 82, 81]);
+
+        const byRating = Object.fromEntries(result.ratings.map(entry => [entry.rating, entry]));
+        expect(byRating[84].owned).toBe(2);
+        expect(byRating[84].removalCost).toBe(2500);
+        expect(byRating[84].additionSaving).toBe(2500);
+        expect(byRating[85].removalCost).toBeGreaterThan(byRating[83].removalCost);
+        expect(byRating[81].removalCost).toBe(0);
+    });
+
+    test('should add up the values of several targets', () => {
+        const result = calculator.calculateFodderValues({
+            targets: [84, { targetRating: 85 }],
+            availableRatings: [86, 85, 84, 84, 83, 83, 83, 82, 82, 81, 81],
+            priceByRating,
+            ratings: [86]
+        });
+
+        const [entry] = result.ratings;
+        expect(result.targets.map(target => target.targetRating)).toEqual([84, 85]);
+        expect(entry.byTarget).toHaveLength(2);
+        expect(entry.removalCost).toBe(entry.byTarget[0].removalCost + entry.byTarget[1].removalCost);
+        expect(entry.additionSaving).toBe(entry.byTarget[0].additionSaving + entry.byTarget[1].additionSaving);
+    });
+
+    test('should report ratings the club does not own', () => {
+        const result = valueFodder({
+            targets: [90],
+            cards: [{ id: 1, rating: 90, source: 'untradeable' }],
+            ratings: [90, 89],
+            solve: (target, cards) => cards.length >= 11 ? 0 : null
+        });
+
+        expect(result.baseCost).toBe(Infinity);
+        expect(result.ratings[1]).toMatchObject({ rating: 89, owned: 0, removalCost: null, additionSaving: 0 });
+    });
+
+    test('should return validation errors', () => {
+        const result = calculator.calculateFodderValues({
+            targets: [84],
+            availableCards: [{ id: 1, rating: 84 }, { id: 1, rating: 85 }]
+        });
+        expect(result.error).toBeDefined();
+        expect(result.ratings).toEqual([]);
+    });
+});
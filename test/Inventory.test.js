@@ -0,0 +1,181 @@
+const { SBCRatingCalculator, Inventory, Card, MarketEconomics, PriceSource } = require('../src/index.js');
+
+describe('Inventory', () => {
+    const calculator = new SBCRatingCalculator();
+    const priceByRating = { 82: 900, 83: 1500, 84: 2500, 85: 5000, 86: 9000, 88: 20000 };
+    const cards = [
+        { id: 'a', rating: 88, source: 'untradeable' },
+        ...[0, 1, 2, 3, 4].map(i => ({ id: `84-${i}`, rating: 84, source: i < 2 ? 'untradeable' : 'club', tradeable: i >= 2 })),
+        ...[0, 1, 2, 3].map(i => ({ id: `83-${i}`, rating: 83, source: 'storage' })),
+        ...[0, 1].map(i => ({ id: `85-${i}`, rating: 85, source: 'club', tradeable: true })),
+        ...[0, 1, 2].map(i => ({ id: `82-${i}`, rating: 82, source: 'untradeable' }))
+    ];
+    const options = { targetRating: 84, priceByRating, buyFromMarket: true, maxSolutions: 3 };
+
+    test('should add, remove and submit cards and keep counts', () => {
+        const inventory = new Inventory(cards);
+        expect(inventory.getCards().length).toBe(15);
+        expect(inventory.getCards()[0]).toBeInstanceOf(Card);
+        expect(inventory.getRatingCounts()).toEqual({ 82: 3, 83: 4, 84: 5, 85: 2, 88: 1 });
+
+        const added = inventory.add([{ id: 'b', rating: 86 }, { id: 'c', rating: 84 }]);
+        expect(added.map(card => card.id)).toEqual(['b', 'c']);
+        expect(inventory.remove('a').map(card => card.id)).toEqual(['a']);
+        expect(inventory.getRatingCounts()).toEqual({ 82: 3, 83: 4, 84: 6, 85: 2, 86: 1 });
+        expect(inventory.getCard('a')).toBeNull();
+
+        const solution = calculator.findSquadSolutions({ ...options, availableCards: inventory, maxSolutions: 1 }).solutions[0];
+        expect(inventory.submitSquad(solution).map(card => card.id)).toEqual(solution.fromClub);
+        expect(inventory.getCards().length).toBe(16 - solution.fromClub.length);
+        expect(inventory.getRatings().length).toBe(inventory.getCards().length);
+    });
+
+    test('should reject invalid cards without changing', () => {
+        expect(() => new Inventory([{ rating: 84 }])).toThrow('Missing id for card at index 0');
+        expect(() => new Inventory([{ id: 1, rating: 84 }, { id: 1, rating: 85 }])).toThrow('Duplicate card id: 1');
+
+        const inventory = new Inventory(cards);
+        expect(() => inventory.add({ id: 'a', rating: 84 })).toThrow('Duplicate card id: a');
+        expect(() => inventory.add({ id: 'z', rating: 100 })).toThrow('Invalid rating for card z: 100');
+        expect(() => inventory.remove(['a', 'zz'])).toThrow('Unknown card id: zz');
+        expect(() => inventory.submitSquad({ price: 0 })).toThrow('Squad must be a solution with card ids or a list of card ids');
+        expect(inventory.getCards().length).toBe(15);
+        expect(inventory.version).toBe(0);
+    });
+
+    test('should emit change events', () => {
+        const inventory = new Inventory(cards);
+        const changes = [];
+        const stop = inventory.on('change', change => changes.push(change));
+
+        inventory.add({ id: 'b', rating: 86 });
+        inventory.submitSquad(['84-0', '84-1']);
+        stop();
+        inventory.remove('b');
+
+        expect(changes.map(change => [change.type, change.added.length, change.removed.length, change.version]))
+            .toEqual([['add', 1, 0, 1], ['submit', 0, 2, 2]]);
+        expect(inventory.version).toBe(3);
+        expect(() => inventory.on('update', () => {})).toThrow('Unknown inventory event: update');
+    });
+
+    test('should snapshot and restore', () => {
+        const inventory = new Inventory(cards);
+        const snapshot = JSON.parse(JSON.stringify(inventory.snapshot()));
+        inventory.submitSquad(['a', '85-0']);
+        inventory.add({ id: 'b', rating: 86 });
+
+        const changes = [];
+        inventory.on('change', change => changes.push(change.type));
+        expect(() => inventory.restore({ cards: [{ id: 'x' }] })).toThrow('Invalid rating for card x: undefined');
+        expect(inventory.getCard('b')).not.toBeNull();
+
+        inventory.restore(snapshot);
+        expect(changes).toEqual(['restore']);
+        expect(inventory.getCards().map(card => card.id)).toEqual(cards.map(card => card.id));
+        expect(inventory.getCard('85-0')).toMatchObject({ source: 'club', tradeable: true });
+        expect(inventory.getRatingCounts()).toEqual({ 82: 3, 83: 4, 84: 5, 85: 2, 88: 1 });
+        expect(inventory.version).toBe(3);
+    });
+
+    test('should rebuild only the pools of changed ratings', () => {
+        const inventory = new Inventory(cards);
+        const pools = inventory.getPools(priceByRating);
+        expect(inventory.getPools(priceByRating)).toEqual(pools);
+
+        inventory.add({ id: 'c', rating: 84, source: 'storage' });
+        const next = inventory.getPools(priceByRating);
+        next.filter(pool => pool.rating !== 84).forEach(pool => {
+            expect(pool).toBe(pools.find(old => old.rating === pool.rating));
+        });
+        expect(next.find(pool => pool.rating === 84).cards.map(card => card.id).slice(0, 3)).toEqual(['c', '84-0', '84-1']);
+
+        // A new price map starts over
+        const repriced = inventory.getPools({ ...priceByRating, 85: 6000 });
+        expect(repriced.find(pool => pool.rating === 83)).not.toBe(next.find(pool => pool.rating === 83));
+        expect(repriced.find(pool => pool.rating === 85).costs).toEqual([5700, 5700]);
+    });
+
+    test('should solve like the plain card list', () => {
+        const inventory = new Inventory(cards);
+        const economics = { spread: 0.1 };
+        [
+            options,
+            { ...options, economics },
+            { ...options, reservations: { protect: ['a'], keep: { 84: 4 } } },
+            { ...options, existingRatings: [86, 86], squadSize: 11 }
+        ].forEach(variant => {
+            expect(calculator.findSquadSolutions({ ...variant, availableCards: inventory }))
+                .toEqual(calculator.findSquadSolutions({ ...variant, availableCards: cards }));
+        });
+
+        expect(calculator.findParetoSolutions({ ...options, availableCards: inventory }))
+            .toEqual(calculator.findParetoSolutions({ ...options, availableCards: cards }));
+        expect(calculator.findMaxRating({ availableCards: inventory }))
+            .toEqual(calculator.findMaxRating({ availableCards: cards }));
+        expect(calculator.findRequirementSolutions({
+            availableCards: inventory,
+            priceByRating,
+            requirements: { squadSize: 11, constraints: [{ type: 'rating', min: 84 }] }
+        }).solutionsFound).toBeGreaterThan(0);
+
+        // One economics model keeps its cached pools between calls
+        const model = new MarketEconomics(economics);
+        const costs = jest.spyOn(model, 'getCardCost');
+        const first = calculator.findSquadSolutions({ ...options, availableCards: inventory, economics: model });
+        const firstCalls = costs.mock.calls.length;
+        expect(calculator.findSquadSolutions({ ...options, availableCards: inventory, economics: model })).toEqual(first);
+        expect(costs.mock.calls.length - firstCalls).toBe(firstCalls - cards.length);
+
+        // The cached pools follow the changes
+        inventory.remove('a');
+        const after = calculator.findSquadSolutions({ ...options, availableCards: inventory });
+        expect(after).toEqual(calculator.findSquadSolutions({ ...options, availableCards: inventory.getCards() }));
+        expect(after.solutions[0].cardIds).not.toContain('a');
+    });
+
+    test('should notice prices edited in place', () => {
+        const inventory = new Inventory(cards);
+        const prices = { ...priceByRating };
+        const variant = { ...options, priceByRating: prices, buyFromMarket: false, maxSolutions: 1 };
+        calculator.findSquadSolutions({ ...variant, availableCards: inventory });
+
+        prices[84] = 100000;
+        prices[85] = 100000;
+        expect(calculator.findSquadSolutions({ ...variant, availableCards: inventory }))
+            .toEqual(calculator.findSquadSolutions({ ...variant, availableCards: cards }));
+
+        const source = PriceSource.fromMap(priceByRating);
+        const before = inventory.getPools(source).find(pool => pool.rating === 85).costs;
+        source.cardPrices['85-0'] = 1000;
+        expect(inventory.getPools(source).find(pool => pool.rating === 85).costs).not.toEqual(before);
+    });
+
+    test('should cost every card once across solver methods', () => {
+        const inventory = new Inventory(cards);
+        const model = new MarketEconomics({ spread: 0.1 });
+        const costs = jest.spyOn(model, 'getCardCost');
+        const countCalls = run => {
+            const calls = costs.mock.calls.length;
+            run();
+            return costs.mock.calls.filter((call, i) => i >= calls && inventory.getCard(call[0].id) === call[0]).length;
+        };
+        const requirements = { squadSize: 11, constraints: [{ type: 'rating', min: 84 }] };
+
+        expect(countCalls(() => calculator.findRequirementSolutions({ availableCards: inventory, priceByRating, requirements, economics: model })))
+            .toBe(cards.length);
+        expect(countCalls(() => calculator.findRequirementSolutions({ availableCards: inventory, priceByRating, requirements, economics: model })))
+            .toBe(0);
+        expect(countCalls(() => calculator.findSquadUpgrades({
+            squad: new Array(11).fill(82), targetRating: 83, availableCards: inventory, priceByRating, economics: model
+        }))).toBe(0);
+
+        inventory.add({ id: 'b', rating: 86, source: 'club', tradeable: true });
+        expect(countCalls(() => calculator.findSquadSolutions({ ...options, availableCards: inventory, economics: model })))
+            .toBe(1);
+
+        const batch = { segments: [{ requirements }, { requirements }], priceByRating, buyFromMarket: true };
+        expect(calculator.findBatchSolutions({ ...batch, availableCards: inventory }))
+            .toEqual(calculator.findBatchSolutions({ ...batch, availableCards: inventory.getCards() }));
+    });
+});
@@ -0,0 +1,50 @@
+const { SBCRatingCalculator, SolverHelper } = require('../src/index.js');
+const { findMaxRating } = require('../src/MaxRating.js');
+
+describe('Maximum rating', () => {
+    const calculator = new SBCRatingCalculator();
+    const priceByRating = { 82: 1000, 83: 1500, 84: 2500, 85: 5000, 86: 9000, 87: 15000, 88: 25000 };
+    const club = [86, 85, 84, 84, 83, 83, 83, 82, 82, 81, 81, 80, 79, 78, 78];
+
+    test('should reach the rating of the best club cards without a budget', () => {
+        const top = [...club].sort((a, b) => b - a).slice(0, 11);
+        const result = calculator.findMaxRating({ availableRatings: club, priceByRating });
+
+        expect(result.maxRating).toBe(SolverHelper.getRating(top));
+        expect(result.solution.price).toBe(0);
+        expect(result.solution.actualRating).toBe(result.maxRating);
+        expect(result.nextRating.targetRating).toBe(result.maxRating + 1);
+        expect(result.nextRating.solution.actualRating).toBeGreaterThan(result.maxRating);
+        expect(result.nextRating.extraCoins).toBeGreaterThan(0);
+    });
+
+    test('should buy up to the budget', () => {
+        const result = calculator.findMaxRating({ availableRatings: club, priceByRating, budget: 30000 });
+        expect(result.solution.price).toBeLessThanOrEqual(30000);
+        expect(result.nextRating.solution.price).toBeGreaterThan(30000);
+
+        // One rating lower is always affordable, one higher never is
+        const fromClub = calculator.findMaxRating({ availableRatings: club, priceByRating });
+        expect(result.maxRating).toBeGreaterThan(fromClub.maxRating);
+        const higher = calculator.findSquadSolutions({
+            targetRating: result.maxRating + 1,
+            availableCards: club.map((rating, id) => ({ id, rating, source: 'untradeable' })),
+            priceByRating,
+            buyFromMarket: true,
+            maxSolutions: 1
+        });
+        expect(higher.solutions[0].coinOutlay).toBeGreaterThan(30000);
+    });
+
+    test('should report no rating when the squad cannot be filled', () => {
+        const result = findMaxRating({ cards: [{ id: 1, rating: 90 }], priceByRating: {}, budget: 100000 });
+        expect(result.maxRating).toBeNull();
+        expect(result.solution).toBeNull();
+        expect(result.nextRating).toBeNull();
+    });
+
+    test('should validate the budget', () => {
+        const result = calculator.findMaxRating({ availableRatings: club, budget: -1 });
+        expect(result.error).toBe('Budget must be a non-negative number');
+    });
+});
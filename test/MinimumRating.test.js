@@ -0,0 +1,86 @@
+const { SBCRatingCalculator, SolverHelper } = require('../src/index.js');
+const { getUniformRating, findMinimumRatings } = require('../src/MinimumRating.js');
+
+describe('Minimum rating needed', () => {
+    const calculator = new SBCRatingCalculator();
+
+    const bruteForceUniform = (existing, slots, target) => {
+        for (let rating = 45; rating <= 99; rating++) {
+            if (SolverHelper.getRating([...existing, ...new Array(slots).fill(rating)]) >= target) return rating;
+        }
+        return null;
+    };
+
+    test('should match a brute force over every uniform rating', () => {
+        const squads = [[], [89, 87, 85, 84], [90, 90, 90, 80, 80], [83, 83, 83, 83, 83, 83, 83, 83, 83, 83]];
+        squads.forEach(existing => {
+            for (let target = 80; target <= 90; target++) {
+                const slots = 11 - existing.length;
+                expect(getUniformRating(existing, slots, target)).toBe(bruteForceUniform(existing, slots, target));
+            }
+        });
+    });
+
+    test('should account for the correction factor', () => {
+        // A plain average asks for 84 * 11 - 830 = 94
+        const existing = new Array(10).fill(83);
+        const needed = calculator.calculateMinimumRatingNeeded(84, existing, 1, 11);
+        expect(needed).toBe(89);
+        expect(calculator.calculateTeamRating([...existing, needed])).toBeGreaterThanOrEqual(84);
+        expect(calculator.calculateTeamRating([...existing, needed - 1])).toBeLessThan(84);
+        expect(calculator.calculateMinimumRatingNeeded(99, [80, 80, 80], 8, 11)).toBeNull();
+    });
+
+    test('should find the lowest rating of the final slot', () => {
+        const existing = [89, 87, 85, 84];
+        const result = findMinimumRatings({ targetRating: 86, existingRatings: existing, tableTargets: [] });
+        const others = [...existing, ...new Array(6).fill(result.uniformRating)];
+
+        expect(result.remainingSlots).toBe(7);
+        expect(result.lastSlotRating).toBeLessThanOrEqual(result.uniformRating);
+        expect(SolverHelper.getRating([...others, result.lastSlotRating])).toBeGreaterThanOrEqual(86);
+        expect(SolverHelper.getRating([...others, result.lastSlotRating - 1])).toBeLessThan(86);
+    });
+
+    test('should rank the assignments by price', () => {
+        const priceByRating = { 83: 1500, 84: 2500, 85: 5000, 86: 9000, 87: 15000, 88: 25000 };
+        const result = calculator.findMinimumRatings({
+            targetRating: 86,
+            existingRatings: [89, 87, 85, 84],
+            priceByRating,
+            maxAssignments: 3
+        });
+
+        expect(result.assignments).toHaveLength(3);
+        result.assignments.forEach((assignment, i) => {
+            expect(assignment.ratings).toHaveLength(7);
+            expect(SolverHelper.getRating([89, 87, 85, 84, ...assignment.ratings])).toBeGreaterThanOrEqual(86);
+            expect(assignment.price).toBe(SolverHelper.getPrice(assignment.ratings, priceByRating));
+            if (i > 0) expect(assignment.price).toBeGreaterThanOrEqual(result.assignments[i - 1].price);
+        });
+    });
+
+    test('should build a table of targets', () => {
+        const result = calculator.findMinimumRatings({
+            targetRating: 86,
+            existingRatings: [89, 87, 85, 84],
+            tableTargets: [82, 86, 90]
+        });
+
+        expect(result.table.map(row => row.targetRating)).toEqual([82, 86, 90]);
+        expect(result.table[1].uniformRating).toBe(result.uniformRating);
+        expect(result.table[0].uniformRating).toBeLessThanOrEqual(result.table[2].uniformRating);
+        result.table.forEach(row => {
+            expect(SolverHelper.getRating([89, 87, 85, 84, ...row.cheapest.ratings])).toBeGreaterThanOrEqual(row.targetRating);
+        });
+
+        const defaults = calculator.findMinimumRatings({ targetRating: 86, existingRatings: [89, 87, 85, 84] });
+        expect(defaults.table.map(row => row.targetRating)).toEqual([82, 83, 84, 85, 86, 87, 88, 89, 90]);
+    });
+
+    test('should return validation errors', () => {
+        expect(calculator.findMinimumRatings({ targetRating: 100 }).error).toBeDefined();
+        expect(calculator.findMinimumRatings({ targetRating: 84, existingRatings: [84, 84], remainingSlots: 10 }).error)
+            .toBe('Existing ratings and remaining slots exceed squad size');
+    });
+});
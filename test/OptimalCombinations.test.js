@@ -0,0 +1,79 @@
+const {
+    OPTIMAL_SBC_COMBINATIONS,
+    generateOptimalCombinations,
+    generateOptimalTable,
+    verifyOptimalCombinations,
+    getOptimalCombinations,
+    calculateCombinationPoints,
+    combinationToArray
+} = require('../src/OptimalCombinations.js');
+const { SolverHelper } = require('../src/SolverHelper.js');
+
+describe('generateOptimalCombinations', () => {
+    test('should only return minimal combinations that reach the target', () => {
+        const combinations = generateOptimalCombinations(84);
+
+        expect(combinations.length).toBeGreaterThan(0);
+        combinations.forEach(combination => {
+            const ratings = combinationToArray(combination);
+            expect(ratings).toHaveLength(11);
+            expect(SolverHelper.getRating(ratings)).toBeGreaterThanOrEqual(84);
+        });
+        expect(verifyOptimalCombinations({ 84: combinations }).valid).toBe(true);
+    });
+
+    test('should rank combinations by rating points', () => {
+        const points = generateOptimalCombinations(86, { limit: 20 }).map(calculateCombinationPoints);
+        expect(points).toEqual([...points].sort((a, b) => a - b));
+    });
+
+    test('should respect the rating window', () => {
+        const combinations = generateOptimalCombinations(75, { minRating: 74, maxRating: 76 });
+        combinations.forEach(combination => {
+            Object.keys(combination).forEach(rating => {
+                expect(+rating).toBeGreaterThanOrEqual(74);
+                expect(+rating).toBeLessThanOrEqual(76);
+            });
+        });
+    });
+
+    test('should handle a full 45-99 window with a limit', () => {
+        const [best] = generateOptimalCombinations(95, { minRating: 45, maxRating: 99, limit: 1 });
+        expect(best).toEqual({ 45: 3, 99: 8 });
+        expect(calculateCombinationPoints(best)).toBe(927);
+    });
+});
+
+describe('generateOptimalTable', () => {
+    test('should regenerate the shipped table', () => {
+        expect(generateOptimalTable()).toEqual(OPTIMAL_SBC_COMBINATIONS);
+    });
+});
+
+describe('verifyOptimalCombinations', () => {
+    test('should accept the shipped table', () => {
+        expect(verifyOptimalCombinations().valid).toBe(true);
+    });
+
+    test('should flag entries that miss the target or are not minimal', () => {
+        const result = verifyOptimalCombinations({
+            80: [
+                { 84: 1, 79: 10 },
+                { 83: 1, 80: 10 }
+            ]
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.issues.map(issue => issue.index)).toEqual([0, 1]);
+        expect(result.issues[0].problem).toContain('misses the target');
+        expect(result.issues[1].problem).toContain('not minimal');
+    });
+});
+
+describe('getOptimalCombinations', () => {
+    test('should generate rows outside the shipped table', () => {
+        const combinations = getOptimalCombinations(75);
+        expect(combinations.length).toBeGreaterThan(0);
+        expect(verifyOptimalCombinations({ 75: combinations }).valid).toBe(true);
+    });
+});
@@ -0,0 +1,87 @@
+const { SBCRatingCalculator, Card } = require('../src/index.js');
+const { getCardCost, getNetSellPrice, createMarketCards } = require('../src/Ownership.js');
+
+describe('Ownership tiers', () => {
+    const priceByRating = { 82: 1000, 83: 2000, 84: 4000 };
+
+    test('should cost cards by their source', () => {
+        expect(getCardCost(new Card({ id: 1, rating: 84, source: 'storage' }), priceByRating)).toBe(0);
+        expect(getCardCost(new Card({ id: 2, rating: 84, source: 'untradeable' }), priceByRating)).toBe(0);
+        expect(getCardCost(new Card({ id: 3, rating: 84, source: 'club', tradeable: true }), priceByRating)).toBe(3800);
+        expect(getCardCost(new Card({ id: 4, rating: 84, source: 'club', tradeable: false }), priceByRating)).toBe(0);
+        expect(getCardCost(new Card({ id: 5, rating: 84, source: 'market' }), priceByRating)).toBe(4000);
+        expect(getCardCost(new Card({ id: 6, rating: 84 }), priceByRating)).toBe(4000);
+        expect(getNetSellPrice(1250)).toBe(1187);
+    });
+
+    test('should create market cards for every priced rating', () => {
+        const cards = createMarketCards(priceByRating, 2, [83, 84, 90]);
+        expect(cards.map(card => card.id)).toEqual(['market:83:0', 'market:83:1', 'market:84:0', 'market:84:1']);
+        expect(cards.every(card => card.source === 'market')).toBe(true);
+    });
+
+    test('should use duplicates and untradeables before buying', () => {
+        const calculator = new SBCRatingCalculator();
+        const club = [
+            { id: 'dup-1', rating: 83, source: 'storage' },
+            { id: 'dup-2', rating: 82, source: 'storage' },
+            { id: 'untr-1', rating: 84, source: 'untradeable' },
+            { id: 'sell-1', rating: 84, source: 'club', tradeable: true, price: 4000 }
+        ];
+
+        const result = calculator.findSquadSolutions({
+            targetRating: 83,
+            availableCards: club,
+            priceByRating,
+            buyFromMarket: true,
+            maxSolutions: 1
+        });
+
+        const [best] = result.solutions;
+        expect(result.proven).toBe(true);
+        expect(best.fromClub).toEqual(expect.arrayContaining(['dup-1', 'dup-2', 'untr-1']));
+        expect(best.toBuy).toHaveLength(11 - best.fromClub.length);
+        expect(best.toBuy.every(id => id.startsWith('market:'))).toBe(true);
+        expect(best.price).toBe(best.coinOutlay + best.opportunityCost);
+    });
+
+    test('should prefer a tradeable club card when selling it is worth less than buying', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableCards: [{ id: 'sell-1', rating: 84, source: 'club', tradeable: true }],
+            priceByRating: { 84: 4000 },
+            buyFromMarket: [84],
+            maxSolutions: 1
+        });
+
+        const [best] = result.solutions;
+        expect(best.fromClub).toEqual(['sell-1']);
+        expect(best.opportunityCost).toBe(3800);
+        expect(best.coinOutlay).toBe(40000);
+        expect(best.price).toBe(43800);
+    });
+
+    test('should count plain ratings as club stock, not as purchases', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableRatings: [...new Array(10).fill(84), 85],
+            priceByRating: { 84: 2500, 85: 5000 },
+            maxSolutions: 1
+        });
+
+        const [best] = result.solutions;
+        expect(best.toBuy).toEqual([]);
+        expect(best.coinOutlay).toBe(0);
+        expect(best.fromClub.length).toBe(11);
+        // Equally priced club stock is used before buying
+        expect(calculator.findSquadSolutions({
+            targetRating: 84,
+            availableRatings: new Array(11).fill(84),
+            priceByRating: { 84: 2500 },
+            buyFromMarket: true,
+            maxSolutions: 1
+        }).solutions[0].toBuy).toEqual([]);
+    });
+});
@@ -0,0 +1,89 @@
+const { SBCRatingCalculator, solveSquadPage, iterateSquad, buildRatingPools } = require('../src/index.js');
+const { encodeCursor, decodeCursor } = require('../src/Pagination.js');
+
+describe('Paged squad search', () => {
+    const calculator = new SBCRatingCalculator();
+    const availableRatings = [];
+    const priceByRating = {};
+    for (let rating = 80; rating <= 88; rating++) {
+        for (let i = 0; i < 3; i++) availableRatings.push(rating);
+        priceByRating[rating] = 200 + (rating - 78) * (rating - 78) * 300;
+    }
+    const options = { targetRating: 85, availableRatings, priceByRating };
+    const keys = solutions => solutions.map(solution => solution.combinationUsed.join('.'));
+
+    test('should return pages in the order of a single search', () => {
+        [true, false].forEach(sortByPrice => {
+            const expected = calculator.findSquadSolutions({ ...options, sortByPrice, maxSolutions: 30 });
+            const pages = [];
+            let cursor = null;
+            for (let i = 0; i < 3; i++) {
+                const page = calculator.findSquadSolutionsPage({ ...options, sortByPrice, pageSize: 10, cursor });
+                expect(page.solutionsFound).toBe(10);
+                pages.push(...page.solutions);
+                cursor = page.nextCursor;
+            }
+            expect(keys(pages)).toEqual(keys(expected.solutions));
+        });
+    });
+
+    test('should stream solutions lazily and resume from any cursor', () => {
+        const streamed = [];
+        for (const solution of calculator.iterateSquadSolutions({ ...options, pageSize: 4 })) {
+            streamed.push(solution);
+            if (streamed.length === 9) break;
+        }
+        expect(keys(streamed)).toEqual(keys(calculator.findSquadSolutions({ ...options, maxSolutions: 9 }).solutions));
+
+        const resumed = calculator.findSquadSolutionsPage({ ...options, pageSize: 3, cursor: streamed[5].cursor });
+        expect(keys(resumed.solutions)).toEqual(keys(streamed.slice(6, 9)));
+    });
+
+    test('should continue the search of the last page', () => {
+        const first = calculator.findSquadSolutionsPage({ ...options, pageSize: 10 });
+        const second = calculator.findSquadSolutionsPage({ ...options, pageSize: 10, cursor: first.nextCursor });
+        expect(second.nodesExplored).toBeLessThan(first.nodesExplored / 2);
+
+        // A search that is gone starts over from the cursor
+        const cold = solveSquadPage({
+            targetRating: 85,
+            pools: buildRatingPools(availableRatings, priceByRating),
+            slots: 11,
+            pageSize: 10,
+            cursor: first.nextCursor
+        });
+        expect(keys(cold.solutions)).toEqual(keys(second.solutions));
+        expect(cold.nodesExplored).toBeGreaterThan(second.nodesExplored * 2);
+
+        const limited = calculator.findSquadSolutionsPage({ ...options, pageSize: 10, maxNodes: 20 });
+        expect(limited.proven).toBe(false);
+    });
+
+    test('should end with a null cursor once every squad was returned', () => {
+        const pools = buildRatingPools([84, 84, 85, 86, 87], { 84: 1, 85: 2, 86: 3, 87: 4 });
+        const search = { targetRating: 85, existingRatings: new Array(8).fill(85), pools, slots: 3 };
+        const all = [...iterateSquad({ ...search, pageSize: 2 })];
+        expect(all.length).toBe(solveSquadPage({ ...search, pageSize: 50 }).solutionsFound);
+        expect(new Set(keys(all)).size).toBe(all.length);
+
+        const last = solveSquadPage({ ...search, pageSize: 2, cursor: all[all.length - 2].cursor });
+        expect(last.solutionsFound).toBe(1);
+        expect(last.nextCursor).toBe(null);
+    });
+
+    test('should reject foreign and malformed cursors', () => {
+        const [first] = calculator.findSquadSolutionsPage({ ...options, pageSize: 1 }).solutions;
+        expect(decodeCursor(first.cursor, { targetRating: 85, slots: 11 })).toEqual({
+            price: first.price,
+            totalRatingPoints: first.totalRatingPoints,
+            combinationUsed: first.combinationUsed
+        });
+        expect(encodeCursor(first, { targetRating: 85 })).toBe(first.cursor);
+
+        expect(calculator.findSquadSolutionsPage({ ...options, cursor: 'page-2' }).error).toBe('Invalid cursor: page-2');
+        expect(calculator.findSquadSolutionsPage({ ...options, targetRating: 84, cursor: first.cursor }).error)
+            .toBe('Cursor belongs to a different search');
+        expect(calculator.findSquadSolutionsPage({ ...options, pageSize: 0 }).error).toBe('Page size must be a positive integer');
+        expect(() => calculator.iterateSquadSolutions({ ...options, cursor: 'x' }).next()).toThrow('Invalid cursor: x');
+    });
+});
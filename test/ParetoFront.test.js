@@ -0,0 +1,105 @@
+const { SBCRatingCalculator, SolverHelper, PARETO_OBJECTIVES, solvePareto, buildRatingPools } = require('../src/index.js');
+const { createMarketCards, getCardCost } = require('../src/Ownership.js');
+const { Card } = require('../src/Card.js');
+
+describe('Pareto front', () => {
+    const calculator = new SBCRatingCalculator();
+    const priceByRating = { 80: 500, 81: 600, 82: 900, 83: 1500, 84: 2500, 85: 5000, 86: 9000 };
+    const existingRatings = [84, 84, 83, 83, 85, 82];
+    const availableCards = [
+        { id: 'a', rating: 86, source: 'club', tradeable: true },
+        { id: 'b', rating: 85, source: 'untradeable' },
+        { id: 'c', rating: 84, source: 'storage' },
+        { id: 'd', rating: 84, source: 'club', tradeable: true },
+        { id: 'e', rating: 82, source: 'untradeable' },
+        { id: 'f', rating: 81, source: 'storage' },
+        { id: 'g', rating: 80, source: 'untradeable' }
+    ];
+    const options = { targetRating: 84, existingRatings, availableCards, priceByRating, squadSize: 11, buyFromMarket: [82, 85] };
+
+    // Every distinct non-dominated score by trying every 5-card subset
+    const bruteForceFront = () => {
+        const cards = [...availableCards, ...createMarketCards(priceByRating, 5, [82, 85])].map(card => Card.from(card));
+        const scores = [];
+        const pick = (start, chosen) => {
+            if (chosen.length === 5) {
+                const ratings = chosen.map(card => card.rating);
+                const rating = SolverHelper.getRating([...existingRatings, ...ratings]);
+                if (rating < 84) return;
+                scores.push({
+                    price: chosen.reduce((sum, card) => sum + getCardCost(card, priceByRating), 0),
+                    points: [...existingRatings, ...ratings].reduce((a, b) => a + b, 0),
+                    clubCards: chosen.filter(card => card.source !== 'market').length,
+                    overshoot: rating - 84
+                });
+                return;
+            }
+            for (let i = start; i < cards.length; i++) pick(i + 1, [...chosen, cards[i]]);
+        };
+        pick(0, []);
+
+        const covers = (a, b) => PARETO_OBJECTIVES.every(key => a[key] <= b[key]);
+        const keys = new Set(scores
+            .filter(score => !scores.some(other => covers(other, score) && !covers(score, other)))
+            .map(score => PARETO_OBJECTIVES.map(key => score[key]).join('/')));
+        return [...keys].sort();
+    };
+
+    test('should match the brute force front', () => {
+        const result = calculator.findParetoSolutions(options);
+        expect(result.proven).toBe(true);
+        expect(result.objectives).toEqual(['price', 'points', 'clubCards', 'overshoot']);
+
+        const keys = result.solutions.map(solution =>
+            [solution.price, solution.totalRatingPoints, solution.clubCards, solution.overshoot].join('/'));
+        expect(new Set(keys).size).toBe(keys.length);
+        expect([...keys].sort()).toEqual(bruteForceFront());
+    });
+
+    test('should describe the cards and the objectives each squad wins', () => {
+        const { solutions } = calculator.findParetoSolutions(options);
+        const cheapest = calculator.findSquadSolutions({ ...options, maxSolutions: 1 }).solutions[0];
+        expect(solutions[0].price).toBe(cheapest.price);
+        expect(solutions[0].wins).toContain('price');
+
+        ['points', 'clubCards', 'overshoot'].forEach(key => {
+            const field = key === 'points' ? 'totalRatingPoints' : key;
+            const best = Math.min(...solutions.map(solution => solution[field]));
+            solutions.forEach(solution => expect(solution.wins.includes(key)).toBe(solution[field] === best));
+        });
+        solutions.forEach(solution => {
+            expect(solution.cardIds.length).toBe(5);
+            expect(solution.fromClub.length).toBe(solution.clubCards);
+            expect(solution.actualRating - 84).toBe(solution.overshoot);
+        });
+    });
+
+    test('should count plain ratings as club cards', () => {
+        const { solutions } = calculator.findParetoSolutions({
+            targetRating: 84,
+            existingRatings,
+            availableRatings: [86, 85, 84, 84, 82],
+            priceByRating,
+            squadSize: 11,
+            buyFromMarket: [82, 85]
+        });
+        expect(new Set(solutions.map(solution => solution.clubCards)).size).toBeGreaterThan(1);
+        expect(solutions.some(solution => solution.fromClub.length > 0)).toBe(true);
+        solutions.forEach(solution => {
+            expect(solution.fromClub.length).toBe(solution.clubCards);
+            expect(solution.fromClub.length + solution.toBuy.length).toBe(5);
+        });
+    });
+
+    test('should list equivalent squads once', () => {
+        const pools = buildRatingPools(new Array(13).fill(84), { 84: 1000 });
+        const result = solvePareto({ targetRating: 84, pools, slots: 11 });
+        expect(result.solutionsFound).toBe(1);
+        expect(result.solutions[0].wins).toEqual(PARETO_OBJECTIVES);
+    });
+
+    test('should report errors and node limits', () => {
+        expect(calculator.findParetoSolutions({ ...options, targetRating: 120 }).error).toBeDefined();
+        expect(calculator.findParetoSolutions({ ...options, maxNodes: 10 }).proven).toBe(false);
+    });
+});
@@ -0,0 +1,138 @@
+const { SBCRatingCalculator, PriceSource, SolverHelper, Inventory, calculateSquadSolutions } = require('../src/index.js');
+
+describe('PriceSource', () => {
+    test('should load JSON snapshots per platform', () => {
+        const source = PriceSource.fromJSON(JSON.stringify({
+            platforms: {
+                console: { timestamp: '2026-10-01T12:00:00Z', ratings: { 84: 3000 }, cards: { c1: 15000 } },
+                pc: { timestamp: '2026-10-01T12:00:00Z', ratings: { 84: 2500 } }
+            }
+        }), { platform: 'pc' });
+
+        expect(source.platform).toBe('pc');
+        expect(source.getRatingPrice(84)).toBe(2500);
+        expect(source.timestamp.toISOString()).toBe('2026-10-01T12:00:00.000Z');
+        expect(() => PriceSource.fromJSON({ platforms: { console: {} } }, { platform: 'pc' }))
+            .toThrow('No prices for platform: pc');
+    });
+
+    test('should load CSV snapshots with card, rating and listing rows', () => {
+        const csv = [
+            'type,id,rating,price,platform,timestamp',
+            ',c1,84,15000,console,2026-10-01T10:00:00Z',
+            'rating,,84,3000,console,2026-10-01T11:00:00Z',
+            'rating,,84,2000,pc,2026-10-01T11:00:00Z',
+            'listing,,86,9000,console,',
+            'listing,,86,8000,console,'
+        ].join('\n');
+        const source = PriceSource.fromCSV(csv);
+
+        expect(source.getCardPrice({ id: 'c1', rating: 84 })).toBe(15000);
+        expect(source.getCardPrice({ id: 'c2', rating: 84 })).toBe(3000);
+        expect(source.getRatingPrice(86)).toBe(8000);
+        // 85 is interpolated between 3000 and 8000
+        expect(source.getRatingPrice(85)).toBe(Math.round(3000 * Math.sqrt(8000 / 3000)));
+        expect(source.timestamp.toISOString()).toBe('2026-10-01T11:00:00.000Z');
+        expect(() => PriceSource.fromCSV('rating,price\n84,abc')).toThrow('Invalid price on line 2: abc');
+
+        const named = PriceSource.fromCSV('type,id,name,rating,price\ncard,v1,"Vini Jr., RW",89,120000\ncard,q1,"The ""Wall""",84,4000');
+        expect(named.getCardPrice({ id: 'v1', rating: 89 })).toBe(120000);
+        expect(named.getCardPrice({ id: 'q1', rating: 84 })).toBe(4000);
+        expect(() => PriceSource.fromCSV('type,id,name,rating,price\ncard,v1,Vini Jr., RW,89,120000'))
+            .toThrow('Expected 5 columns on line 2, got 6');
+        expect(() => PriceSource.fromCSV('id,name,price\nv1,"Vini Jr.,120000')).toThrow('Unclosed quote on line 2');
+    });
+
+    test('should error or warn on missing prices', () => {
+        const strict = PriceSource.fromMap({ 84: 3000 });
+        expect(() => strict.getRatingPrice(90)).toThrow('Missing price for rating 90');
+
+        const lenient = PriceSource.fromMap({ 84: 3000 }, { onMissing: 'warn' });
+        expect(lenient.getCardPrice({ id: 'x', rating: 90 })).toBe(Infinity);
+        expect(lenient.getWarnings()).toEqual(['Missing price for card x (rating 90)']);
+        expect(SolverHelper.getPrice([84, 84], lenient)).toBe(6000);
+    });
+
+    test('should report stale snapshots', () => {
+        const now = Date.parse('2026-10-02T12:00:00Z');
+        const source = PriceSource.fromMap({ 84: 3000 }, { timestamp: '2026-10-01T12:00:00Z', maxAge: 3600 * 1000 });
+
+        expect(source.getAge(now)).toBe(24 * 3600 * 1000);
+        expect(source.isStale(undefined, now)).toBe(true);
+        expect(source.isStale(48 * 3600 * 1000, now)).toBe(false);
+        expect(source.getWarnings(now)).toEqual(['Prices are stale (taken 2026-10-01T12:00:00.000Z)']);
+    });
+});
+
+describe('Solving with a price source', () => {
+    const calculator = new SBCRatingCalculator();
+    const cards = [...new Array(11).fill(84), 90].map((rating, id) => ({ id, rating }));
+
+    test('should fail instead of pricing missing ratings at 0', () => {
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableCards: cards,
+            priceSource: PriceSource.fromMap({ 84: 3000 })
+        });
+
+        expect(result.error).toBe('Missing price for card 11 (rating 90)');
+    });
+
+    test('should leave out unpriced cards and report them in warn mode', () => {
+        const result = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableCards: cards,
+            maxSolutions: 1,
+            priceSource: PriceSource.fromMap({ 84: 3000 }, { onMissing: 'warn' })
+        });
+
+        expect(result.solutions[0].price).toBe(33000);
+        expect(result.solutions[0].cardIds).not.toContain(11);
+        expect(result.priceWarnings).toEqual(['Missing price for card 11 (rating 90)']);
+    });
+
+    test('should only report the warnings of each call', () => {
+        const source = PriceSource.fromMap({ 84: 3000 }, { onMissing: 'warn' });
+        const first = calculator.findSquadSolutions({ targetRating: 84, availableCards: cards, maxSolutions: 1, priceSource: source });
+        const second = calculator.findSquadSolutions({ targetRating: 84, availableCards: cards.slice(0, 11), maxSolutions: 1, priceSource: source });
+
+        expect(first.priceWarnings).toEqual(['Missing price for card 11 (rating 90)']);
+        expect(second.priceWarnings).toBeUndefined();
+        expect(source.getWarnings()).toEqual(['Missing price for card 11 (rating 90)']);
+
+        // Cached inventory costs report their warnings again
+        const inventory = new Inventory(cards);
+        [1, 2].forEach(() => {
+            expect(calculator.findSquadSolutions({ targetRating: 84, availableCards: inventory, maxSolutions: 1, priceSource: source })
+                .priceWarnings).toEqual(['Missing price for card 11 (rating 90)']);
+        });
+    });
+
+    test('should leave out ratings missing from a price map', () => {
+        const options = { targetRating: 85, availableCards: cards, maxSolutions: 1, priceByRating: { 84: 3000 } };
+        const result = calculator.findSquadSolutions({ ...options, targetRating: 84 });
+        expect(result.solutions[0].cardIds).not.toContain(11);
+        expect(result.solutions[0].price).toBe(33000);
+        expect(result.priceWarnings).toEqual(['Missing price for card 11 (rating 90)']);
+
+        // The unpriced 90 is the only way to 85
+        expect(calculator.findSquadSolutions(options).solutionsFound).toBe(0);
+        const bruteForce = calculateSquadSolutions({
+            targetRating: 85,
+            existingRatings: new Array(9).fill(84),
+            ratingsToTry: [84, 84, 90],
+            priceByRating: { 84: 3000 }
+        }, 11, 0);
+        expect(bruteForce.solutionsFound).toBe(0);
+        expect(bruteForce.priceWarnings).toEqual(['Missing price for rating 90']);
+
+        // Costing it 0 is an explicit choice
+        const free = calculator.findSquadSolutions({ ...options, onMissingPrice: 'zero' });
+        expect(free.solutions[0].cardIds).toContain(11);
+        expect(free.priceWarnings).toEqual(['Missing price for card 11 (rating 90)']);
+        expect(calculator.findSquadSolutions({ ...options, onMissingPrice: 'error' }).error)
+            .toBe('Missing price for card 11 (rating 90)');
+        expect(calculator.findSquadSolutions({ targetRating: 85, availableCards: cards, maxSolutions: 1 }).priceWarnings)
+            .toBeUndefined();
+    });
+});
@@ -0,0 +1,158 @@
+const { SBCRatingCalculator, SolverHelper, RATING_PROFILES, resolveRatingProfile, calculateSquadSolutions } = require('../src/index.js');
+const { scoreSquad } = require('../src/RatingProfiles.js');
+
+describe('Rating profiles', () => {
+    const calculator = new SBCRatingCalculator();
+    const squad = [88, 86, 85, 84, 84, 83, 83, 82, 82, 81, 80];
+    const profiles = [
+        { name: 'five', slots: 5 },
+        { name: 'plain', correction: 'none', rounding: 'floor' },
+        { name: 'rounded', rounding: 'round' },
+        { name: 'unpadded', padding: 'none' }
+    ];
+
+    // Smallest rating sum of two more players that reaches the target, by brute force
+    const bruteForceFillSum = (fixed, maxRating, target, profile) => {
+        let best = Infinity;
+        for (let a = 45; a <= maxRating; a++) {
+            for (let b = a; b <= maxRating; b++) {
+                if (SolverHelper.getRating([...fixed, a, b], profile) >= target) best = Math.min(best, a + b);
+            }
+        }
+        return best;
+    };
+
+    test('should rate the game profiles with the standard formula', () => {
+        expect(Object.keys(RATING_PROFILES)).toEqual(['FC24', 'FC25', 'FC26']);
+        Object.keys(RATING_PROFILES).forEach(name => {
+            expect(resolveRatingProfile(name).standard).toBe(true);
+            expect(calculator.calculateTeamRating(squad, name)).toBe(SolverHelper.getRating(squad));
+        });
+    });
+
+    test('should fill custom profiles from their base', () => {
+        const profile = resolveRatingProfile({ name: 'five', base: 'FC24', slots: 5 });
+        expect(profile).toEqual({
+            name: 'five',
+            slots: 5,
+            padding: 'zeros',
+            correction: 'above-average',
+            rounding: 'round-floor',
+            standard: false
+        });
+        expect(() => resolveRatingProfile({ rounding: 'ceil' })).toThrow('Unknown rounding rule: ceil');
+        expect(() => resolveRatingProfile('FIFA23')).toThrow('Unknown rating profile: FIFA23');
+    });
+
+    test('should apply the padding, correction and rounding rules', () => {
+        // 170 + 5 correction over 2 slots
+        expect(SolverHelper.getRating([80, 90], { padding: 'none' })).toBe(87);
+        expect(SolverHelper.getRating([80, 90], { padding: 'none', correction: 'none' })).toBe(85);
+        expect(SolverHelper.getRating([80, 81], { padding: 'none', correction: 'none', rounding: 'floor' })).toBe(80);
+        expect(SolverHelper.getRating([80, 81], { padding: 'none', correction: 'none', rounding: 'round' })).toBe(81);
+        expect(scoreSquad([90, 80], resolveRatingProfile({ slots: 5 })).average).toBe(34);
+    });
+
+    test('should bound the required fill sum under every profile', () => {
+        profiles.forEach(profile => {
+            const fixed = squad.slice(0, (profile.slots || (profile.padding === 'none' ? 5 : 11)) - 2);
+            [82, 84, 86].forEach(target => {
+                const expected = bruteForceFillSum(fixed, 90, target, profile);
+                const required = SolverHelper.getRequiredFillSum(fixed, 2, 90, target, profile);
+                expect(required).toBeLessThanOrEqual(expected);
+                if (expected === Infinity) expect(required).toBe(Infinity);
+                // Without a correction the sum is all that counts
+                if (profile.correction === 'none') expect(Math.max(required, 90)).toBe(Math.max(expected, 90));
+            });
+        });
+    });
+
+    test('should find squads rated under the calculator profile', () => {
+        const five = new SBCRatingCalculator({ ratingProfile: { name: 'five', slots: 5 } });
+        const availableRatings = [80, 81, 82, 83, 84, 85, 86, 87, 88];
+        const priceByRating = { 80: 1, 81: 2, 82: 3, 83: 4, 84: 5, 85: 6, 86: 7, 87: 8, 88: 9 };
+        const result = five.findSquadSolutions({ targetRating: 84, squadSize: 5, availableRatings, priceByRating, maxSolutions: 3 });
+
+        expect(result.solutionsFound).toBe(3);
+        result.solutions.forEach(solution => {
+            const ratings = solution.squad.flatMap(entry => new Array(entry.count).fill(entry.rating));
+            expect(five.calculateTeamRating(ratings)).toBeGreaterThanOrEqual(84);
+            expect(solution.actualRating).toBe(five.calculateTeamRating(ratings));
+        });
+
+        // The same five cards padded to 11 rate far lower
+        expect(calculator.findSquadSolutions({ targetRating: 84, squadSize: 5, availableRatings, priceByRating }).solutionsFound).toBe(0);
+    });
+
+    test('should match a brute force search under a custom profile', () => {
+        const profile = { correction: 'none', rounding: 'round' };
+        const availableRatings = [79, 80, 81, 82, 83, 84, 85, 86];
+        const priceByRating = { 79: 300, 80: 400, 81: 600, 82: 900, 83: 1300, 84: 2000, 85: 3200, 86: 5000 };
+        const existingRatings = [84, 83, 83, 82, 82, 81, 81];
+
+        let best = Infinity;
+        for (const combination of SolverHelper.getMultisubsets(availableRatings, 4)) {
+            if (SolverHelper.getRating([...existingRatings, ...combination], profile) >= 83) {
+                best = Math.min(best, SolverHelper.getPrice(combination, priceByRating));
+            }
+        }
+
+        const result = calculator.findSquadSolutions({
+            targetRating: 83,
+            existingRatings,
+            availableRatings: availableRatings.flatMap(rating => [rating, rating, rating, rating]),
+            priceByRating,
+            ratingProfile: profile
+        });
+        expect(result.solutions[0].price).toBe(best);
+
+        const bruteForce = calculateSquadSolutions({
+            targetRating: 83,
+            existingRatings,
+            ratingsToTry: availableRatings.flatMap(rating => [rating, rating, rating, rating]),
+            priceByRating,
+            ratingProfile: profile
+        }, 11, 1);
+        expect(bruteForce.solutions[0].price).toBe(best);
+        expect(SolverHelper.getRating([...existingRatings, ...bruteForce.solutions[0].combinationUsed], profile)).toBeGreaterThanOrEqual(83);
+    });
+
+    test('should notice custom profiles edited in place', () => {
+        const profile = { name: 'small', slots: 5 };
+        expect(SolverHelper.getRating([80, 80], profile)).toBe(51);
+        profile.slots = 2;
+        expect(SolverHelper.getRating([80, 80], profile)).toBe(80);
+        profile.base = 'FC12';
+        expect(() => resolveRatingProfile(profile)).toThrow('Unknown rating profile: FC12');
+    });
+
+    test('should thread the profile through the other calculator methods', () => {
+        const profile = { name: 'plain', correction: 'none', rounding: 'floor' };
+        const tenEighties = new Array(10).fill(80);
+        expect(calculator.calculateMinimumRatingNeeded(81, tenEighties, 1, 11, profile)).toBe(91);
+        expect(calculator.calculateMinimumRatingNeeded(81, tenEighties, 1)).toBe(86);
+
+        const explanation = calculator.explainRating([80, 90], 86, { padding: 'none' });
+        expect(explanation.paddedSlots).toBe(0);
+        expect(explanation.rating).toBe(87);
+
+        const validation = calculator.validateSquad(squad, 84, 11, { ratingProfile: profile });
+        expect(validation.actualRating).toBe(83);
+        expect(validation.valid).toBe(false);
+
+        const optimal = calculator.findOptimalSolutions({ targetRating: 84, availableRatings: squad, ratingProfile: profile });
+        expect(optimal.solutionsFound).toBe(0);
+        expect(optimal.message).toContain('plain');
+
+        const max = calculator.findMaxRating({ availableRatings: squad, ratingProfile: profile });
+        expect(max.maxRating).toBe(83);
+    });
+
+    test('should report invalid profiles as errors', () => {
+        const result = calculator.findSquadSolutions({ targetRating: 84, availableRatings: squad, ratingProfile: { slots: 0 } });
+        expect(result.error).toBe('Rating profile slots must be between 1 and 23');
+        expect(calculator.findMinimumRatings({ targetRating: 84, ratingProfile: 'FC12' }).error).toBe('Unknown rating profile: FC12');
+        expect(calculateSquadSolutions({ targetRating: 84, existingRatings: [], ratingsToTry: squad, ratingProfile: { slots: 0 } }, 11, 1).error)
+            .toBe('Rating profile slots must be between 1 and 23');
+    });
+});
@@ -0,0 +1,85 @@
+const { SBCRatingCalculator, planRepeatable, SolverHelper } = require('../src/index.js');
+
+describe('planRepeatable', () => {
+    const calculator = new SBCRatingCalculator();
+
+    test('should count completions and return the leftover cards', () => {
+        // 10x84 + 82 already rates 84, so both 82s are used up
+        const ratings = [...new Array(22).fill(84), 82, 82];
+        const result = calculator.planRepeatableSBC({
+            targets: [{ name: '84 upgrade', targetRating: 84 }],
+            availableRatings: ratings
+        });
+
+        expect(result.completions).toBe(2);
+        expect(result.squads.map(squad => squad.order)).toEqual([1, 2]);
+        expect(result.leftover.map(card => card.rating)).toEqual([84, 84]);
+        expect(result.upperBound).toBe(2);
+        expect(result.proven).toBe(true);
+    });
+
+    test('should use the fewest rating points first to keep high cards', () => {
+        // Greedily spending the 90s early would leave the rest short
+        const ratings = [...new Array(18).fill(82), 90, 90, 90, 90, 83, 83];
+        const result = planRepeatable({
+            targets: [{ targetRating: 83 }],
+            cards: ratings.map((rating, id) => ({ id, rating }))
+        });
+
+        expect(result.completions).toBe(2);
+        const used = new Set(result.squads.flatMap(squad => squad.cardIds));
+        expect(used.size).toBe(22);
+        result.squads.forEach(squad => {
+            const squadRatings = squad.cardIds.map(id => ratings[id]);
+            expect(SolverHelper.getRating(squadRatings)).toBeGreaterThanOrEqual(83);
+        });
+    });
+
+    test('should find more completions than taking the fewest points first', () => {
+        // The fewest points squad (6x80 + 5x86) leaves 3x80 + 5x83 + 3x86 short of a second 84
+        const ratings = [...new Array(9).fill(80), ...new Array(5).fill(83), ...new Array(8).fill(86)];
+        const cards = ratings.map((rating, id) => ({ id, rating }));
+        const result = planRepeatable({ targets: [{ targetRating: 84 }], cards });
+
+        expect(result.completions).toBe(2);
+        expect(result.proven).toBe(true);
+        result.squads.forEach(squad => {
+            expect(SolverHelper.getRating(squad.cardIds.map(id => ratings[id]))).toBeGreaterThanOrEqual(84);
+        });
+        expect(new Set(result.squads.flatMap(squad => squad.cardIds)).size).toBe(22);
+
+        const limited = planRepeatable({ targets: [{ targetRating: 84 }], cards, maxNodes: 1 });
+        expect(limited.proven).toBe(false);
+    });
+
+    test('should buy market cards within the budget', () => {
+        const cards = new Array(10).fill(84).map((rating, id) => ({ id, rating }));
+        const priceByRating = { 84: 3000 };
+
+        const withoutBudget = planRepeatable({ targets: [{ targetRating: 84 }], cards, priceByRating });
+        expect(withoutBudget.completions).toBe(0);
+
+        const withBudget = planRepeatable({ targets: [{ targetRating: 84 }], cards, priceByRating, budget: 5000 });
+        expect(withBudget.completions).toBe(1);
+        expect(withBudget.coinsSpent).toBe(3000);
+        expect(withBudget.squads[0].boughtCardIds).toEqual(['market:84:0']);
+    });
+
+    test('should respect completion limits across several targets', () => {
+        const result = planRepeatable({
+            targets: [
+                { name: 'A', targetRating: 82, maxCompletions: 1 },
+                { name: 'B', targetRating: 83, maxCompletions: 5 }
+            ],
+            cards: new Array(33).fill(84).map((rating, id) => ({ id, rating }))
+        });
+
+        expect(result.byTarget).toEqual([{ name: 'A', completions: 1 }, { name: 'B', completions: 2 }]);
+        expect(result.squads[0].name).toBe('A');
+    });
+
+    test('should reject invalid targets', () => {
+        const result = calculator.planRepeatableSBC({ targets: [{ targetRating: 20 }], availableRatings: [84] });
+        expect(result.error).toBe('Invalid target rating: 20');
+    });
+});
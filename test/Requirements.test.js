@@ -0,0 +1,178 @@
+const { SBCRatingCalculator, solveRequirements, validateRequirements, SolverHelper, calculateChemistry, FORMATIONS } = require('../src/index.js');
+
+const CLUBS = [
+    { club: 'Arsenal', league: 'Premier League', nation: 'England' },
+    { club: 'Chelsea', league: 'Premier League', nation: 'England' },
+    { club: 'Real Madrid', league: 'LaLiga', nation: 'Spain' },
+    { club: 'Juventus', league: 'Serie A', nation: 'Italy' }
+];
+
+/**
+ * Small deterministic inventory with mixed clubs, rarities and prices
+ */
+function buildInventory(size, seed) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const cards = [];
+    for (let i = 0; i < size; i++) {
+        const rating = 80 + Math.floor(random() * 7);
+        cards.push({
+            id: `c${i}`,
+            rating,
+            ...CLUBS[Math.floor(random() * CLUBS.length)],
+            rarity: random() < 0.2 ? 'totw' : (random() < 0.5 ? 'rare' : 'common'),
+            price: rating * 100 + Math.floor(random() * 500)
+        });
+    }
+    return cards;
+}
+
+/**
+ * Reference check written independently of the solver
+ */
+function satisfies(squad, { minRating, minPremierLeague, maxSameClub, minTotw }) {
+    if (SolverHelper.getRating(squad.map(card => card.rating)) < minRating) return false;
+    if (squad.filter(card => card.league === 'Premier League').length < minPremierLeague) return false;
+    if (squad.filter(card => card.rarity === 'totw').length < minTotw) return false;
+    const perClub = {};
+    squad.forEach(card => { perClub[card.club] = (perClub[card.club] || 0) + 1; });
+    return Object.values(perClub).every(count => count <= maxSameClub);
+}
+
+function bruteForceCheapest(cards, limits) {
+    let cheapest = Infinity;
+    const walk = (start, squad) => {
+        if (squad.length === 11) {
+            if (satisfies(squad, limits)) {
+                cheapest = Math.min(cheapest, squad.reduce((sum, card) => sum + card.price, 0));
+            }
+            return;
+        }
+        for (let i = start; i <= cards.length - (11 - squad.length); i++) {
+            squad.push(cards[i]);
+            walk(i + 1, squad);
+            squad.pop();
+        }
+    };
+    walk(0, []);
+    return cheapest;
+}
+
+describe('Requirement specs', () => {
+    test('should validate the spec', () => {
+        expect(validateRequirements({ rating: { min: 83 } })).toEqual([]);
+        expect(validateRequirements({
+            rating: 30,
+            chemistry: { min: 10 },
+            counts: [{ match: { shirt: 9 }, min: 1 }],
+            same: [{ attribute: 'club' }]
+        })).toEqual([
+            'Target rating must be between 45 and 99',
+            'Chemistry requirement needs a formation',
+            'Unknown attribute in count requirement at index 0: shirt',
+            'Same requirement at index 0 needs min or max'
+        ]);
+    });
+
+    test('should match the brute-force cheapest squad', () => {
+        [1, 2, 3, 4].forEach(seed => {
+            const cards = buildInventory(15, seed);
+            const limits = { minRating: 82, minPremierLeague: 4, maxSameClub: 4, minTotw: 1 };
+            const result = solveRequirements({
+                cards,
+                requirements: {
+                    rating: { min: limits.minRating },
+                    counts: [
+                        { match: { league: 'Premier League' }, min: limits.minPremierLeague },
+                        { match: { rarity: 'totw' }, min: limits.minTotw }
+                    ],
+                    same: [{ attribute: 'club', max: limits.maxSameClub }]
+                }
+            });
+
+            const expected = bruteForceCheapest(cards, limits);
+            if (expected === Infinity) {
+                expect(result.solutionsFound).toBe(0);
+            } else {
+                const squad = cards.filter(card => result.solutions[0].cardIds.includes(card.id));
+                expect(result.solutions[0].price).toBe(expected);
+                expect(satisfies(squad, limits)).toBe(true);
+            }
+            expect(result.proven).toBe(true);
+        });
+    });
+
+    test('should support exact counts, quality, rare and value lists', () => {
+        const cards = buildInventory(40, 7);
+        const result = solveRequirements({
+            cards,
+            requirements: JSON.stringify({
+                rating: 81,
+                counts: [
+                    { match: { quality: 'gold', rare: true }, exact: 11 },
+                    { match: { league: ['LaLiga', 'Serie A'] }, min: 3 },
+                    { match: { rating: { min: 85 } }, max: 1 }
+                ]
+            })
+        });
+
+        const squad = cards.filter(card => result.solutions[0].cardIds.includes(card.id));
+        expect(squad).toHaveLength(11);
+        expect(squad.every(card => card.rarity !== 'common')).toBe(true);
+        expect(squad.filter(card => card.league !== 'Premier League').length).toBeGreaterThanOrEqual(3);
+        expect(squad.filter(card => card.rating >= 85).length).toBeLessThanOrEqual(1);
+        expect(result.solutions[0].actualRating).toBeGreaterThanOrEqual(81);
+    });
+
+    test('should place the squad for a chemistry requirement', () => {
+        const positions = FORMATIONS['4-4-2'];
+        const cards = positions.map((position, index) => ({
+            id: `a${index}`,
+            rating: 83,
+            club: 'Arsenal',
+            league: 'Premier League',
+            nation: 'England',
+            positions: [position],
+            price: 1000
+        }));
+        // Cheaper cards that cannot reach the chemistry
+        positions.forEach((position, index) => cards.push({
+            id: `x${index}`,
+            rating: 83,
+            club: `Club ${index}`,
+            league: `League ${index}`,
+            nation: `Nation ${index}`,
+            positions: [position],
+            price: 500
+        }));
+
+        const result = solveRequirements({
+            cards,
+            requirements: { rating: 83, chemistry: { min: 30, formation: '4-4-2' } }
+        });
+
+        const [best] = result.solutions;
+        expect(best.chemistry.teamChemistry).toBeGreaterThanOrEqual(30);
+        const placed = best.chemistry.placements.map(placement => ({
+            card: cards.find(card => card.id === placement.cardId),
+            position: placement.position
+        }));
+        expect(calculateChemistry(placed, '4-4-2').teamChemistry).toBe(best.chemistry.teamChemistry);
+        expect(best.price).toBeLessThan(11000);
+    });
+
+    test('findRequirementSolutions should report spec errors', () => {
+        const calculator = new SBCRatingCalculator();
+        const result = calculator.findRequirementSolutions({
+            requirements: { counts: [{ match: { league: 'Premier League' } }] },
+            availableCards: buildInventory(12, 1)
+        });
+
+        expect(result.error).toBe('Count requirement at index 0 needs min, max or exact');
+        expect(result.solutionsFound).toBe(0);
+    });
+});
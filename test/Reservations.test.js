@@ -0,0 +1,126 @@
+const { SBCRatingCalculator, calculateSquadSolutions } = require('../src/index.js');
+const { validateReservations, applyReservations, reportReservations } = require('../src/Reservations.js');
+
+describe('Reservations', () => {
+    const calculator = new SBCRatingCalculator();
+    const availableCards = [
+        { id: 'first-team', rating: 88, source: 'untradeable' },
+        ...[0, 1, 2, 3, 4, 5, 6].map(i => ({ id: `84-${i}`, rating: 84, source: i < 3 ? 'untradeable' : 'club', tradeable: i >= 3 })),
+        ...[0, 1, 2, 3].map(i => ({ id: `83-${i}`, rating: 83, source: 'storage' })),
+        ...[0, 1].map(i => ({ id: `85-${i}`, rating: 85, source: 'club', tradeable: true })),
+        ...[0, 1, 2].map(i => ({ id: `82-${i}`, rating: 82, source: 'untradeable' }))
+    ];
+    const priceByRating = { 82: 900, 83: 1500, 84: 2500, 85: 5000, 86: 9000, 88: 20000 };
+    const options = { targetRating: 84, availableCards, priceByRating, buyFromMarket: true, maxSolutions: 1 };
+    const reservations = { protect: ['first-team'], keep: { 84: 5 }, maxUse: { 85: 1 } };
+
+    test('should hold back the most valuable cards of a capped rating', () => {
+        const reserved = applyReservations(availableCards, reservations, priceByRating);
+        const ids = reserved.cards.map(card => card.id);
+
+        expect(ids).not.toContain('first-team');
+        // The untradeable 84s cost nothing to use, the tradeable ones are kept
+        expect(ids.filter(id => id.startsWith('84-'))).toEqual(['84-0', '84-1']);
+        expect(ids.filter(id => id.startsWith('85-'))).toEqual(['85-0']);
+        expect(reserved.available).toMatchObject({ 82: 3, 83: 4, 84: 2, 85: 1 });
+        expect(reserved.held.map(entry => [entry.type, entry.heldBack.length])).toEqual([['protect', 1], ['keep', 5], ['maxUse', 1]]);
+
+        expect(applyReservations(availableCards, null).cards).toBe(availableCards);
+    });
+
+    test('should count protected cards toward the kept cards', () => {
+        const sixes = [0, 1, 2, 3, 4, 5].map(i => ({ id: `84-${i}`, rating: 84, source: 'club', tradeable: true }));
+        const reserved = applyReservations(sixes, { protect: ['84-0', '84-1'], keep: { 84: 5 } }, priceByRating);
+        expect(reserved.cards.length).toBe(1);
+        expect(reserved.available[84]).toBe(1);
+        expect(reserved.held.map(entry => [entry.type, entry.heldBack.length])).toEqual([['protect', 1], ['protect', 1], ['keep', 3]]);
+
+        expect(applyReservations(sixes, { protect: ['84-0', '84-1', '84-2'], keep: { 84: 2 } }, priceByRating).cards.length).toBe(3);
+    });
+
+    test('should report which reservations constrained the answer', () => {
+        const free = calculator.findSquadSolutions(options);
+        expect(free.solutions[0].cardIds).toContain('first-team');
+        expect(free.reservations).toBeUndefined();
+
+        const result = calculator.findSquadSolutions({ ...options, reservations });
+        const ids = result.solutions[0].cardIds;
+        expect(ids).not.toContain('first-team');
+        expect(ids.filter(id => id.startsWith('84-')).length).toBeLessThanOrEqual(2);
+        expect(ids.filter(id => /^85-/.test(id)).length).toBeLessThanOrEqual(1);
+        expect(result.solutions[0].price).toBeGreaterThan(free.solutions[0].price);
+        expect(result.reservations).toEqual([
+            { type: 'protect', cardId: 'first-team', rating: 88, heldBack: 1, constrained: true },
+            { type: 'keep', rating: 84, limit: 5, heldBack: 5, constrained: true },
+            { type: 'maxUse', rating: 85, limit: 1, heldBack: 1, constrained: true }
+        ]);
+
+        // The cheapest squad never needed an 85 or more than 3 of the 84s
+        const loose = calculator.findSquadSolutions({ ...options, reservations: { protect: ['85-0'], keep: { 84: 3 }, maxUse: { 88: 1 } } });
+        expect(loose.solutions[0].price).toBe(free.solutions[0].price);
+        expect(loose.reservations.map(entry => entry.constrained)).toEqual([false, false, false]);
+        expect(reportReservations(applyReservations(availableCards, { keep: { 83: 0 } }), []))
+            .toEqual([{ type: 'keep', rating: 83, limit: 0, heldBack: 0, constrained: false }]);
+    });
+
+    test('should be honoured by every solver entry point', () => {
+        const protect = { protect: ['first-team', '84-0'] };
+        const usesProtected = ids => ids.some(id => protect.protect.includes(id));
+        const requirements = { squadSize: 11, constraints: [{ type: 'rating', min: 84 }] };
+
+        expect(usesProtected(calculator.findOptimalSolutions({ ...options, maxSolutions: 20, reservations: protect })
+            .solutions.flatMap(solution => solution.cardIds))).toBe(false);
+        expect(usesProtected(calculator.findParetoSolutions({ ...options, reservations: protect })
+            .solutions.flatMap(solution => solution.cardIds))).toBe(false);
+        expect(usesProtected(calculator.findSquadSolutionsPage({ ...options, reservations: protect }).solutions[0].cardIds)).toBe(false);
+        expect(usesProtected(calculator.findRequirementSolutions({ ...options, requirements, reservations: protect })
+            .solutions[0].cardIds)).toBe(false);
+
+        const batch = calculator.findBatchSolutions({
+            ...options,
+            segments: [{ requirements }, { requirements: { squadSize: 11, constraints: [{ type: 'rating', min: 82 }] } }],
+            reservations: protect
+        });
+        expect(usesProtected(batch.segments.flatMap(segment => segment.solution.cardIds))).toBe(false);
+
+        const max = calculator.findMaxRating({ availableCards, reservations: protect });
+        expect(usesProtected(max.solution.cardIds)).toBe(false);
+        expect(max.reservations[0]).toMatchObject({ cardId: 'first-team', constrained: true });
+
+        const plan = calculator.planRepeatableSBC({ targets: [{ targetRating: 82 }], availableCards, reservations: protect });
+        expect(usesProtected(plan.squads.flatMap(squad => squad.cardIds))).toBe(false);
+
+        const upgrades = calculator.findSquadUpgrades({
+            squad: new Array(11).fill(82),
+            targetRating: 83,
+            availableCards,
+            priceByRating,
+            reservations: protect
+        });
+        expect(usesProtected(upgrades.solutions.flatMap(solution => solution.swaps.map(swap => swap.inCardId)))).toBe(false);
+
+        const bruteForce = calculateSquadSolutions({
+            targetRating: 84,
+            existingRatings: new Array(9).fill(84),
+            ratingsToTry: [88, 84, 83, 83],
+            priceByRating,
+            reservations: { protect: [0], keep: { 83: 1 } }
+        }, 11, 0);
+        expect(bruteForce.solutions.map(solution => solution.combinationUsed)).toEqual([[84, 83]]);
+        expect(bruteForce.reservations.map(entry => entry.constrained)).toEqual([true, true]);
+    });
+
+    test('should validate reservations', () => {
+        expect(validateReservations(undefined)).toEqual([]);
+        expect(validateReservations([])).toEqual(['Reservations must be an object']);
+        expect(validateReservations({ protect: 'first-team', keep: { 84: -1 }, reserve: {} })).toEqual([
+            'Unknown reservation: reserve',
+            'Reservation protect must be a list of card ids',
+            'Reservation keep for rating 84 must be a non-negative integer'
+        ]);
+        expect(calculator.findSquadSolutions({ ...options, reservations: { maxUse: [1] } }).error)
+            .toBe('Reservation maxUse must map ratings to counts');
+        expect(calculator.findMaxRating({ availableCards, reservations: { keep: { 84: 1.5 } } }).error)
+            .toBe('Reservation keep for rating 84 must be a non-negative integer');
+    });
+});
@@ -0,0 +1,105 @@
+const { SBCRatingCalculator, Card, MarketEconomics } = require('../src/index.js');
+const { validateReward, getRewardDistribution, evaluateReward } = require('../src/RewardValue.js');
+
+describe('Reward value', () => {
+    const economics = new MarketEconomics({ tax: 0, quickSell: { gold: { common: 0, rare: 0 }, goldStep: 0 } });
+
+    test('should value a fixed player at its sell value', () => {
+        const result = evaluateReward({
+            reward: { player: { rating: 86, price: 10000 } },
+            cost: 8000,
+            economics
+        });
+        expect(result.expectedValue).toBe(10000);
+        expect(result.variance).toBe(0);
+        expect(result.profitProbability).toBe(1);
+        expect(result.breakEvenCost).toBe(10000);
+        expect(result.worthIt).toBe(true);
+    });
+
+    test('should apply the transfer tax by default', () => {
+        const result = evaluateReward({ reward: { player: { rating: 86, price: 10000 } }, cost: 9600 });
+        expect(result.expectedValue).toBe(9500);
+        expect(result.worthIt).toBe(false);
+    });
+
+    test('should compute the distribution of pack draws', () => {
+        const reward = {
+            pack: {
+                slots: [{
+                    count: 2,
+                    odds: [
+                        { rating: 84, probability: 0.5, price: 1000 },
+                        { rating: 86, probability: 0.25, price: 5000 }
+                    ]
+                }]
+            }
+        };
+
+        const { distribution, exact } = getRewardDistribution(reward, { economics });
+        expect(exact).toBe(true);
+        expect(distribution.get(0)).toBeCloseTo(0.0625);
+        expect(distribution.get(2000)).toBeCloseTo(0.25);
+        expect(distribution.get(10000)).toBeCloseTo(0.0625);
+
+        const result = evaluateReward({ reward, cost: 3000, economics });
+        // One draw: mean 1750, second moment 0.5 * 1e6 + 0.25 * 25e6 = 6.75e6
+        expect(result.expectedValue).toBeCloseTo(3500);
+        expect(result.variance).toBeCloseTo(2 * (6.75e6 - 1750 * 1750));
+        // Profit needs at least one 86: 1 - 0.75^2
+        expect(result.profitProbability).toBeCloseTo(0.4375);
+        expect(result.minValue).toBe(0);
+        expect(result.maxValue).toBe(10000);
+    });
+
+    test('should value untradeable packs at quick-sell prices', () => {
+        const reward = {
+            pack: {
+                untradeable: true,
+                slots: [{ odds: [{ rating: 84, probability: 1, price: 5000 }] }]
+            }
+        };
+        const result = evaluateReward({ reward, cost: 0 });
+        expect(result.expectedValue).toBe(new MarketEconomics().getQuickSellValue(new Card({ id: 1, rating: 84 })));
+    });
+
+    test('should merge values past the outcome limit and keep the mean', () => {
+        const odds = [1, 2, 3, 4, 5, 6, 7].map(i => ({ rating: 80 + i, probability: 1 / 7, price: i * 1000 + i * i }));
+        const reward = { pack: { slots: [{ count: 6, odds }] } };
+        const exact = evaluateReward({ reward, cost: 0, economics });
+        const merged = evaluateReward({ reward, cost: 0, economics, maxOutcomes: 50 });
+
+        expect(exact.exact).toBe(true);
+        expect(merged.exact).toBe(false);
+        expect(merged.expectedValue).toBeCloseTo(exact.expectedValue, 4);
+    });
+
+    test('should reject invalid rewards', () => {
+        expect(validateReward(null)).toEqual(['Reward must be an object']);
+        expect(validateReward({})).toContain('Reward needs a player or a pack');
+        expect(validateReward({ pack: { slots: [{ odds: [{ rating: 84, probability: 0.8 }, { rating: 85, probability: 0.4 }] }] } }))
+            .toContain('Odds in slot 1 of pack 1 add up to more than 1');
+        expect(() => evaluateReward({ reward: { pack: {} }, cost: 0 })).toThrow('Reward pack 1 needs slots');
+    });
+
+    test('should compare the reward with the cheapest squad', () => {
+        const calculator = new SBCRatingCalculator();
+        const priceByRating = { 82: 1000, 83: 2000, 84: 4000 };
+        const result = calculator.evaluateReward({
+            targetRating: 82,
+            availableRatings: [],
+            priceByRating,
+            buyFromMarket: true,
+            reward: { player: { rating: 88, price: 20000 } }
+        });
+
+        expect(result.solution.actualRating).toBe(82);
+        expect(result.cost).toBe(11000);
+        expect(result.expectedValue).toBe(19000);
+        expect(result.expectedProfit).toBe(8000);
+        expect(result.profitProbability).toBe(1);
+
+        const invalid = calculator.evaluateReward({ cost: 100, reward: {} });
+        expect(invalid.error).toBe('Reward needs a player or a pack');
+    });
+});
@@ -0,0 +1,150 @@
+const {
+    SBCRatingCalculator,
+    calculateSquadSolutions,
+    BUILTIN_SCORERS,
+    ratingPenaltyScorer,
+    weightedScorer,
+    rankSolutions
+} = require('../src/index.js');
+
+describe('Scorers', () => {
+    const calculator = new SBCRatingCalculator();
+    const inventory = [
+        ...new Array(15).fill(83),
+        ...new Array(10).fill(82),
+        ...new Array(20).fill(81),
+        ...new Array(10).fill(84),
+        ...new Array(8).fill(85),
+        ...new Array(5).fill(86),
+        ...new Array(5).fill(87)
+    ];
+    const priceByRating = { 81: 500, 82: 800, 83: 1000, 84: 2000, 85: 3000, 86: 6000, 87: 9000 };
+    const bruteForce = {
+        targetRating: 84,
+        existingRatings: [85, 86, 84, 84, 83, 83, 84, 85],
+        ratingsToTry: [82, 82, 82, 83, 83, 83, 84, 84, 84, 86, 86],
+        priceByRating: { 82: 800, 83: 900, 84: 1000, 86: 3000 }
+    };
+    const countAtLeast = (solution, rating) => solution.squad
+        .filter(entry => entry.rating >= rating)
+        .reduce((sum, entry) => sum + entry.count, 0);
+
+    test('should rank with the built-in scorers and break ties in order', () => {
+        const solutions = [
+            { price: 300, totalRatingPoints: 920, actualRating: 84, efficiency: 1, squad: [] },
+            { price: 100, totalRatingPoints: 930, actualRating: 85, efficiency: 2, squad: [] },
+            { price: 300, totalRatingPoints: 910, actualRating: 84, efficiency: 3, squad: [] }
+        ];
+        expect(Object.keys(BUILTIN_SCORERS)).toEqual(['price', 'points', 'efficiency', 'overshoot', 'tradeables']);
+        expect(rankSolutions(solutions, 'price').map(s => s.efficiency)).toEqual([2, 1, 3]);
+        const ranked = rankSolutions(solutions, ['price', 'points'], { targetRating: 84 });
+        expect(ranked.map(s => s.efficiency)).toEqual([2, 3, 1]);
+        expect(ranked[0].scores).toEqual([100, 930]);
+        expect(rankSolutions(solutions, ['overshoot', 'points'], { targetRating: 84 }).map(s => s.efficiency)).toEqual([3, 1, 2]);
+    });
+
+    test('should blend weighted scorers over the ranked solutions', () => {
+        const solutions = [
+            { price: 1000, totalRatingPoints: 900, efficiency: 10 },
+            { price: 2000, totalRatingPoints: 800, efficiency: 0 },
+            { price: 1400, totalRatingPoints: 850, efficiency: 5 }
+        ];
+        // 0.7 * (0, 1, 0.4) + 0.3 * (1, 0, 0.5)
+        const ranked = rankSolutions(solutions, weightedScorer({ price: 0.7, efficiency: 0.3 }));
+        expect(ranked.map(s => s.price)).toEqual([1000, 1400, 2000]);
+        expect(ranked.map(s => s.scores[0])).toEqual([0.3, expect.closeTo(0.43), 0.7]);
+        expect(() => weightedScorer({ chemistry: 1 })).toThrow('Unknown scorer: chemistry');
+    });
+
+    test('should apply custom scorers to the brute force path', () => {
+        const plain = calculateSquadSolutions(bruteForce, 11, 0);
+        const spared = calculateSquadSolutions({ ...bruteForce, scorer: ratingPenaltyScorer({ minRating: 86, penalty: 10000 }) }, 11, 0);
+        expect(spared.solutionsFound).toBe(plain.solutionsFound);
+        expect(countAtLeast(spared.solutions[0], 86)).toBe(Math.min(...plain.solutions.map(s => countAtLeast(s, 86))));
+
+        const custom = calculateSquadSolutions({ ...bruteForce, scorer: solution => -solution.price }, 11, 3);
+        expect(custom.solutions[0].price).toBe(Math.max(...plain.solutions.map(s => s.price)));
+        expect(calculateSquadSolutions({ ...bruteForce, scorer: { name: 'vibes', score: () => 'cheap' } }, 11, 3).error)
+            .toBe('Scorer vibes returned cheap instead of a number');
+        expect(calculateSquadSolutions({ ...bruteForce, scorer: ['price', 'tradeables'] }, 11, 3).error)
+            .toBe('Scorer tradeables needs cards and cannot rank plain ratings');
+    });
+
+    test('should search the exact solver in scorer order', () => {
+        const options = { targetRating: 85, availableRatings: inventory, priceByRating, scorer: ratingPenaltyScorer({ minRating: 86, penalty: 100000 }) };
+        // The answer does not depend on how many squads are kept
+        const best = calculator.findSquadSolutions({ ...options, maxSolutions: 1 });
+        const many = calculator.findSquadSolutions({ ...options, maxSolutions: 50 });
+        expect(best.proven).toBe(true);
+        expect(many.solutions[0]).toEqual(best.solutions[0]);
+        expect(many.solutions.map(s => s.scores[0])).toEqual(many.solutions.map(s => s.scores[0]).sort((a, b) => a - b));
+        expect(best.solutions[0].scores).toEqual([best.solutions[0].price + 100000 * countAtLeast(best.solutions[0], 86)]);
+
+        // Scorers without a bound look at every squad
+        const dearest = calculator.findSquadSolutions({ targetRating: 84, availableRatings: inventory, priceByRating, maxSolutions: 1, scorer: solution => -solution.price });
+        const cheapest = calculator.findSquadSolutions({ targetRating: 84, availableRatings: inventory, priceByRating, maxSolutions: 1 });
+        expect(dearest.solutions[0].scores).toEqual([-dearest.solutions[0].price]);
+        expect(dearest.solutions[0].price).toBeGreaterThan(cheapest.solutions[0].price);
+        expect(calculator.findSquadSolutions({ ...options, scorer: 'chemistry' }).error).toBe('Unknown scorer: chemistry');
+    });
+
+    test('should page the squads in scorer order', () => {
+        const options = { targetRating: 85, availableRatings: inventory, priceByRating, scorer: ratingPenaltyScorer({ minRating: 86, penalty: 100000 }) };
+        const expected = calculator.findSquadSolutions({ ...options, maxSolutions: 12 });
+        const first = calculator.findSquadSolutionsPage({ ...options, pageSize: 6 });
+        const second = calculator.findSquadSolutionsPage({ ...options, pageSize: 6, cursor: first.nextCursor });
+        const keys = solutions => solutions.map(solution => solution.combinationUsed.join('.'));
+        expect(keys([...first.solutions, ...second.solutions])).toEqual(keys(expected.solutions));
+        expect(second.solutions[0].scores[0]).toBeGreaterThanOrEqual(first.solutions[5].scores[0]);
+
+        expect(calculator.findSquadSolutionsPage({ ...options, scorer: 'price', cursor: first.nextCursor }).error)
+            .toBe('Cursor belongs to a different search');
+        expect(calculator.findSquadSolutionsPage({ ...options, scorer: null, cursor: first.nextCursor }).error)
+            .toBe('Cursor belongs to a different search');
+    });
+
+    test('should rank the squads of the async solver', async () => {
+        const options = { targetRating: 84, availableRatings: inventory, priceByRating, maxSolutions: 5, scorer: ratingPenaltyScorer({ minRating: 86, penalty: 5000 }) };
+        expect((await calculator.findSquadSolutionsAsync(options)).solutions).toEqual(calculator.findSquadSolutions(options).solutions);
+    });
+
+    test('should rank every usable optimal combination', () => {
+        const byPoints = calculator.findOptimalSolutions({ targetRating: 84, availableRatings: inventory, priceByRating, maxSolutions: 100 });
+        const cheapest = calculator.findOptimalSolutions({
+            targetRating: 84,
+            availableRatings: inventory,
+            priceByRating,
+            maxSolutions: 3,
+            scorer: ['price', 'points']
+        });
+        expect(cheapest.solutionsFound).toBe(3);
+        expect(cheapest.solutions[0].price).toBe(Math.min(...byPoints.solutions.map(s => s.price)));
+        expect(cheapest.solutions[0].price).toBeLessThanOrEqual(cheapest.solutions[1].price);
+
+        const sparing = calculator.findSquadSolutions({
+            targetRating: 84,
+            availableRatings: inventory,
+            priceByRating,
+            maxSolutions: 1,
+            useOptimalCombinations: true,
+            scorer: ratingPenaltyScorer({ penalty: 1e6 })
+        });
+        expect(sparing.solutions[0].isOptimal).toBe(true);
+        expect(countAtLeast(sparing.solutions[0], 86)).toBe(Math.min(...byPoints.solutions.map(s => countAtLeast(s, 86))));
+    });
+
+    test('should prefer untradeable cards', () => {
+        const availableCards = inventory.map((rating, i) => ({ id: i, rating, tradeable: i % 2 === 0 }));
+        const result = calculator.findOptimalSolutions({
+            targetRating: 84,
+            availableCards,
+            priceByRating,
+            maxSolutions: 1,
+            scorer: ['tradeables', 'price']
+        });
+        const tradeables = result.solutions[0].cardIds.filter(id => availableCards[id].tradeable).length;
+        expect(result.solutions[0].scores[0]).toBe(tradeables);
+        expect(calculator.findOptimalSolutions({ targetRating: 84, availableRatings: inventory, scorer: 'chemistry' }).error)
+            .toBe('Unknown scorer: chemistry');
+    });
+});
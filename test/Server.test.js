@@ -0,0 +1,128 @@
+const http = require('http');
+const { createServer, validateSchema, getOpenAPIDocument, ROUTES } = require('../src/Server.js');
+
+describe('HTTP API server', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+        server = createServer({ maxBodyBytes: 2048, timeoutMs: 5000 });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    // Send one request and parse the JSON answer
+    const request = (method, path, body, headers = {}, target = port) => new Promise((resolve, reject) => {
+        const data = body === undefined ? null : (typeof body === 'string' ? body : JSON.stringify(body));
+        const req = http.request({
+            host: '127.0.0.1',
+            port: target,
+            method,
+            path,
+            agent: false,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+            }));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+
+    const squad = [84, 84, 84, 84, 84, 84, 84, 84, 84, 84, 85];
+
+    test('should rate a squad and compute statistics', async () => {
+        expect(await request('POST', '/rating', { ratings: squad })).toMatchObject({ status: 200, body: { rating: 84 } });
+        const stats = await request('POST', '/stats', { ratings: [80, 82, 84] });
+        expect(stats.body).toEqual({ min: 80, max: 84, average: 82, median: 82, count: 3 });
+    });
+
+    test('should solve squads in a worker', async () => {
+        const { status, body } = await request('POST', '/solve', {
+            targetRating: 84,
+            availableRatings: [...squad, 86],
+            priceByRating: { 84: 2500, 85: 5000, 86: 9000 },
+            maxSolutions: 2
+        });
+        expect(status).toBe(200);
+        expect(body.proven).toBe(true);
+        expect(body.solutions[0]).toMatchObject({ actualRating: 84, price: 30000 });
+
+        const optimal = await request('POST', '/optimal', { targetRating: 84, availableRatings: squad });
+        expect(optimal.status).toBe(200);
+        expect(optimal.body.solutionsFound).toBe(optimal.body.solutions.length);
+    });
+
+    test('should validate squads', async () => {
+        const { body } = await request('POST', '/validate', { squad, targetRating: 85 });
+        expect(body).toMatchObject({ valid: false, actualRating: 84, pointsShort: 5 });
+    });
+
+    test('should reject invalid bodies with 400', async () => {
+        const invalid = await request('POST', '/solve', { targetRating: 120, availableRatings: [84, 'x'], fast: true });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toBe(
+            'body.targetRating must be at most 99, body.availableRatings[1] must be integer, body.fast is not allowed'
+        );
+        expect(await request('POST', '/rating', '{"ratings": [')).toMatchObject({ status: 400 });
+        expect((await request('POST', '/rating', {})).body.error).toBe('body.ratings is required');
+    });
+
+    test('should answer calculator errors with 422', async () => {
+        const { status, body } = await request('POST', '/rating', { ratings: squad, ratingProfile: 'FC12' });
+        expect(status).toBe(422);
+        expect(body.error).toBe('Unknown rating profile: FC12');
+    });
+
+    test('should refuse unknown routes, methods, content types and large bodies', async () => {
+        expect((await request('POST', '/teleport', {})).status).toBe(404);
+        const wrongMethod = await request('GET', '/solve');
+        expect(wrongMethod.status).toBe(405);
+        expect(wrongMethod.headers.allow).toBe('POST');
+        expect((await request('POST', '/rating', 'ratings=84', { 'Content-Type': 'text/plain' })).status).toBe(415);
+
+        const large = await request('POST', '/stats', { ratings: new Array(1000).fill(84) });
+        expect(large.status).toBe(413);
+        expect(large.body.error).toBe('Request body exceeds 2048 bytes');
+    });
+
+    test('should stop solver requests at the time limit', async () => {
+        const slow = createServer({ timeoutMs: 1 });
+        await new Promise(resolve => slow.listen(0, '127.0.0.1', resolve));
+        try {
+            const { status, body } = await request('POST', '/solve', { targetRating: 84, availableRatings: squad }, {}, slow.address().port);
+            expect(status).toBe(503);
+            expect(body.error).toBe('Request timed out after 1 ms');
+        } finally {
+            await new Promise(resolve => slow.close(resolve));
+        }
+    });
+
+    test('should describe every route in the OpenAPI document', async () => {
+        const { status, body } = await request('GET', '/openapi.json');
+        expect(status).toBe(200);
+        expect(body).toEqual(getOpenAPIDocument());
+        expect(body.openapi).toBe('3.1.0');
+        Object.keys(ROUTES).forEach(path => {
+            expect(body.paths[path].post.requestBody.content['application/json'].schema).toEqual(ROUTES[path].schema);
+        });
+    });
+
+    test('should check schemas', () => {
+        const schema = { type: 'object', required: ['a'], properties: { a: { type: ['integer', 'array'], items: { type: 'string' } } } };
+        expect(validateSchema({ a: 1 }, schema)).toEqual([]);
+        expect(validateSchema({ a: ['x', 2] }, schema)).toEqual(['body.a[1] must be string']);
+        expect(validateSchema([], schema)).toEqual(['body must be object']);
+    });
+});
@@ -0,0 +1,107 @@
+const { solveSquad, buildRatingPools, calculateSquadSolutions, SBCRatingCalculator, SolverHelper } = require('../src/index.js');
+
+describe('solveSquad', () => {
+    const priceByRating = { 81: 500, 82: 800, 83: 1000, 84: 2000, 85: 3000, 86: 4500 };
+
+    test('should match the brute-force solver on a small inventory', () => {
+        const options = {
+            targetRating: 84,
+            existingRatings: [85, 86, 84, 84, 83, 85, 84, 83],
+            ratingsToTry: [82, 83, 84, 85, 86],
+            priceByRating: { 82: 800, 83: 900, 84: 1000, 85: 1200, 86: 1500 }
+        };
+        const bruteForce = calculateSquadSolutions(options, 11, 1);
+
+        const result = solveSquad({
+            targetRating: options.targetRating,
+            existingRatings: options.existingRatings,
+            pools: buildRatingPools(options.ratingsToTry, options.priceByRating),
+            slots: 3
+        });
+
+        expect(result.proven).toBe(true);
+        expect(bruteForce.solutionsFound).toBe(1);
+        expect(result.solutions[0].price).toBe(bruteForce.solutions[0].price);
+        expect(result.solutions[0].totalRatingPoints).toBe(bruteForce.solutions[0].totalRatingPoints);
+    });
+
+    test('should find the cheapest 83 squad in a large club', () => {
+        const club = [
+            ...new Array(40).fill(81), ...new Array(40).fill(82), ...new Array(40).fill(83),
+            ...new Array(40).fill(84), ...new Array(40).fill(85), ...new Array(40).fill(86)
+        ];
+
+        const result = solveSquad({
+            targetRating: 83,
+            pools: buildRatingPools(club, priceByRating),
+            slots: 11,
+            maxSolutions: 5
+        });
+
+        expect(result.proven).toBe(true);
+        expect(result.solutionsFound).toBe(5);
+        result.solutions.forEach(solution => {
+            expect(SolverHelper.getRating(solution.combinationUsed)).toBeGreaterThanOrEqual(83);
+        });
+        expect(result.solutions[0].price).toBeLessThanOrEqual(result.solutions[4].price);
+    });
+
+    test('should beat the 910-point table entry with the points objective', () => {
+        const result = solveSquad({
+            targetRating: 83,
+            pools: buildRatingPools([...new Array(11).fill(82), ...new Array(11).fill(83), ...new Array(11).fill(84)]),
+            slots: 11,
+            objective: 'points'
+        });
+
+        // 7x82 + 1x83 + 3x84 = 909 still rounds up to 83
+        expect(result.solutions[0].totalRatingPoints).toBe(909);
+        expect(result.solutions[0].actualRating).toBe(83);
+    });
+
+    test('should honour card counts', () => {
+        const result = solveSquad({
+            targetRating: 84,
+            pools: buildRatingPools([84, 84, 84]),
+            slots: 11
+        });
+
+        expect(result.solutionsFound).toBe(0);
+    });
+
+    test('should report unproven results when the node limit is hit', () => {
+        const result = solveSquad({
+            targetRating: 83,
+            pools: buildRatingPools(new Array(20).fill(83)),
+            slots: 11,
+            maxNodes: 1
+        });
+
+        expect(result.proven).toBe(false);
+    });
+
+    test('should reject unknown objectives', () => {
+        expect(() => solveSquad({ targetRating: 83, pools: [], slots: 11, objective: 'speed' })).toThrow('Unknown objective');
+    });
+});
+
+describe('SBCRatingCalculator#findSquadSolutions with the exact solver', () => {
+    test('should solve 10 open slots from a few hundred cards', () => {
+        const calculator = new SBCRatingCalculator();
+        const club = [];
+        for (let rating = 75; rating <= 90; rating++) {
+            club.push(...new Array(20).fill(rating));
+        }
+
+        const result = calculator.findSquadSolutions({
+            targetRating: 85,
+            existingRatings: [88],
+            availableRatings: club,
+            priceByRating: { 84: 1200, 85: 2000, 86: 3500, 87: 6000, 88: 9000 },
+            maxSolutions: 3
+        });
+
+        expect(result.proven).toBe(true);
+        expect(result.solutions[0].actualRating).toBeGreaterThanOrEqual(85);
+    });
+});
@@ -0,0 +1,87 @@
+const { SBCRatingCalculator, Card } = require('../src/index.js');
+const { optimizeSwaps } = require('../src/SwapOptimizer.js');
+
+describe('Swap optimizer', () => {
+    const calculator = new SBCRatingCalculator();
+    const priceByRating = { 82: 1000, 83: 2000, 84: 4000, 85: 8000, 86: 15000 };
+    const squad = [84, 84, 83, 83, 83, 83, 83, 82, 82, 82, 82];
+
+    test('should find the cheapest swaps reaching the target', () => {
+        expect(calculator.calculateTeamRating(squad)).toBe(83);
+
+        const result = calculator.findSquadUpgrades({ squad, targetRating: 84, priceByRating });
+        const [best] = result.solutions;
+
+        expect(best.previousRating).toBe(83);
+        expect(best.actualRating).toBeGreaterThanOrEqual(84);
+        const upgraded = [...squad];
+        best.swaps.forEach(swap => { upgraded[swap.slot] = swap.inRating; });
+        expect(calculator.calculateTeamRating(upgraded)).toBe(best.actualRating);
+        expect(best.price).toBe(best.swaps.reduce((sum, swap) => sum + swap.costDelta, 0));
+        best.swaps.forEach(swap => {
+            expect(swap.ratingDelta).toBe(swap.inRating - swap.outRating);
+            expect(swap.outRating).toBe(82);
+        });
+        result.solutions.slice(1).forEach(solution => expect(solution.price).toBeGreaterThanOrEqual(best.price));
+    });
+
+    test('should match the cheapest of every possible swap set', () => {
+        const club = [86, 86, 85, 84, 84, 83].map((rating, i) => new Card({ id: `c${i}`, rating, price: priceByRating[rating] }));
+        const result = optimizeSwaps({
+            squad: squad.map((rating, slot) => new Card({ id: `s${slot}`, rating })),
+            targetRating: 84,
+            cards: club
+        });
+
+        // Brute force over every subset of outgoing slots and incoming cards
+        let best = Infinity;
+        for (let outMask = 0; outMask < (1 << squad.length); outMask++) {
+            const outSlots = squad.map((r, slot) => slot).filter(slot => outMask & (1 << slot));
+            if (outSlots.length > club.length) continue;
+            for (let inMask = 0; inMask < (1 << club.length); inMask++) {
+                const incoming = club.filter((card, i) => inMask & (1 << i));
+                if (incoming.length !== outSlots.length) continue;
+                const ratings = [...squad.filter((r, slot) => !outSlots.includes(slot)), ...incoming.map(card => card.rating)];
+                if (calculator.calculateTeamRating(ratings) < 84) continue;
+                best = Math.min(best, incoming.reduce((sum, card) => sum + card.price, 0));
+            }
+        }
+
+        expect(best).toBeLessThan(Infinity);
+        expect(result.solutions[0].price).toBe(best);
+    });
+
+    test('should keep locked slots and return no swaps when the target is met', () => {
+        const locked = calculator.findSquadUpgrades({
+            squad,
+            targetRating: 84,
+            priceByRating,
+            lockedSlots: [7, 8, 9, 10]
+        });
+        locked.solutions.forEach(solution => {
+            solution.swaps.forEach(swap => expect([7, 8, 9, 10]).not.toContain(swap.slot));
+        });
+
+        const met = calculator.findSquadUpgrades({ squad, targetRating: 83, priceByRating });
+        expect(met.solutions[0].swaps).toEqual([]);
+        expect(met.solutions[0].price).toBe(0);
+    });
+
+    test('should use club cards before buying', () => {
+        const result = calculator.findSquadUpgrades({
+            squad,
+            targetRating: 84,
+            availableCards: [{ id: 'dup-85', rating: 85, source: 'storage' }, { id: 'dup-86', rating: 86, source: 'storage' }],
+            priceByRating,
+            economics: { quickSell: { gold: { common: 0, rare: 0 }, goldStep: 0 } }
+        });
+        const [best] = result.solutions;
+        expect(best.fromClub.length).toBeGreaterThan(0);
+        expect(best.economics.netCost).toBe(best.price);
+    });
+
+    test('should validate the squad', () => {
+        const result = calculator.findSquadUpgrades({ squad: [84, 84], targetRating: 84, priceByRating });
+        expect(result.error).toContain('Squad must have exactly 11 players');
+    });
+});
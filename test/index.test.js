@@ -88,7 +88,7 @@ describe('SBCRatingCalculator', () => {
 
             expect(result.solutionsFound).toBeGreaterThan(0);
             expect(result.solutions[0].actualRating).toBe(83);
-            expect(result.solutions[0].totalRatingPoints).toBe(910); // 6*83 + 4*82 + 1*84 = 910 (optimal)
+            expect(result.solutions[0].totalRatingPoints).toBe(909); // 6*82 + 3*83 + 2*84 = 909 (minimal)
         });
 
         test('should handle large inventories efficiently', () => {
@@ -179,6 +179,22 @@ describe('SBCRatingCalculator', () => {
             expect(result.valid).toBe(false);
             expect(result.message).toContain('must have exactly');
         });
+
+        test('should say how many points the squad is short', () => {
+            const result = calculator.validateSquad([83, 83, 83, 83, 83, 83, 83, 82, 82, 82, 82], 83);
+            expect(result.valid).toBe(false);
+            expect(result.pointsShort).toBe(1);
+            expect(result.message).toBe('Squad rating too low (82 < 83, 1 point short)');
+        });
+    });
+
+    describe('explainRating', () => {
+        test('should attach card ids to the breakdown', () => {
+            const squad = [{ id: 'a', rating: 90 }, { card: { id: 'b', rating: 80 }, position: 'ST' }];
+            const result = calculator.explainRating(squad, 30);
+            expect(result.players.map(player => player.cardId)).toEqual(['a', 'b']);
+            expect(result.pointsToTarget).toBeGreaterThan(0);
+        });
     });
 
     describe('getRatingStatistics', () => {
@@ -228,6 +244,50 @@ describe('SolverHelper', () => {
         });
     });
 
+    describe('explainRating', () => {
+        test('should break the rating down step by step', () => {
+            const result = SolverHelper.explainRating([83, 83, 83, 83, 83, 83, 83, 83, 83, 82, 82]);
+            expect(result.sum).toBe(911);
+            expect(result.average).toBeCloseTo(911 / 11);
+            expect(result.players[0].correction).toBeCloseTo(83 - 911 / 11);
+            expect(result.players[10].correction).toBe(0);
+            expect(result.correction).toBeCloseTo(9 * (83 - 911 / 11));
+            expect(result.total).toBeCloseTo(911 + result.correction);
+            expect(result.roundedTotal).toBe(913);
+            expect(result.rating).toBe(83);
+            expect(result.nextRating).toBe(84);
+            expect(result.slack).toBe(0);
+        });
+
+        test('should find the fewest points to the next rating', () => {
+            const ratings = [83, 83, 83, 83, 83, 83, 83, 83, 83, 82, 82];
+            const { pointsToNextRating } = SolverHelper.explainRating(ratings);
+            const raise = points => [83 + points, ...ratings.slice(1)];
+            expect(SolverHelper.getRating(raise(pointsToNextRating))).toBe(84);
+            expect(SolverHelper.getRating(raise(pointsToNextRating - 1))).toBe(83);
+        });
+
+        test('should report slack and points to a target', () => {
+            const result = SolverHelper.explainRating([83, 83, 83, 83, 83, 83, 83, 82, 82, 82, 82], 83);
+            expect(result.rating).toBe(82);
+            expect(result.pointsToTarget).toBe(1);
+            expect(result.slack).toBeGreaterThan(0);
+            expect(SolverHelper.explainRating([], 50).pointsToTarget).toBeNull();
+        });
+    });
+
+    describe('getRequiredFillSum', () => {
+        test('should never exceed the sum of a squad that reaches the target', () => {
+            const required = SolverHelper.getRequiredFillSum([83, 83], 9, 83, 83);
+            expect(required).toBeLessThanOrEqual(7 * 83 + 2 * 82);
+            expect(required).toBeGreaterThan(0);
+        });
+
+        test('should return Infinity when the target is out of reach', () => {
+            expect(SolverHelper.getRequiredFillSum([], 11, 80, 83)).toBe(Infinity);
+        });
+    });
+
     describe('getPrice', () => {
         test('should calculate total price correctly', () => {
             const ratings = [85, 87, 83];